@@ -2,22 +2,43 @@ const createError = require("http-errors");
 const express = require("express");
 const path = require("path");
 const cookieParser = require("cookie-parser");
-const logger = require("morgan");
+const session = require("express-session");
+const MongoStore = require("connect-mongo");
 
 const indexRouter = require("./routes/index");
 const usersRouter = require("./routes/users");
 const catalogRouter = require("./routes/catalog"); // Import routes for "catalog" area of site
+const apiRouter = require("./routes/api"); // Import routes for the JSON API
+const healthRouter = require("./routes/health"); // Health checks and metrics
+const { loadUser } = require("./middleware/auth");
+const { setLocale } = require("./middleware/locale");
+const { handleApiError } = require("./middleware/apiErrors");
+const { recordRequest } = require("./middleware/metrics");
+const { logRequests } = require("./middleware/logging");
+const requestContext = require("./helpers/requestContext");
+const { COVER_DIR } = require("./services/covers");
+const { watchMongoClient } = require("./services/metrics");
+const config = require("./config"); // validated settings (see config/load.js)
+const logger = require("./helpers/logger"); // structured JSON logs
 
 const compression = require("compression");
 const helmet = require("helmet");
 
 const app = express();
 
-// Set up rate limiter: maximum of twenty requests per minute
+// Give every request an ID and log it, count and time it, and answer health
+// checks and metrics scrapes before the rate limiter and sessions
+app.use(logRequests);
+app.use(recordRequest);
+app.use(healthRouter);
+
+// Set up rate limiter: at most rateLimit.max requests per IP address in each
+// window (by default ten every 10 seconds; off in the test environment)
 const RateLimit = require("express-rate-limit");
 const limiter = RateLimit({
-  windowMs: 1 * 10 * 1000, // 10 seconds
-  max: 10,
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.max,
+  skip: () => !config.rateLimit.enabled,
 });
 // Apply rate limiter to all requests
 app.use(limiter);
@@ -25,31 +46,69 @@ app.use(limiter);
 // Set up mongoose connection
 const mongoose = require("mongoose");
 mongoose.set("strictQuery", false);
+// Queries run inside connection.transaction() join its session automatically
+// (including those made by the model plugins, such as the audit log).
+mongoose.set("transactionAsyncLocalStorage", true);
 
-const dev_db_url =
-"mongodb://localhost:27017/local_library"
-const mongoDB = process.env.MONGODB_URI || dev_db_url;
+const mongoDB = config.db.uri;
 
 
 
-main().catch((err) => console.log(err));
+main().catch((err) => logger.error({ err }, "Could not connect to MongoDB"));
 async function main() {
-  await mongoose.connect(mongoDB);
+  // Command monitoring lets /metrics report how long MongoDB commands take
+  await mongoose.connect(mongoDB, { monitorCommands: true });
+  watchMongoClient(mongoose.connection.getClient());
 }
+// /readyz reports the connection state; the logs say when it changed
+mongoose.connection.on("disconnected", () =>
+  logger.warn("Disconnected from MongoDB")
+);
+mongoose.connection.on("reconnected", () =>
+  logger.info("Reconnected to MongoDB")
+);
 
 // view engine setup
 app.set("views", path.join(__dirname, "views"));
 app.set("view engine", "pug");
 
-app.use(logger("dev"));
+app.use(cookieParser());
+// Before the body parsers, so the error page for a malformed body is translated
+app.use(setLocale); // language from the cookie or Accept-Language
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
-app.use(cookieParser());
+app.use("/api/v1", handleApiError); // a body the API can't parse gets a JSON error
+
+// Set up sessions (stored in MongoDB) and load the logged-in user
+if (app.get("env") === "production") {
+  app.set("trust proxy", 1); // secure cookies behind a reverse proxy
+}
+app.use(
+  session({
+    secret: config.session.secret,
+    resave: false,
+    saveUninitialized: false,
+    // Share mongoose's client, so closing the connection also closes the store
+    store: MongoStore.create({
+      clientPromise: mongoose.connection
+        .asPromise()
+        .then((connection) => connection.getClient()),
+    }),
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: app.get("env") === "production",
+      maxAge: 1000 * 60 * 60 * 8, // 8 hours
+    },
+  })
+);
+app.use(loadUser);
+app.use(requestContext.bind); // lets models record who made each change
 
 app.use(
   helmet.contentSecurityPolicy({
     directives: {
-      "script-src": ["'self'", "code.jquery.com", "cdn.jsdelivr.net"],
+      "script-src": ["'self'", ...config.csp.scriptSrc],
     },
   })
 );
@@ -57,14 +116,16 @@ app.use(
 app.use(compression()); // Compress all routes
 
 app.use(express.static(path.join(__dirname, "public")));
+app.use("/covers", express.static(COVER_DIR)); // Uploaded book covers
 
 app.use("/", indexRouter);
 app.use("/users", usersRouter);
 app.use("/catalog", catalogRouter); // Add catalog routes to middleware chain.
+app.use("/api/v1", apiRouter); // Add JSON API (version 1) to middleware chain.
 
 // catch 404 and forward to error handler
 app.use(function (req, res, next) {
-  next(createError(404));
+  next(createError(404, req.t("error.not_found")));
 });
 
 // error handler
@@ -72,6 +133,12 @@ app.use(function (err, req, res, next) {
   // set locals, only providing error in development
   res.locals.message = err.message;
   res.locals.error = req.app.get("env") === "development" ? err : {};
+  res.locals.status = err.status || 500;
+
+  // log the stack of unexpected errors with the request (see middleware/logging.js)
+  if (!err.status || err.status >= 500) {
+    res.err = err;
+  }
 
   // render the error page
   res.status(err.status || 500);
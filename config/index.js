@@ -0,0 +1,3 @@
+// アプリケーションの設定（読み込みと検証は load.js）
+// 最初に require したときに環境変数と設定ファイルから読み込む。不正なら ConfigError を投げる
+module.exports = require("./load").loadConfig();
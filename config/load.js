@@ -0,0 +1,343 @@
+// 設定の読み込みと検証
+// 値は 環境変数 → 設定ファイル（CONFIG_FILE）→ 実行環境（NODE_ENV）ごとの既定値 の順に探す
+// 不正な値や、必須なのに設定されていない値があれば、すべてを並べた ConfigError を投げる
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+
+// NODE_ENV に指定できる実行環境
+const ENVIRONMENTS = ["development", "test", "production"];
+
+// 設定が不正なとき（起動時にメッセージを表示して終了する）
+class ConfigError extends Error {
+  constructor(problems, environment) {
+    super(
+      `Invalid configuration (NODE_ENV=${environment}):\n` +
+        problems.map((problem) => `  - ${problem}`).join("\n")
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// 値の変換と検証。不正なら理由を Error で投げる
+// 環境変数の値は文字列、設定ファイルの値はJSONの型で渡される
+
+function string({ minLength = 1 } = {}) {
+  return (value) => {
+    if (typeof value !== "string" || value.trim().length < minLength) {
+      throw new Error(
+        minLength > 1
+          ? `must be at least ${minLength} characters`
+          : "must not be empty"
+      );
+    }
+    return value.trim();
+  };
+}
+
+function integer(min, max) {
+  return (value) => {
+    const number = /^-?\d+$/.test(String(value).trim()) ? Number(value) : NaN;
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`must be a whole number from ${min} to ${max}`);
+    }
+    return number;
+  };
+}
+
+function boolean(value) {
+  if (typeof value === "boolean") return value;
+  const text = String(value).trim().toLowerCase();
+  if (["true", "1", "yes", "on"].includes(text)) return true;
+  if (["false", "0", "no", "off"].includes(text)) return false;
+  throw new Error("must be true or false");
+}
+
+// カンマ区切りの文字列、または文字列の配列
+function list(value) {
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  if (items.some((item) => typeof item !== "string")) {
+    throw new Error("must be a list of strings");
+  }
+  return items.map((item) => item.trim()).filter((item) => item !== "");
+}
+
+function mongoUri(value) {
+  if (!/^mongodb(\+srv)?:\/\/\S+$/.test(String(value).trim())) {
+    throw new Error("must be a mongodb:// or mongodb+srv:// connection string");
+  }
+  return String(value).trim();
+}
+
+// ポート番号、または名前付きパイプ・UNIXソケットのパス（bin/www と同じ）
+function port(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return integer(0, 65535)(text);
+  }
+  if (text === "" || /^-?[\d.]+$/.test(text)) {
+    throw new Error("must be a port number from 0 to 65535 or a pipe path");
+  }
+  return text;
+}
+
+// 決められた値のどれか
+function oneOf(values) {
+  return (value) => {
+    const text = String(value).trim();
+    if (!values.includes(text)) {
+      throw new Error(`must be one of ${values.join(", ")}`);
+    }
+    return text;
+  };
+}
+
+// 画面の言語（locales/ にメッセージカタログがあるもの）
+function locale(value) {
+  const text = String(value).trim();
+  if (
+    !/^[a-z]{2}$/.test(text) ||
+    !fs.existsSync(path.join(ROOT, "locales", text + ".json"))
+  ) {
+    throw new Error("must be a locale with a file in locales/");
+  }
+  return text;
+}
+
+// ファイル・ディレクトリのパス（相対パスはリポジトリのルートから）
+function filePath(value) {
+  return path.resolve(ROOT, string()(value));
+}
+
+// 設定項目
+//   env      値を読む環境変数
+//   parse    変換と検証
+//   default  すべての実行環境での既定値（null なら未設定のまま）
+//   defaults 実行環境ごとの既定値。書かれていない実行環境では設定が必須
+//   secret   エラーメッセージに値を表示しない（パスワードを含みうる）
+const DEV_SESSION_SECRET = "local library dev secret";
+
+const SETTINGS = {
+  "db.uri": {
+    env: "MONGODB_URI",
+    parse: mongoUri,
+    secret: true,
+    defaults: {
+      development: "mongodb://localhost:27017/local_library",
+      test: "mongodb://localhost:27017/local_library_test",
+    },
+  },
+  port: { env: "PORT", parse: port, default: 3000 },
+
+  // 1つのIPアドレスからのリクエスト数の上限（windowMs ミリ秒あたり max 回）
+  // テストは多くのリクエストを続けて送るので制限しない
+  "rateLimit.enabled": {
+    env: "RATE_LIMIT_ENABLED",
+    parse: boolean,
+    defaults: { development: true, test: false, production: true },
+  },
+  "rateLimit.windowMs": {
+    env: "RATE_LIMIT_WINDOW_MS",
+    parse: integer(1000, 24 * 60 * 60 * 1000),
+    default: 10 * 1000,
+  },
+  "rateLimit.max": {
+    env: "RATE_LIMIT_MAX",
+    parse: integer(1, 100000),
+    default: 10,
+  },
+  // Content-Security-Policy でスクリプトの読み込みを許可するホスト（自サイト以外）
+  "csp.scriptSrc": {
+    env: "CSP_SCRIPT_SRC",
+    parse: list,
+    default: ["code.jquery.com", "cdn.jsdelivr.net"],
+  },
+
+  // 本番ではセッションの署名に使う秘密の値が必須
+  "session.secret": {
+    env: "SESSION_SECRET",
+    parse: string({ minLength: 16 }),
+    secret: true,
+    defaults: { development: DEV_SESSION_SECRET, test: DEV_SESSION_SECRET },
+  },
+
+  // ログに出力する最低のレベルと、JSONの代わりに読みやすい形で出力するか
+  // （読みやすい形の出力には開発用の依存パッケージ pino-pretty が必要）
+  "log.level": {
+    env: "LOG_LEVEL",
+    parse: oneOf([
+      "fatal",
+      "error",
+      "warn",
+      "info",
+      "debug",
+      "trace",
+      "silent",
+    ]),
+    defaults: { development: "debug", test: "silent", production: "info" },
+  },
+  "log.pretty": {
+    env: "LOG_PRETTY",
+    parse: boolean,
+    defaults: { development: true, test: false, production: false },
+  },
+
+  // 言語を選んでいない利用者と、リクエストの外（定期ジョブ・スクリプト）で使う言語
+  locale: { env: "DEFAULT_LOCALE", parse: locale, default: "ja" },
+
+  // 貸出期間と取り置き期限（日数）
+  "loans.periodDays": {
+    env: "LOAN_PERIOD_DAYS",
+    parse: integer(1, 365),
+    default: 14,
+  },
+  "holds.pickupDays": {
+    env: "HOLD_PICKUP_DAYS",
+    parse: integer(1, 90),
+    default: 7,
+  },
+  // 延滞料（円／日）と1冊あたりの上限
+  "fines.perDay": {
+    env: "FINE_PER_DAY",
+    parse: integer(0, 100000),
+    default: 10,
+  },
+  "fines.cap": { env: "FINE_CAP", parse: integer(0, 1000000), default: 500 },
+
+  // 表紙画像の保存先（/covers で公開する）
+  "uploads.coverDir": {
+    env: "COVER_DIR",
+    parse: filePath,
+    default: path.join(ROOT, "uploads", "covers"),
+  },
+  // ラベルに日本語の書名を印刷するフォントファイルと、TTC のときのフォント名
+  // 指定がなければ、よくある場所にあるフォントを使う
+  "labels.font": { env: "LABEL_FONT", parse: filePath, default: null },
+  "labels.fontName": {
+    env: "LABEL_FONT_NAME",
+    parse: string(),
+    default: null,
+  },
+};
+
+exports.ENVIRONMENTS = ENVIRONMENTS;
+exports.SETTINGS = SETTINGS;
+exports.ConfigError = ConfigError;
+
+// "a.b" の形のキーで、入れ子のオブジェクトの値を取得・設定する
+function getPath(object, key) {
+  return key
+    .split(".")
+    .reduce(
+      (node, part) =>
+        node !== null && typeof node === "object" ? node[part] : undefined,
+      object
+    );
+}
+
+function setPath(object, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  let node = object;
+  for (const part of parts) {
+    node = node[part] = node[part] || {};
+  }
+  node[last] = value;
+}
+
+// 設定ファイルのキーのうち、設定項目にないもの（書き間違いを見つける）
+function unknownKeys(object, prefix = "") {
+  return Object.entries(object).flatMap(([name, value]) => {
+    const key = prefix + name;
+    if (Object.prototype.hasOwnProperty.call(SETTINGS, key)) return [];
+    const isSection = Object.keys(SETTINGS).some((setting) =>
+      setting.startsWith(key + ".")
+    );
+    if (isSection && value !== null && typeof value === "object") {
+      return unknownKeys(value, key + ".");
+    }
+    return [key];
+  });
+}
+
+// 設定ファイル（JSON）を読み込む。形式の誤りは problems に追加する
+function readFile(file, problems) {
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    problems.push(`CONFIG_FILE: can't read ${file}: ${err.message}`);
+    return {};
+  }
+  if (values === null || typeof values !== "object" || Array.isArray(values)) {
+    problems.push(`CONFIG_FILE: ${file} must contain a JSON object`);
+    return {};
+  }
+  for (const key of unknownKeys(values)) {
+    problems.push(`${key} in ${file}: unknown setting`);
+  }
+  return values;
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value !== null && typeof value === "object") deepFreeze(value);
+  }
+  return Object.freeze(object);
+}
+
+// 環境変数（既定は process.env）から設定を読み込んで検証する
+// 変更できないオブジェクトを返す。不正な設定があれば ConfigError を投げる
+exports.loadConfig = (env = process.env) => {
+  const problems = [];
+  const environment = env.NODE_ENV || "development";
+  if (!ENVIRONMENTS.includes(environment)) {
+    throw new ConfigError(
+      [`NODE_ENV: must be one of ${ENVIRONMENTS.join(", ")}`],
+      environment
+    );
+  }
+
+  const file = env.CONFIG_FILE ? path.resolve(ROOT, env.CONFIG_FILE) : null;
+  const fileValues = file ? readFile(file, problems) : {};
+
+  const config = { env: environment };
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    let source;
+    let value;
+    if (env[setting.env] !== undefined && env[setting.env] !== "") {
+      source = setting.env;
+      value = env[setting.env];
+    } else if (getPath(fileValues, key) !== undefined) {
+      source = `${key} in ${file}`;
+      value = getPath(fileValues, key);
+    } else if ("default" in setting) {
+      setPath(config, key, setting.default);
+      continue;
+    } else if (environment in setting.defaults) {
+      setPath(config, key, setting.defaults[environment]);
+      continue;
+    } else {
+      problems.push(`${setting.env}: required when NODE_ENV=${environment}`);
+      continue;
+    }
+
+    try {
+      setPath(config, key, setting.parse(value));
+    } catch (err) {
+      problems.push(
+        setting.secret
+          ? `${source}: ${err.message}`
+          : `${source}: ${err.message} (got ${JSON.stringify(value)})`
+      );
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems, environment);
+  }
+  return deepFreeze(config);
+};
@@ -0,0 +1,154 @@
+const AccountEntry = require("../models/accountentry");
+const BookInstance = require("../models/bookinstance");
+const fines = require("../services/fines");
+
+const { body, param, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+const { message } = require("../helpers/i18n");
+
+// 貸出カード番号の形式
+const CARD_NUMBER_PATTERN = /^[A-Za-z0-9-]{4,20}$/;
+
+// 延滞中の蔵書を借り手ごとにまとめて表示
+exports.overdue_list = asyncHandler(async (req, res, next) => {
+  const now = new Date();
+  const overdueCopies = await BookInstance.find({
+    status: "Loaned",
+    due_back: { $lt: fines.overdueCutoff(now) },
+  })
+    .sort({ borrower_card_number: 1, due_back: 1 })
+    .populate("book")
+    .exec();
+
+  // 貸出カード番号ごとにグループ化（借り手不明の蔵書は最後にまとめる）
+  const groups = new Map();
+  for (const copy of overdueCopies) {
+    const key = copy.borrower_card_number || "";
+    if (!groups.has(key)) {
+      groups.set(key, {
+        card_number: copy.borrower_card_number,
+        borrower_name: copy.borrower_name,
+        copies: [],
+        accrued: 0,
+      });
+    }
+    const group = groups.get(key);
+    const days = fines.daysOverdue(copy.due_back, now);
+    group.copies.push({
+      bookinstance: copy,
+      days_overdue: days,
+      fine: fines.fineFor(days),
+    });
+    group.accrued += fines.fineFor(days);
+  }
+
+  const borrowers = [...groups.values()].sort(
+    (a, b) => !a.card_number - !b.card_number
+  );
+  const balances = await fines.balancesFor(
+    borrowers.filter((group) => group.card_number).map((g) => g.card_number)
+  );
+  borrowers.forEach((group) => {
+    group.balance = balances.get(group.card_number) || 0;
+  });
+
+  res.render("overdue_list", {
+    title: req.t("overdue.title"),
+    borrowers: borrowers,
+    fine_per_day: fines.FINE_PER_DAY,
+    fine_cap: fines.FINE_CAP,
+  });
+});
+
+// 借り手の口座（延滞料・支払・免除の履歴と残高）を表示
+exports.account_detail = [
+  param("card_number").matches(CARD_NUMBER_PATTERN),
+
+  asyncHandler(async (req, res, next) => {
+    if (!validationResult(req).isEmpty()) {
+      const err = new Error(req.t("account.invalid_card_number"));
+      err.status = 404;
+      return next(err);
+    }
+    await renderAccount(req, res, 200, {});
+  }),
+];
+
+// 支払・免除の記録をPOSTで処理
+exports.account_entry_post = [
+  param("card_number").matches(CARD_NUMBER_PATTERN),
+  body("kind", message("account.kind_required")).isIn(["Payment", "Waiver"]),
+  body("amount", message("account.amount_invalid")).isInt({ min: 1 }).toInt(),
+  body("note").trim().isLength({ max: 200 }).escape(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    if (errors.array().some((error) => error.path === "card_number")) {
+      const err = new Error(req.t("account.invalid_card_number"));
+      err.status = 404;
+      return next(err);
+    }
+
+    if (!errors.isEmpty()) {
+      // エラーあり。口座ページを再表示
+      await renderAccount(req, res, 400, {
+        entry: req.body,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    const latest = await AccountEntry.findOne({
+      card_number: req.params.card_number,
+    })
+      .sort({ created_at: -1 })
+      .exec();
+
+    await AccountEntry.create({
+      card_number: req.params.card_number,
+      borrower_name: latest ? latest.borrower_name : undefined,
+      kind: req.body.kind,
+      amount: req.body.amount,
+      note: req.body.note,
+      recorded_by: req.user._id,
+    });
+    res.redirect("/catalog/account/" + req.params.card_number);
+  }),
+];
+
+// 口座ページを表示（履歴・残高と、支払／免除の記録フォーム）
+async function renderAccount(req, res, status, locals) {
+  const cardNumber = req.params.card_number;
+  const [entries, balances, loanedCopies] = await Promise.all([
+    AccountEntry.find({ card_number: cardNumber })
+      .sort({ created_at: -1 })
+      .populate({
+        path: "book_instance",
+        // 履歴なので、ゴミ箱に移動した蔵書・本も表示する
+        options: { withDeleted: true },
+        populate: { path: "book", options: { withDeleted: true } },
+      })
+      .populate("recorded_by")
+      .exec(),
+    fines.balancesFor([cardNumber]),
+    BookInstance.find({ status: "Loaned", borrower_card_number: cardNumber })
+      .sort({ due_back: 1 })
+      .populate("book")
+      .exec(),
+  ]);
+
+  const named =
+    loanedCopies.find((copy) => copy.borrower_name) ||
+    entries.find((entry) => entry.borrower_name);
+
+  res.status(status).render("account_detail", {
+    title: req.t("account.title"),
+    card_number: cardNumber,
+    borrower_name: named ? named.borrower_name : "",
+    balance: balances.get(cardNumber),
+    entries: entries,
+    loaned_copies: loanedCopies,
+    ...locals,
+  });
+}
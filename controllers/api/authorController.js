@@ -0,0 +1,128 @@
+const Author = require("../../models/author");
+const Book = require("../../models/book");
+const trash = require("../../services/trash");
+const { serializeAuthor, serializeBook } = require("./serializers");
+
+const { validationResult } = require("express-validator");
+const { authorRules } = require("../../validators/catalog");
+const asyncHandler = require("express-async-handler");
+const { t } = require("../../helpers/i18n");
+
+// 著者が見つからないときのエラー
+function notFound() {
+  const err = new Error(t("author.not_found"));
+  err.status = 404;
+  return err;
+}
+
+// すべての著者のリストを返す
+exports.author_list = asyncHandler(async (req, res, next) => {
+  const allAuthors = await Author.find().sortByName().exec();
+  res.json(allAuthors.map(serializeAuthor));
+});
+
+// 特定の著者とその著書を返す
+exports.author_detail = asyncHandler(async (req, res, next) => {
+  const [author, allBooksByAuthor] = await Promise.all([
+    Author.findById(req.params.id).exec(),
+    Book.find({ author: req.params.id }).exec(),
+  ]);
+
+  if (author === null) {
+    return next(notFound());
+  }
+
+  res.json({
+    ...serializeAuthor(author),
+    books: allBooksByAuthor.map(serializeBook),
+  });
+});
+
+// 著者を作成
+exports.author_create = [
+  ...authorRules,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return;
+    }
+
+    const author = new Author({
+      first_name: req.body.first_name,
+      family_name: req.body.family_name,
+      first_name_kana: req.body.first_name_kana,
+      family_name_kana: req.body.family_name_kana,
+      name_order: req.body.name_order,
+      date_of_birth: req.body.date_of_birth,
+      date_of_death: req.body.date_of_death,
+    });
+    await author.save();
+
+    res
+      .status(201)
+      .location(req.baseUrl + "/authors/" + author._id)
+      .json(serializeAuthor(author));
+  }),
+];
+
+// 著者を更新
+exports.author_update = [
+  ...authorRules,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return;
+    }
+
+    const author = await Author.findByIdAndUpdate(
+      req.params.id,
+      {
+        first_name: req.body.first_name,
+        family_name: req.body.family_name,
+        first_name_kana: req.body.first_name_kana || null,
+        family_name_kana: req.body.family_name_kana || null,
+        name_order: req.body.name_order || "western",
+        date_of_birth: req.body.date_of_birth || null,
+        date_of_death: req.body.date_of_death || null,
+      },
+      { new: true, runValidators: true }
+    ).exec();
+
+    if (author === null) {
+      return next(notFound());
+    }
+
+    res.json(serializeAuthor(author));
+  }),
+];
+
+// 著者を削除（著書があれば 409）
+exports.author_delete = asyncHandler(async (req, res, next) => {
+  const [author, allBooksByAuthor] = await Promise.all([
+    Author.findById(req.params.id).exec(),
+    Book.find({ author: req.params.id }).exec(),
+  ]);
+
+  if (author === null) {
+    return next(notFound());
+  }
+
+  if (allBooksByAuthor.length > 0) {
+    res.status(409).json({
+      error: {
+        status: 409,
+        message: t("api.author_has_books"),
+        books: allBooksByAuthor.map(serializeBook),
+      },
+    });
+    return;
+  }
+
+  // ゴミ箱に移動（/catalog/trash から元に戻せる）
+  await trash.moveToTrash(Author, req.params.id, req.user);
+  res.status(204).end();
+});
@@ -0,0 +1,169 @@
+const Book = require("../../models/book");
+const BookInstance = require("../../models/bookinstance");
+const trash = require("../../services/trash");
+const { serializeBook, serializeBookInstance } = require("./serializers");
+
+const { validationResult } = require("express-validator");
+const { bookRules } = require("../../validators/catalog");
+const asyncHandler = require("express-async-handler");
+const { t } = require("../../helpers/i18n");
+
+// 本が見つからないときのエラー
+function notFound() {
+  const err = new Error(t("book.not_found"));
+  err.status = 404;
+  return err;
+}
+
+// 同じISBNの別の本を探す
+function findSameIsbn(isbn, exceptId) {
+  const filter = { isbn: isbn };
+  if (exceptId) filter._id = { $ne: exceptId };
+  // 一意インデックスはゴミ箱の本も対象なので、それも含めて探す
+  return Book.findOne(filter, null, { withDeleted: true })
+    .populate("author")
+    .populate("genre")
+    .exec();
+}
+
+// 同じISBNの本が既にあるときのレスポンス
+function sendConflict(res, existing) {
+  res.status(409).json({
+    error: {
+      status: 409,
+      message: existing.deleted_at
+        ? t("api.isbn_in_trash")
+        : t("api.isbn_exists"),
+      book: serializeBook(existing),
+    },
+  });
+}
+
+// すべての本のリストを返す
+exports.book_list = asyncHandler(async (req, res, next) => {
+  const allBooks = await Book.find()
+    .sort({ title: 1 })
+    .populate("author")
+    .populate("genre")
+    .exec();
+
+  res.json(allBooks.map(serializeBook));
+});
+
+// 特定の本とその蔵書を返す
+exports.book_detail = asyncHandler(async (req, res, next) => {
+  const [book, bookInstances] = await Promise.all([
+    Book.findById(req.params.id).populate("author").populate("genre").exec(),
+    BookInstance.find({ book: req.params.id }).exec(),
+  ]);
+
+  if (book === null) {
+    return next(notFound());
+  }
+
+  res.json({
+    ...serializeBook(book),
+    instances: bookInstances.map(serializeBookInstance),
+  });
+});
+
+// 本を作成（同じISBNの本があれば 409）
+exports.book_create = [
+  ...bookRules,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return;
+    }
+
+    const existing = await findSameIsbn(req.body.isbn);
+    if (existing) {
+      sendConflict(res, existing);
+      return;
+    }
+
+    const book = new Book({
+      title: req.body.title,
+      author: req.body.author,
+      summary: req.body.summary,
+      isbn: req.body.isbn,
+      genre: req.body.genre,
+    });
+    await book.save();
+    await book.populate(["author", "genre"]);
+
+    res
+      .status(201)
+      .location(req.baseUrl + "/books/" + book._id)
+      .json(serializeBook(book));
+  }),
+];
+
+// 本を更新（同じISBNの別の本があれば 409）
+exports.book_update = [
+  ...bookRules,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return;
+    }
+
+    const existing = await findSameIsbn(req.body.isbn, req.params.id);
+    if (existing) {
+      sendConflict(res, existing);
+      return;
+    }
+
+    const book = await Book.findByIdAndUpdate(
+      req.params.id,
+      {
+        title: req.body.title,
+        author: req.body.author,
+        summary: req.body.summary,
+        isbn: req.body.isbn,
+        genre: req.body.genre,
+      },
+      { new: true, runValidators: true }
+    )
+      .populate("author")
+      .populate("genre")
+      .exec();
+
+    if (book === null) {
+      return next(notFound());
+    }
+
+    res.json(serializeBook(book));
+  }),
+];
+
+// 本を削除（蔵書があれば 409）
+exports.book_delete = asyncHandler(async (req, res, next) => {
+  const [book, bookInstances] = await Promise.all([
+    Book.findById(req.params.id).exec(),
+    BookInstance.find({ book: req.params.id }).exec(),
+  ]);
+
+  if (book === null) {
+    return next(notFound());
+  }
+
+  if (bookInstances.length > 0) {
+    res.status(409).json({
+      error: {
+        status: 409,
+        message: t("api.book_has_copies"),
+        instances: bookInstances.map(serializeBookInstance),
+      },
+    });
+    return;
+  }
+
+  // ゴミ箱に移動（/catalog/trash から元に戻せる）
+  await trash.moveToTrash(Book, req.params.id, req.user);
+  res.status(204).end();
+});
@@ -0,0 +1,143 @@
+const BookInstance = require("../../models/bookinstance");
+const trash = require("../../services/trash");
+const { serializeBookInstance } = require("./serializers");
+
+const { validationResult } = require("express-validator");
+const { bookInstanceRules } = require("../../validators/catalog");
+const asyncHandler = require("express-async-handler");
+const { t } = require("../../helpers/i18n");
+
+// 蔵書が見つからないときのエラー
+function notFound() {
+  const err = new Error(t("bookinstance.not_found"));
+  err.status = 404;
+  return err;
+}
+
+// 同じバーコードの別の蔵書があれば 409 エラーを返す（ゴミ箱の蔵書も含む）
+async function barcodeConflict(barcode, exceptId) {
+  if (!barcode) return null;
+  const filter = { barcode: barcode };
+  if (exceptId) filter._id = { $ne: exceptId };
+  if (!(await BookInstance.exists(filter).setOptions({ withDeleted: true }))) {
+    return null;
+  }
+  const err = new Error(t("validation.barcode_taken"));
+  err.status = 409;
+  return err;
+}
+
+// リクエストから蔵書のフィールドを取り出す
+// （バーコードが空なら、作成時は自動生成、更新時は今のバーコードのまま）
+function bookInstanceFields(req) {
+  const loaned = req.body.status === "Loaned";
+  return {
+    book: req.body.book,
+    imprint: req.body.imprint,
+    barcode: req.body.barcode || undefined,
+    branch: req.body.branch,
+    shelf: req.body.shelf,
+    status: req.body.status,
+    due_back: req.body.due_back,
+    borrower_name: loaned ? req.body.borrower_name : null,
+    borrower_card_number: loaned ? req.body.borrower_card_number : null,
+  };
+}
+
+// すべての蔵書のリストを返す
+exports.bookinstance_list = asyncHandler(async (req, res, next) => {
+  const allBookInstances = await BookInstance.find()
+    .populate("book branch")
+    .exec();
+  res.json(allBookInstances.map(serializeBookInstance));
+});
+
+// 特定の蔵書を返す
+exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
+  const bookInstance = await BookInstance.findById(req.params.id)
+    .populate("book branch")
+    .exec();
+
+  if (bookInstance === null) {
+    return next(notFound());
+  }
+
+  res.json(serializeBookInstance(bookInstance));
+});
+
+// 蔵書を作成
+exports.bookinstance_create = [
+  ...bookInstanceRules,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return;
+    }
+
+    const conflict = await barcodeConflict(req.body.barcode);
+    if (conflict) {
+      return next(conflict);
+    }
+
+    const bookInstance = new BookInstance(bookInstanceFields(req));
+    await bookInstance.save();
+    await bookInstance.populate("book branch");
+
+    res
+      .status(201)
+      .location(req.baseUrl + "/bookinstances/" + bookInstance._id)
+      .json(serializeBookInstance(bookInstance));
+  }),
+];
+
+// 蔵書を更新
+exports.bookinstance_update = [
+  ...bookInstanceRules,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return;
+    }
+
+    const conflict = await barcodeConflict(req.body.barcode, req.params.id);
+    if (conflict) {
+      return next(conflict);
+    }
+
+    // 移送中の蔵書は受け取るまで変更できない
+    const bookInstance = await BookInstance.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: "InTransit" } },
+      bookInstanceFields(req),
+      { new: true, runValidators: true }
+    )
+      .populate("book branch")
+      .exec();
+
+    if (bookInstance === null) {
+      if (await BookInstance.exists({ _id: req.params.id })) {
+        const err = new Error(t("bookinstance.in_transit_locked"));
+        err.status = 409;
+        return next(err);
+      }
+      return next(notFound());
+    }
+
+    res.json(serializeBookInstance(bookInstance));
+  }),
+];
+
+// 蔵書を削除
+exports.bookinstance_delete = asyncHandler(async (req, res, next) => {
+  // ゴミ箱に移動（貸出中・取り置き中・移送中なら409）
+  const bookInstance = await trash.moveCopyToTrash(req.params.id, req.user);
+
+  if (bookInstance === null) {
+    return next(notFound());
+  }
+
+  res.status(204).end();
+});
@@ -0,0 +1,142 @@
+const Genre = require("../../models/genre");
+const Book = require("../../models/book");
+const trash = require("../../services/trash");
+const { serializeBook, serializeGenre } = require("./serializers");
+
+const { validationResult } = require("express-validator");
+const { genreRules } = require("../../validators/catalog");
+const asyncHandler = require("express-async-handler");
+const { t } = require("../../helpers/i18n");
+
+// ジャンルが見つからないときのエラー
+function notFound() {
+  const err = new Error(t("genre.not_found"));
+  err.status = 404;
+  return err;
+}
+
+// 同名（大文字小文字区別なし）の別のジャンルを探す
+function findSameName(name, exceptId) {
+  const filter = { name: name };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return Genre.findOne(filter).collation({ locale: "en", strength: 2 }).exec();
+}
+
+// 同名のジャンルが既にあるときのレスポンス
+function sendConflict(res, existing) {
+  res.status(409).json({
+    error: {
+      status: 409,
+      message: t("api.genre_exists"),
+      genre: serializeGenre(existing),
+    },
+  });
+}
+
+// すべてのジャンルのリストを返す
+exports.genre_list = asyncHandler(async (req, res, next) => {
+  const allGenres = await Genre.find().sort({ name: 1 }).exec();
+  res.json(allGenres.map(serializeGenre));
+});
+
+// 特定のジャンルとその本を返す
+exports.genre_detail = asyncHandler(async (req, res, next) => {
+  const [genre, booksInGenre] = await Promise.all([
+    Genre.findById(req.params.id).exec(),
+    Book.find({ genre: req.params.id }).exec(),
+  ]);
+
+  if (genre === null) {
+    return next(notFound());
+  }
+
+  res.json({
+    ...serializeGenre(genre),
+    books: booksInGenre.map(serializeBook),
+  });
+});
+
+// ジャンルを作成（同名があれば 409）
+exports.genre_create = [
+  ...genreRules,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return;
+    }
+
+    const genreExists = await findSameName(req.body.name);
+    if (genreExists) {
+      sendConflict(res, genreExists);
+      return;
+    }
+
+    const genre = new Genre({ name: req.body.name });
+    await genre.save();
+
+    res
+      .status(201)
+      .location(req.baseUrl + "/genres/" + genre._id)
+      .json(serializeGenre(genre));
+  }),
+];
+
+// ジャンルを更新（別の同名ジャンルがあれば 409）
+exports.genre_update = [
+  ...genreRules,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return;
+    }
+
+    const genreExists = await findSameName(req.body.name, req.params.id);
+    if (genreExists) {
+      sendConflict(res, genreExists);
+      return;
+    }
+
+    const genre = await Genre.findByIdAndUpdate(
+      req.params.id,
+      { name: req.body.name },
+      { new: true, runValidators: true }
+    ).exec();
+
+    if (genre === null) {
+      return next(notFound());
+    }
+
+    res.json(serializeGenre(genre));
+  }),
+];
+
+// ジャンルを削除（本があれば 409）
+exports.genre_delete = asyncHandler(async (req, res, next) => {
+  const [genre, booksInGenre] = await Promise.all([
+    Genre.findById(req.params.id).exec(),
+    Book.find({ genre: req.params.id }).exec(),
+  ]);
+
+  if (genre === null) {
+    return next(notFound());
+  }
+
+  if (booksInGenre.length > 0) {
+    res.status(409).json({
+      error: {
+        status: 409,
+        message: t("api.genre_has_books"),
+        books: booksInGenre.map(serializeBook),
+      },
+    });
+    return;
+  }
+
+  // ゴミ箱に移動（/catalog/trash から元に戻せる）
+  await trash.moveToTrash(Genre, req.params.id, req.user);
+  res.status(204).end();
+});
@@ -0,0 +1,60 @@
+// APIレスポンス用にドキュメントをプレーンなオブジェクトへ変換する
+// 参照先は populate 済みなら概要を埋め込み、未 populate なら id だけを返す
+
+const idOf = (ref) => (ref == null ? null : ref._id.toString());
+
+const isPopulated = (ref) => ref != null && ref._id !== ref;
+
+exports.serializeAuthor = (author) => ({
+  id: idOf(author),
+  first_name: author.first_name,
+  family_name: author.family_name,
+  first_name_kana: author.first_name_kana || null,
+  family_name_kana: author.family_name_kana || null,
+  name_order: author.name_order,
+  name: author.name,
+  date_of_birth: author.date_of_birth || null,
+  date_of_death: author.date_of_death || null,
+  url: author.url,
+});
+
+exports.serializeGenre = (genre) => ({
+  id: idOf(genre),
+  name: genre.name,
+  url: genre.url,
+});
+
+exports.serializeBook = (book) => ({
+  id: idOf(book),
+  title: book.title,
+  author: isPopulated(book.author)
+    ? { id: idOf(book.author), name: book.author.name }
+    : idOf(book.author),
+  summary: book.summary,
+  isbn: book.isbn,
+  genre: book.genre.map((genre) =>
+    isPopulated(genre) ? { id: idOf(genre), name: genre.name } : idOf(genre)
+  ),
+  url: book.url,
+  cover_url: book.cover_url,
+  cover_thumbnail_url: book.cover_thumbnail_url,
+});
+
+exports.serializeBookInstance = (bookInstance) => ({
+  id: idOf(bookInstance),
+  book: isPopulated(bookInstance.book)
+    ? { id: idOf(bookInstance.book), title: bookInstance.book.title }
+    : idOf(bookInstance.book),
+  imprint: bookInstance.imprint,
+  barcode: bookInstance.barcode || null,
+  accession_number: bookInstance.accession_number || null,
+  branch: isPopulated(bookInstance.branch)
+    ? { id: idOf(bookInstance.branch), name: bookInstance.branch.name }
+    : idOf(bookInstance.branch),
+  shelf: bookInstance.shelf || null,
+  status: bookInstance.status,
+  due_back: bookInstance.due_back || null,
+  borrower_name: bookInstance.borrower_name || null,
+  borrower_card_number: bookInstance.borrower_card_number || null,
+  url: bookInstance.url,
+});
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+const AuditEntry = require("../models/auditentry");
+const User = require("../models/user");
+const { listOptions, paginate } = require("../helpers/pagination");
+const { unescapeStored } = require("../helpers/highlight");
+
+const { DateTime } = require("luxon");
+const asyncHandler = require("express-async-handler");
+
+// 変更履歴の並び順（label はメッセージのキー）
+const AUDIT_SORTS = {
+  "-created": {
+    label: "audit.sort.-created",
+    sort: { created_at: -1, _id: -1 },
+  },
+  created: { label: "audit.sort.created", sort: { created_at: 1, _id: 1 } },
+};
+
+// 対象と操作の表示名（メッセージのキー）
+const MODEL_LABELS = {
+  Book: "audit.models.Book",
+  Author: "audit.models.Author",
+  Genre: "audit.models.Genre",
+  BookInstance: "audit.models.BookInstance",
+  Branch: "audit.models.Branch",
+};
+const ACTION_LABELS = {
+  create: "audit.actions.create",
+  update: "audit.actions.update",
+  delete: "audit.actions.delete",
+  restore: "audit.actions.restore",
+  purge: "audit.actions.purge",
+};
+
+// 記録された値を表示用の文字列にする（カタログの文字列はエスケープ済みなので戻す）
+function displayValue(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(displayValue).join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return unescapeStored(String(value));
+}
+
+// YYYY-MM-DD の日付を、その日の始まりの Date にする（不正なら null）
+function parseDay(value) {
+  if (typeof value !== "string" || value === "") return null;
+  const day = DateTime.fromISO(value);
+  return day.isValid ? day.startOf("day") : null;
+}
+
+// 変更履歴の一覧を表示（対象・操作・操作者・期間で絞り込み）
+exports.audit_list = asyncHandler(async (req, res, next) => {
+  const options = listOptions(req, AUDIT_SORTS, "-created");
+
+  const selected = {
+    model: MODEL_LABELS[req.query.model] ? req.query.model : "",
+    action: ACTION_LABELS[req.query.action] ? req.query.action : "",
+    document: mongoose.isObjectIdOrHexString(req.query.document)
+      ? req.query.document
+      : "",
+    actor:
+      req.query.actor === "system" ||
+      mongoose.isObjectIdOrHexString(req.query.actor)
+        ? req.query.actor
+        : "",
+    from: parseDay(req.query.from),
+    to: parseDay(req.query.to),
+  };
+
+  const filter = {};
+  if (selected.model) filter.model = selected.model;
+  if (selected.action) filter.action = selected.action;
+  if (selected.document) filter.document_id = selected.document;
+  if (selected.actor) {
+    filter.actor = selected.actor === "system" ? null : selected.actor;
+  }
+  if (selected.from || selected.to) {
+    filter.created_at = {};
+    if (selected.from) filter.created_at.$gte = selected.from.toJSDate();
+    if (selected.to) {
+      filter.created_at.$lt = selected.to.plus({ days: 1 }).toJSDate();
+    }
+  }
+
+  const [total, staff] = await Promise.all([
+    AuditEntry.countDocuments(filter).exec(),
+    User.find({ role: { $in: ["librarian", "admin"] } })
+      .sort({ display_name: 1 })
+      .exec(),
+  ]);
+  const pagination = paginate(req, total, options);
+
+  const entries = await AuditEntry.find(filter)
+    .sort(options.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit)
+    .exec();
+
+  // 1件の記録の履歴を表示しているときは、見出しにその名前を出す
+  const documentLabel =
+    selected.document && entries.length
+      ? unescapeStored(entries[0].document_label || "")
+      : "";
+
+  res.render("audit_list", {
+    title: documentLabel
+      ? req.t("audit.document_title", { label: documentLabel })
+      : req.t("audit.title"),
+    entries: entries.map((entry) => ({
+      entry: entry,
+      label: unescapeStored(entry.document_label || ""),
+      changes: entry.changes.map((change) => ({
+        field: change.field,
+        before: displayValue(change.before),
+        after: displayValue(change.after),
+      })),
+    })),
+    model_labels: MODEL_LABELS,
+    action_labels: ACTION_LABELS,
+    staff: staff,
+    selected: {
+      ...selected,
+      from: selected.from ? selected.from.toISODate() : "",
+      to: selected.to ? selected.to.toISODate() : "",
+    },
+    pagination: pagination,
+  });
+});
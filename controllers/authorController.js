@@ -1,15 +1,83 @@
 const Author = require("../models/author");
 const Book = require("../models/book");
+const trash = require("../services/trash");
+const cascade = require("../services/cascade");
 
-const { body, validationResult } = require("express-validator");
+const { validationResult } = require("express-validator");
+const {
+  authorRules,
+  versionRule,
+  cascadeRules,
+} = require("../validators/catalog");
 const asyncHandler = require("express-async-handler");
+const { listOptions, paginate } = require("../helpers/pagination");
+const {
+  updateIfUnchanged,
+  conflictingFields,
+} = require("../helpers/concurrency");
+
+// 著者一覧の並び順（label はメッセージのキー）
+const AUTHOR_SORTS = {
+  // 姓名の読み（読みがなければ表記）の順。照合順序は Author.NAME_COLLATION
+  family_name: {
+    label: "author.sort.family_name",
+    sort: { sort_name: 1, _id: 1 },
+  },
+  "-family_name": {
+    label: "author.sort.-family_name",
+    sort: { sort_name: -1, _id: -1 },
+  },
+  first_name: {
+    label: "author.sort.first_name",
+    sort: { first_name: 1, family_name: 1, _id: 1 },
+  },
+  date_of_birth: {
+    label: "author.sort.date_of_birth",
+    sort: { date_of_birth: 1, _id: 1 },
+  },
+  "-date_of_birth": {
+    label: "author.sort.-date_of_birth",
+    sort: { date_of_birth: -1, _id: -1 },
+  },
+};
+
+// 著者一覧の絞り込み（存命・故人。label はメッセージのキー）
+const AUTHOR_FILTERS = {
+  living: { label: "author.life.living", filter: { date_of_death: null } },
+  deceased: {
+    label: "author.life.deceased",
+    filter: { date_of_death: { $ne: null } },
+  },
+};
 
 // すべての著者のリストを表示
 exports.author_list = asyncHandler(async (req, res, next) => {
-  const allAuthors = await Author.find().sort({ family_name: 1 }).exec();
+  const options = listOptions(req, AUTHOR_SORTS, "family_name");
+
+  const lifeFilter = Object.prototype.hasOwnProperty.call(
+    AUTHOR_FILTERS,
+    req.query.life
+  )
+    ? req.query.life
+    : "";
+  const filter = lifeFilter ? AUTHOR_FILTERS[lifeFilter].filter : {};
+
+  const total = await Author.countDocuments(filter).exec();
+  const pagination = paginate(req, total, options);
+
+  const authors = await Author.find(filter)
+    .sort(options.sort)
+    .collation(Author.NAME_COLLATION)
+    .skip(pagination.skip)
+    .limit(pagination.limit)
+    .exec();
+
   res.render("author_list", {
-    title: "著者一覧",
-    author_list: allAuthors,
+    title: req.t("author.list_title"),
+    author_list: authors,
+    life_filters: AUTHOR_FILTERS,
+    selected_life: lifeFilter,
+    pagination: pagination,
   });
 });
 
@@ -18,18 +86,18 @@ exports.author_detail = asyncHandler(async (req, res, next) => {
   // 著者とその著書を並行して取得
   const [author, allBooksByAuthor] = await Promise.all([
     Author.findById(req.params.id).exec(),
-    Book.find({ author: req.params.id }, "title summary").exec(),
+    Book.find({ author: req.params.id }, "title summary cover").exec(),
   ]);
 
   if (author === null) {
     // 結果なし
-    const err = new Error("著者が見つかりません");
+    const err = new Error(req.t("author.not_found"));
     err.status = 404;
     return next(err);
   }
 
   res.render("author_detail", {
-    title: "著者詳細",
+    title: req.t("author.detail_title"),
     author: author,
     author_books: allBooksByAuthor,
   });
@@ -37,34 +105,13 @@ exports.author_detail = asyncHandler(async (req, res, next) => {
 
 // 著者作成フォームをGETで表示
 exports.author_create_get = (req, res, next) => {
-  res.render("author_form", { title: "著者の作成" });
+  res.render("author_form", { title: req.t("author.create_title") });
 };
 
 // 著者作成をPOSTで処理
 exports.author_create_post = [
   // フィールドのバリデーションとサニタイズ
-  body("first_name")
-    .trim()
-    .isLength({ min: 1 })
-    .escape()
-    .withMessage("名は必須です。")
-    .isAlphanumeric()
-    .withMessage("名には英数字のみ使用できます。"),
-  body("family_name")
-    .trim()
-    .isLength({ min: 1 })
-    .escape()
-    .withMessage("姓は必須です。")
-    .isAlphanumeric()
-    .withMessage("姓には英数字のみ使用できます。"),
-  body("date_of_birth", "生年月日が無効です")
-    .optional({ values: "falsy" })
-    .isISO8601()
-    .toDate(),
-  body("date_of_death", "没年月日が無効です")
-    .optional({ values: "falsy" })
-    .isISO8601()
-    .toDate(),
+  ...authorRules,
 
   // バリデーションとサニタイズ後のリクエスト処理
   asyncHandler(async (req, res, next) => {
@@ -75,6 +122,9 @@ exports.author_create_post = [
     const author = new Author({
       first_name: req.body.first_name,
       family_name: req.body.family_name,
+      first_name_kana: req.body.first_name_kana,
+      family_name_kana: req.body.family_name_kana,
+      name_order: req.body.name_order,
       date_of_birth: req.body.date_of_birth,
       date_of_death: req.body.date_of_death,
     });
@@ -82,7 +132,7 @@ exports.author_create_post = [
     if (!errors.isEmpty()) {
       // エラーあり。フォームを再表示
       res.render("author_form", {
-        title: "著者の作成",
+        title: req.t("author.create_title"),
         author: author,
         errors: errors.array(),
       });
@@ -99,86 +149,110 @@ exports.author_create_post = [
 ];
 
 // 著者削除フォームをGETで表示
+// 著者削除ページを表示（著書とその蔵書の木と、本の付け替え先の著者を含む）
+async function renderAuthorDelete(req, res, impact, errors) {
+  const otherAuthors = impact.book_count
+    ? await Author.find({ _id: { $ne: impact.doc._id } })
+        .sortByName()
+        .exec()
+    : [];
+  res.status(errors ? 409 : 200).render("author_delete", {
+    title: req.t("author.delete_title"),
+    author: impact.doc,
+    impact: impact,
+    authors: otherAuthors,
+    errors: errors,
+  });
+}
+
 exports.author_delete_get = asyncHandler(async (req, res, next) => {
-  // 著者とその著書を並行して取得
-  const [author, allBooksByAuthor] = await Promise.all([
-    Author.findById(req.params.id).exec(),
-    Book.find({ author: req.params.id }, "title summary").exec(),
-  ]);
+  // 著者と、削除の影響（著書とその蔵書）を取得
+  const impact = await cascade.impactOf("author", req.params.id);
 
-  if (author === null) {
+  if (impact === null) {
     // 結果なし
     res.redirect("/catalog/authors");
+    return;
   }
 
-  res.render("author_delete", {
-    title: "著者の削除",
-    author: author,
-    author_books: allBooksByAuthor,
-  });
+  await renderAuthorDelete(req, res, impact);
 });
 
 // 著者削除をPOSTで処理
-exports.author_delete_post = asyncHandler(async (req, res, next) => {
-  // 著者とその著書を並行して取得
-  const [author, allBooksByAuthor] = await Promise.all([
-    Author.findById(req.params.id).exec(),
-    Book.find({ author: req.params.id }, "title summary").exec(),
-  ]);
+exports.author_delete_post = [
+  // 著書があるときの削除の方法のバリデーション
+  ...cascadeRules,
 
-  if (allBooksByAuthor.length > 0) {
-    // 著者に著書がある場合、GETと同様に表示
-    res.render("author_delete", {
-      title: "著者の削除",
-      author: author,
-      author_books: allBooksByAuthor,
-    });
-    return;
-  } else {
-    // 著者に著書がなければ削除し、著者一覧へリダイレクト
-    await Author.findByIdAndDelete(req.body.authorid);
-    res.redirect("/catalog/authors");
-  }
-});
+  asyncHandler(async (req, res, next) => {
+    const impact = await cascade.impactOf("author", req.params.id);
+
+    if (impact === null) {
+      // 結果なし（他の人が削除した）
+      res.redirect("/catalog/authors");
+      return;
+    }
+
+    if (impact.book_count === 0) {
+      // 著者に著書がなければゴミ箱に移動し、著者一覧へリダイレクト
+      await trash.moveToTrash(Author, req.params.id, req.user);
+      res.redirect("/catalog/authors");
+      return;
+    }
+
+    // 著書がある。本を別の著者に付け替えるか、本と蔵書もまとめてゴミ箱に移動する
+    const errors = validationResult(req).array();
+    if (errors.length === 0) {
+      try {
+        if (req.body.action === "cascade") {
+          await cascade.cascadeToTrash("author", req.params.id, req.user);
+          res.redirect("/catalog/authors");
+        } else {
+          await cascade.reassignAndTrash(
+            "author",
+            req.params.id,
+            req.body.target,
+            req.user
+          );
+          res.redirect("/catalog/author/" + req.body.target);
+        }
+        return;
+      } catch (err) {
+        if (err.status === 404) {
+          res.redirect("/catalog/authors");
+          return;
+        }
+        if (err.status !== 400 && err.status !== 409) throw err;
+        errors.push({ msg: err.message });
+      }
+    }
+
+    // エラーあり。今の影響を示して削除ページを再表示
+    await renderAuthorDelete(req, res, impact, errors);
+  }),
+];
 
 // 著者更新フォームをGETで表示
 exports.author_update_get = asyncHandler(async (req, res, next) => {
   const author = await Author.findById(req.params.id).exec();
   if (author === null) {
     // 結果なし
-    const err = new Error("著者が見つかりません");
+    const err = new Error(req.t("author.not_found"));
     err.status = 404;
     return next(err);
   }
 
-  res.render("author_form", { title: "著者の更新", author: author });
+  res.render("author_form", {
+    title: req.t("author.update_title"),
+    author: author,
+    version: author.__v,
+  });
 });
 
 // 著者更新をPOSTで処理
 exports.author_update_post = [
-  // フィールドのバリデーションとサニタイズ
-  body("first_name")
-    .trim()
-    .isLength({ min: 1 })
-    .escape()
-    .withMessage("名は必須です。")
-    .isAlphanumeric()
-    .withMessage("名には英数字のみ使用できます。"),
-  body("family_name")
-    .trim()
-    .isLength({ min: 1 })
-    .escape()
-    .withMessage("姓は必須です。")
-    .isAlphanumeric()
-    .withMessage("姓には英数字のみ使用できます。"),
-  body("date_of_birth", "生年月日が無効です")
-    .optional({ values: "falsy" })
-    .isISO8601()
-    .toDate(),
-  body("date_of_death", "没年月日が無効です")
-    .optional({ values: "falsy" })
-    .isISO8601()
-    .toDate(),
+  // フィールドとバージョンのバリデーションとサニタイズ
+  ...authorRules,
+  versionRule,
 
   // バリデーションとサニタイズ後のリクエスト処理
   asyncHandler(async (req, res, next) => {
@@ -189,6 +263,9 @@ exports.author_update_post = [
     const author = new Author({
       first_name: req.body.first_name,
       family_name: req.body.family_name,
+      first_name_kana: req.body.first_name_kana,
+      family_name_kana: req.body.family_name_kana,
+      name_order: req.body.name_order,
       date_of_birth: req.body.date_of_birth,
       date_of_death: req.body.date_of_death,
       _id: req.params.id,
@@ -197,15 +274,48 @@ exports.author_update_post = [
     if (!errors.isEmpty()) {
       // エラーあり。フォームを再表示
       res.render("author_form", {
-        title: "著者の更新",
+        title: req.t("author.update_title"),
         author: author,
+        version: req.body.version,
         errors: errors.array(),
       });
       return;
-    } else {
-      // フォームデータは有効。レコードを更新
-      await Author.findByIdAndUpdate(req.params.id, author);
-      res.redirect(author.url);
     }
+
+    // フォームデータは有効。フォームを開いた後に変更されていなければレコードを更新
+    const { doc, current } = await updateIfUnchanged(
+      Author,
+      req.params.id,
+      req.body.version,
+      author
+    );
+    if (doc) {
+      res.redirect(doc.url);
+      return;
+    }
+    if (current === null) {
+      // 他の人が削除した
+      const err = new Error(req.t("author.not_found"));
+      err.status = 404;
+      return next(err);
+    }
+
+    // 他の人が先に更新した。保存されている値を示してフォームを再表示
+    // 次の送信で上書きできるよう、バージョンは現在のものにする
+    res.status(409).render("author_form", {
+      title: req.t("author.update_title"),
+      author: author,
+      version: current.__v,
+      conflicts: conflictingFields(current, author, {
+        "author.fields.first_name": (doc) => doc.first_name,
+        "author.fields.family_name": (doc) => doc.family_name,
+        "author.fields.first_name_kana": (doc) => doc.first_name_kana,
+        "author.fields.family_name_kana": (doc) => doc.family_name_kana,
+        "author.fields.name_order": (doc) =>
+          req.t("author.name_order." + doc.name_order),
+        "author.fields.date_of_birth": (doc) => doc.date_of_birth_yyyy_mm_dd,
+        "author.fields.date_of_death": (doc) => doc.date_of_death_yyyy_mm_dd,
+      }),
+    });
   }),
 ];
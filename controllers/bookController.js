@@ -1,10 +1,80 @@
+const mongoose = require("mongoose");
+
 const Book = require("../models/book");
 const Author = require("../models/author");
 const Genre = require("../models/genre");
 const BookInstance = require("../models/bookinstance");
-
-const { body, validationResult } = require("express-validator");
+const Hold = require("../models/hold");
+const trash = require("../services/trash");
+const cascade = require("../services/cascade");
+const covers = require("../services/covers");
+const { bookToRecord } = require("../services/marc");
+const { toMarcXml } = require("../helpers/marc");
+
+const { validationResult } = require("express-validator");
+const {
+  bookRules,
+  versionRule,
+  cascadeRules,
+} = require("../validators/catalog");
 const asyncHandler = require("express-async-handler");
+const multer = require("multer");
+const { listOptions, paginate } = require("../helpers/pagination");
+const {
+  updateIfUnchanged,
+  conflictingFields,
+} = require("../helpers/concurrency");
+
+// 本一覧の並び順（label はメッセージのキー）
+const BOOK_SORTS = {
+  title: { label: "book.sort.title", sort: { title: 1, _id: 1 } },
+  "-title": { label: "book.sort.-title", sort: { title: -1, _id: -1 } },
+  isbn: { label: "book.sort.isbn", sort: { isbn: 1, _id: 1 } },
+  "-created": { label: "book.sort.-created", sort: { _id: -1 } },
+};
+
+// ゴミ箱の本も含めて検索するオプション
+const WITH_DELETED = { withDeleted: true };
+
+const coverUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: covers.MAX_COVER_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const allowed = covers.COVER_TYPES.includes(file.mimetype);
+    if (!allowed) req.cover_error = req.t("cover.bad_type");
+    cb(null, allowed);
+  },
+});
+
+// 表紙画像を受け取る（フォームの値もここで読み込まれる）
+// サイズ超過などはフォームのエラーとして表示するため req.cover_error に入れる
+function receiveCover(req, res, next) {
+  coverUpload.single("cover")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      req.cover_error =
+        err.code === "LIMIT_FILE_SIZE"
+          ? req.t("cover.too_large", {
+              size: covers.MAX_COVER_SIZE / 1024 / 1024,
+            })
+          : req.t("cover.upload_failed");
+      return next();
+    }
+    next(err);
+  });
+}
+
+// アップロードされた表紙を保存して名前を返す（ファイルがなければ null）
+// 画像として保存できなければ errors にメッセージを追加して null を返す
+async function storeCover(req, errors) {
+  if (!req.file || req.file.size === 0) return null;
+  try {
+    return await covers.save(req.file.buffer);
+  } catch (err) {
+    if (err.status !== 400) throw err;
+    errors.push({ msg: err.message });
+    return null;
+  }
+}
 
 // ホームページのインデックスを表示
 exports.index = asyncHandler(async (req, res, next) => {
@@ -24,7 +94,7 @@ exports.index = asyncHandler(async (req, res, next) => {
   ]);
 
   res.render("index", {
-    title: "ローカルライブラリ ホーム",
+    title: req.t("home.title"),
     book_count: numBooks,
     book_instance_count: numBookInstances,
     book_instance_available_count: numAvailableBookInstances,
@@ -35,25 +105,72 @@ exports.index = asyncHandler(async (req, res, next) => {
 
 // すべての本のリストを表示
 exports.book_list = asyncHandler(async (req, res, next) => {
-  const allBooks = await Book.find({}, "title author")
-    .sort({ title: 1 })
+  const options = listOptions(req, BOOK_SORTS, "title");
+
+  // ジャンルで絞り込み
+  const genreFilter = mongoose.isObjectIdOrHexString(req.query.genre)
+    ? req.query.genre
+    : "";
+  const filter = genreFilter ? { genre: genreFilter } : {};
+
+  const [total, allGenres] = await Promise.all([
+    Book.countDocuments(filter).exec(),
+    Genre.find().sort({ name: 1 }).exec(),
+  ]);
+  const pagination = paginate(req, total, options);
+
+  const books = await Book.find(filter, "title author cover")
+    .sort(options.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit)
     .populate("author")
     .exec();
 
-  res.render("book_list", { title: "本リスト", book_list: allBooks });
+  res.render("book_list", {
+    title: req.t("book.list_title"),
+    book_list: books,
+    genres: allGenres,
+    selected_genre: genreFilter,
+    pagination: pagination,
+  });
 });
 
+// 蔵書を分館ごとにまとめる（分館名の順。分館のない蔵書は最後）
+// 各グループは { branch, copies, available_count }
+function groupByBranch(bookInstances) {
+  const groups = new Map();
+  for (const copy of bookInstances) {
+    const key = copy.branch ? copy.branch._id.toString() : "";
+    if (!groups.has(key)) {
+      groups.set(key, { branch: copy.branch, copies: [], available_count: 0 });
+    }
+    const group = groups.get(key);
+    group.copies.push(copy);
+    if (copy.status === "Available") group.available_count += 1;
+  }
+  return [...groups.values()].sort((a, b) => {
+    if (!a.branch || !b.branch) return a.branch ? -1 : b.branch ? 1 : 0;
+    return a.branch.name.localeCompare(b.branch.name);
+  });
+}
+
 // 特定の本の詳細ページを表示
 exports.book_detail = asyncHandler(async (req, res, next) => {
-  // 本とその蔵書の詳細を取得
-  const [book, bookInstances] = await Promise.all([
+  // 本とその蔵書、受付中の予約を取得
+  const [book, bookInstances, openHolds] = await Promise.all([
     Book.findById(req.params.id).populate("author").populate("genre").exec(),
-    BookInstance.find({ book: req.params.id }).exec(),
+    BookInstance.find({ book: req.params.id })
+      .sort({ shelf: 1, _id: 1 })
+      .populate("branch")
+      .exec(),
+    Hold.find({ book: req.params.id, status: { $in: ["Waiting", "Ready"] } })
+      .sort({ placed_at: 1, _id: 1 })
+      .exec(),
   ]);
 
   if (book === null) {
     // 結果なし
-    const err = new Error("本が見つかりません");
+    const err = new Error(req.t("book.not_found"));
     err.status = 404;
     return next(err);
   }
@@ -61,20 +178,41 @@ exports.book_detail = asyncHandler(async (req, res, next) => {
   res.render("book_detail", {
     title: book.title,
     book: book,
-    book_instances: bookInstances,
+    branch_groups: groupByBranch(bookInstances),
+    hold_count: openHolds.filter((hold) => hold.status === "Waiting").length,
+    holds: req.user && req.user.is_staff ? openHolds : [],
   });
 });
 
+// 特定の本をMARCXMLでダウンロード
+exports.book_marcxml = asyncHandler(async (req, res, next) => {
+  const book = await Book.findById(req.params.id)
+    .populate("author")
+    .populate("genre")
+    .exec();
+
+  if (book === null) {
+    // 結果なし
+    const err = new Error(req.t("book.not_found"));
+    err.status = 404;
+    return next(err);
+  }
+
+  res.attachment(`book-${book.isbn}.xml`);
+  res.type("application/marcxml+xml; charset=utf-8");
+  res.send(toMarcXml([bookToRecord(book)]));
+});
+
 // 本作成フォームをGETで表示
 exports.book_create_get = asyncHandler(async (req, res, next) => {
   // 著者とジャンルをすべて取得
   const [allAuthors, allGenres] = await Promise.all([
-    Author.find().sort({ family_name: 1 }).exec(),
+    Author.find().sortByName().exec(),
     Genre.find().sort({ name: 1 }).exec(),
   ]);
 
   res.render("book_form", {
-    title: "本の作成",
+    title: req.t("book.create_title"),
     authors: allAuthors,
     genres: allGenres,
   });
@@ -82,35 +220,16 @@ exports.book_create_get = asyncHandler(async (req, res, next) => {
 
 // 本作成をPOSTで処理
 exports.book_create_post = [
-  // ジャンルを配列に変換
-  (req, res, next) => {
-    if (!Array.isArray(req.body.genre)) {
-      req.body.genre =
-        typeof req.body.genre === "undefined" ? [] : [req.body.genre];
-    }
-    next();
-  },
-
-  // フィールドのバリデーションとサニタイズ
-  body("title", "タイトルは必須です。")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("author", "著者は必須です。")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("summary", "概要は必須です。")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("isbn", "ISBNは必須です").trim().isLength({ min: 1 }).escape(),
-  body("genre.*").escape(),
+  // 表紙画像とフォームの値を受け取る
+  receiveCover,
+  // フィールドのバリデーションとサニタイズ（ジャンルの配列化を含む）
+  ...bookRules,
   // バリデーション・サニタイズ後のリクエスト処理
 
   asyncHandler(async (req, res, next) => {
     // バリデーションエラーを抽出
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
+    if (req.cover_error) errors.push({ msg: req.cover_error });
 
     // サニタイズ済みデータでBookオブジェクトを作成
     const book = new Book({
@@ -121,12 +240,25 @@ exports.book_create_post = [
       genre: req.body.genre,
     });
 
-    if (!errors.isEmpty()) {
+    // 同じISBNの本が既に登録されていないか確認（ゴミ箱の本も含む）
+    const duplicate =
+      errors.length === 0
+        ? await Book.findOne({ isbn: book.isbn }, null, WITH_DELETED)
+            .populate({ path: "author", options: WITH_DELETED })
+            .exec()
+        : null;
+
+    // 入力が有効なら表紙を保存
+    const cover =
+      errors.length === 0 && !duplicate ? await storeCover(req, errors) : null;
+    if (cover) book.cover = cover;
+
+    if (errors.length > 0 || duplicate) {
       // エラーあり。フォームを再表示
 
       // 著者とジャンルを再取得
       const [allAuthors, allGenres] = await Promise.all([
-        Author.find().sort({ family_name: 1 }).exec(),
+        Author.find().sortByName().exec(),
         Genre.find().sort({ name: 1 }).exec(),
       ]);
 
@@ -137,80 +269,124 @@ exports.book_create_post = [
         }
       }
       res.render("book_form", {
-        title: "本の作成",
+        title: req.t("book.create_title"),
         authors: allAuthors,
         genres: allGenres,
         book: book,
-        errors: errors.array(),
+        errors: errors,
+        duplicate: duplicate,
       });
     } else {
-      // データが有効。保存
-      await book.save();
+      // データが有効。保存（保存できなければ表紙のファイルも消す）
+      try {
+        await book.save();
+      } catch (err) {
+        await covers.remove(cover);
+        throw err;
+      }
       res.redirect(book.url);
     }
   }),
 ];
 
+// 本削除ページを表示（蔵書の一覧と、蔵書の付け替え先の本を含む）
+async function renderBookDelete(req, res, impact, errors) {
+  const [otherBooks] = await Promise.all([
+    impact.copy_count
+      ? Book.find({ _id: { $ne: impact.doc._id } }, "title")
+          .sort({ title: 1 })
+          .exec()
+      : [],
+    impact.doc.populate(["author", "genre"]),
+  ]);
+  res.status(errors ? 409 : 200).render("book_delete", {
+    title: req.t("book.delete_title"),
+    book: impact.doc,
+    impact: impact,
+    books: otherBooks,
+    errors: errors,
+  });
+}
+
 // 本削除フォームをGETで表示
 exports.book_delete_get = asyncHandler(async (req, res, next) => {
-  const [book, bookInstances] = await Promise.all([
-    Book.findById(req.params.id).populate("author").populate("genre").exec(),
-    BookInstance.find({ book: req.params.id }).exec(),
-  ]);
+  // 本と、削除の影響（蔵書）を取得
+  const impact = await cascade.impactOf("book", req.params.id);
 
-  if (book === null) {
+  if (impact === null) {
     // 結果なし
     res.redirect("/catalog/books");
+    return;
   }
 
-  res.render("book_delete", {
-    title: "本の削除",
-    book: book,
-    book_instances: bookInstances,
-  });
+  await renderBookDelete(req, res, impact);
 });
 
 // 本削除をPOSTで処理
-exports.book_delete_post = asyncHandler(async (req, res, next) => {
-  // idは有効と仮定（バリデーション・サニタイズなし）
+exports.book_delete_post = [
+  // 蔵書があるときの削除の方法のバリデーション
+  ...cascadeRules,
 
-  const [book, bookInstances] = await Promise.all([
-    Book.findById(req.params.id).populate("author").populate("genre").exec(),
-    BookInstance.find({ book: req.params.id }).exec(),
-  ]);
+  asyncHandler(async (req, res, next) => {
+    const impact = await cascade.impactOf("book", req.params.id);
 
-  if (book === null) {
-    // 結果なし
-    res.redirect("/catalog/books");
-  }
+    if (impact === null) {
+      // 結果なし
+      res.redirect("/catalog/books");
+      return;
+    }
 
-  if (bookInstances.length > 0) {
-    // 蔵書が存在。GETと同じように表示
-    res.render("book_delete", {
-      title: "本の削除",
-      book: book,
-      book_instances: bookInstances,
-    });
-    return;
-  } else {
-    // 蔵書がなければ削除し、リストにリダイレクト
-    await Book.findByIdAndDelete(req.body.id);
-    res.redirect("/catalog/books");
-  }
-});
+    if (impact.copy_count === 0) {
+      // 蔵書がなければゴミ箱に移動し、リストにリダイレクト
+      await trash.moveToTrash(Book, req.params.id, req.user);
+      res.redirect("/catalog/books");
+      return;
+    }
+
+    // 蔵書がある。蔵書を別の本に付け替えるか、まとめてゴミ箱に移動する
+    const errors = validationResult(req).array();
+    if (errors.length === 0) {
+      try {
+        if (req.body.action === "cascade") {
+          await cascade.cascadeToTrash("book", req.params.id, req.user);
+          res.redirect("/catalog/books");
+        } else {
+          await cascade.reassignAndTrash(
+            "book",
+            req.params.id,
+            req.body.target,
+            req.user
+          );
+          res.redirect("/catalog/book/" + req.body.target);
+        }
+        return;
+      } catch (err) {
+        if (err.status === 404) {
+          res.redirect("/catalog/books");
+          return;
+        }
+        if (err.status !== 400 && err.status !== 409) throw err;
+        errors.push({ msg: err.message });
+      }
+    }
+
+    // エラーあり。今の影響を示して削除ページを再表示
+    await renderBookDelete(req, res, impact, errors);
+  }),
+];
 
 // 本更新フォームをGETで表示
 exports.book_update_get = asyncHandler(async (req, res, next) => {
   // 本、著者、ジャンルを取得
   const [book, allAuthors, allGenres] = await Promise.all([
     Book.findById(req.params.id).populate("author").exec(),
-    Author.find().sort({ family_name: 1 }).exec(),
+    Author.find().sortByName().exec(),
     Genre.find().sort({ name: 1 }).exec(),
   ]);
 
   if (book === null) {
     // 結果なし
-    const err = new Error("本が見つかりません");
+    const err = new Error(req.t("book.not_found"));
     err.status = 404;
     return next(err);
   }
@@ -221,44 +397,27 @@ exports.book_update_get = asyncHandler(async (req, res, next) => {
   });
 
   res.render("book_form", {
-    title: "本の更新",
+    title: req.t("book.update_title"),
     authors: allAuthors,
     genres: allGenres,
     book: book,
+    version: book.__v,
   });
 });
 
 // 本更新をPOSTで処理
 exports.book_update_post = [
-  // ジャンルを配列に変換
-  (req, res, next) => {
-    if (!Array.isArray(req.body.genre)) {
-      req.body.genre =
-        typeof req.body.genre === "undefined" ? [] : [req.body.genre];
-    }
-    next();
-  },
-
-  // フィールドのバリデーションとサニタイズ
-  body("title", "タイトルは必須です。")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("author", "著者は必須です。")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("summary", "概要は必須です。")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("isbn", "ISBNは必須です").trim().isLength({ min: 1 }).escape(),
-  body("genre.*").escape(),
+  // 表紙画像とフォームの値を受け取る
+  receiveCover,
+  // フィールドとバージョンのバリデーションとサニタイズ（ジャンルの配列化を含む）
+  ...bookRules,
+  versionRule,
 
   // バリデーション・サニタイズ後のリクエスト処理
   asyncHandler(async (req, res, next) => {
     // バリデーションエラーを抽出
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
+    if (req.cover_error) errors.push({ msg: req.cover_error });
 
     // サニタイズ済みデータと古いidでBookオブジェクトを作成
     const book = new Book({
@@ -270,34 +429,114 @@ exports.book_update_post = [
       _id: req.params.id, // これが必要。新しいIDが割り当てられるのを防ぐ
     });
 
-    if (!errors.isEmpty()) {
-      // エラーあり。フォームを再表示
-
-      // 著者とジャンルを再取得
-      const [allAuthors, allGenres] = await Promise.all([
-        Author.find().sort({ family_name: 1 }).exec(),
-        Genre.find().sort({ name: 1 }).exec(),
-      ]);
+    // 同じISBNの別の本が既に登録されていないか確認（ゴミ箱の本も含む）
+    // あわせて、差し替える前の表紙を取得
+    const [duplicate, stored] = await Promise.all([
+      errors.length === 0
+        ? Book.findOne(
+            { isbn: book.isbn, _id: { $ne: req.params.id } },
+            null,
+            WITH_DELETED
+          )
+            .populate({ path: "author", options: WITH_DELETED })
+            .exec()
+        : null,
+      Book.findById(req.params.id, "cover").exec(),
+    ]);
+
+    // 入力が有効なら新しい表紙を保存。表紙を削除するときは null にする
+    const cover =
+      errors.length === 0 && !duplicate ? await storeCover(req, errors) : null;
+    if (cover) {
+      book.cover = cover;
+    } else if (req.body.remove_cover === "1") {
+      book.cover = null;
+    }
 
-      // 選択されたジャンルにチェックを付ける
-      for (const genre of allGenres) {
-        if (book.genre.includes(genre._id)) {
-          genre.checked = "true";
+    // 他の人が先に更新していたときの、保存されている本
+    let current = null;
+
+    if (errors.length === 0 && !duplicate) {
+      // データが有効。フォームを開いた後に変更されていなければレコードを更新
+      const result = await updateIfUnchanged(
+        Book,
+        req.params.id,
+        req.body.version,
+        book
+      );
+      if (result.doc) {
+        // 差し替えた（削除した）表紙のファイルを消し、詳細ページにリダイレクト
+        if (stored && stored.cover && stored.cover !== result.doc.cover) {
+          await covers.remove(stored.cover);
         }
+        res.redirect(result.doc.url);
+        return;
+      }
+      // 更新しなかったので、新しい表紙は使わない
+      await covers.remove(cover);
+      if (result.current === null) {
+        // 他の人が削除した
+        const err = new Error(req.t("book.not_found"));
+        err.status = 404;
+        return next(err);
       }
+      current = result.current;
+    }
+
+    // エラーまたは更新の衝突あり。フォームを再表示
+    // 表紙は保存されているものを表示する（アップロードした画像は選び直してもらう）
+    book.cover = (current || stored || {}).cover;
+
+    // 著者とジャンルを再取得
+    const [allAuthors, allGenres] = await Promise.all([
+      Author.find().sortByName().exec(),
+      Genre.find().sort({ name: 1 }).exec(),
+    ]);
+
+    // 選択されたジャンルにチェックを付ける
+    for (const genre of allGenres) {
+      if (book.genre.includes(genre._id)) {
+        genre.checked = "true";
+      }
+    }
+
+    if (current === null) {
       res.render("book_form", {
-        title: "本の更新",
+        title: req.t("book.update_title"),
         authors: allAuthors,
         genres: allGenres,
         book: book,
-        errors: errors.array(),
+        version: req.body.version,
+        errors: errors,
+        duplicate: duplicate,
       });
       return;
-    } else {
-      // データが有効。レコードを更新
-      const thebook = await Book.findByIdAndUpdate(req.params.id, book, {});
-      // 詳細ページにリダイレクト
-      res.redirect(thebook.url);
     }
+
+    // 保存されている値を示す。次の送信で上書きできるよう、バージョンは現在のものにする
+    const authorNames = new Map(
+      allAuthors.map((author) => [author._id.toString(), author.name])
+    );
+    const genreNames = new Map(
+      allGenres.map((genre) => [genre._id.toString(), genre.name])
+    );
+    res.status(409).render("book_form", {
+      title: req.t("book.update_title"),
+      authors: allAuthors,
+      genres: allGenres,
+      book: book,
+      version: current.__v,
+      conflicts: conflictingFields(current, book, {
+        "book.fields.title": (doc) => doc.title,
+        "book.fields.author": (doc) => authorNames.get(String(doc.author)),
+        "book.fields.summary": (doc) => doc.summary,
+        "book.fields.isbn": (doc) => doc.isbn,
+        "book.fields.genre": (doc) =>
+          doc.genre
+            .map((id) => genreNames.get(String(id)))
+            .sort()
+            .join(", "),
+      }),
+    });
   }),
 ];
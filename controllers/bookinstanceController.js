@@ -1,84 +1,203 @@
 const BookInstance = require("../models/bookinstance");
 const Book = require("../models/book");
+const Branch = require("../models/branch");
+const Hold = require("../models/hold");
+const Loan = require("../models/loan");
+const Transfer = require("../models/transfer");
+const User = require("../models/user");
+const trash = require("../services/trash");
 
-const { body, validationResult } = require("express-validator");
+const { validationResult } = require("express-validator");
+const { bookInstanceRules, versionRule } = require("../validators/catalog");
 const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const { listOptions, paginate } = require("../helpers/pagination");
+const {
+  updateIfUnchanged,
+  conflictingFields,
+} = require("../helpers/concurrency");
+
+// 蔵書一覧の並び順（label はメッセージのキー）
+const BOOKINSTANCE_SORTS = {
+  status: {
+    label: "bookinstance.sort.status",
+    sort: { status: 1, due_back: 1, _id: 1 },
+  },
+  due_back: {
+    label: "bookinstance.sort.due_back",
+    sort: { due_back: 1, _id: 1 },
+  },
+  "-due_back": {
+    label: "bookinstance.sort.-due_back",
+    sort: { due_back: -1, _id: -1 },
+  },
+  imprint: { label: "bookinstance.sort.imprint", sort: { imprint: 1, _id: 1 } },
+  shelf: {
+    label: "bookinstance.sort.shelf",
+    sort: { branch: 1, shelf: 1, _id: 1 },
+  },
+  "-created": { label: "bookinstance.sort.-created", sort: { _id: -1 } },
+};
+
+// フォームで選ぶ本と分館を取得
+async function formChoices() {
+  const [allBooks, allBranches] = await Promise.all([
+    Book.find({}, "title").sort({ title: 1 }).exec(),
+    Branch.find({}, "name").sort({ name: 1 }).exec(),
+  ]);
+  return { book_list: allBooks, branch_list: allBranches };
+}
+
+// リクエストから蔵書のフィールドを取り出す
+function bookInstanceFields(req) {
+  const loaned = req.body.status === "Loaned";
+  return {
+    book: req.body.book,
+    imprint: req.body.imprint,
+    barcode: req.body.barcode || undefined,
+    branch: req.body.branch,
+    shelf: req.body.shelf,
+    status: req.body.status,
+    due_back: req.body.due_back,
+    borrower_name: loaned ? req.body.borrower_name : null,
+    borrower_card_number: loaned ? req.body.borrower_card_number : null,
+  };
+}
+
+// 同じバーコードの別の蔵書を探す（一意インデックスはゴミ箱の蔵書も対象なので、それも含める）
+function findSameBarcode(barcode, exceptId) {
+  if (!barcode) return null;
+  const filter = { barcode: barcode };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return BookInstance.findOne(filter, "_id", { withDeleted: true }).exec();
+}
 
 // すべてのBookInstanceのリストを表示
 exports.bookinstance_list = asyncHandler(async (req, res, next) => {
-  const allBookInstances = await BookInstance.find().populate("book").exec();
+  const options = listOptions(req, BOOKINSTANCE_SORTS, "status");
+
+  // 状態と分館で絞り込み
+  const statuses = BookInstance.schema.path("status").enumValues;
+  const statusFilter = statuses.includes(req.query.status)
+    ? req.query.status
+    : "";
+  const branchFilter = mongoose.isObjectIdOrHexString(req.query.branch)
+    ? req.query.branch
+    : "";
+  const filter = {};
+  if (statusFilter) filter.status = statusFilter;
+  if (branchFilter) filter.branch = branchFilter;
+
+  const total = await BookInstance.countDocuments(filter).exec();
+  const pagination = paginate(req, total, options);
+
+  const [bookInstances, branches] = await Promise.all([
+    BookInstance.find(filter)
+      .sort(options.sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .populate("book branch")
+      .exec(),
+    Branch.find().sort({ name: 1 }).exec(),
+  ]);
 
   res.render("bookinstance_list", {
-    title: "蔵書インスタンス一覧",
-    bookinstance_list: allBookInstances,
+    title: req.t("bookinstance.list_title"),
+    bookinstance_list: bookInstances,
+    statuses: statuses,
+    selected_status: statusFilter,
+    branches: branches,
+    selected_branch: branchFilter,
+    pagination: pagination,
   });
 });
 
 // 特定のBookInstanceの詳細ページを表示
 exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
-  const bookInstance = await BookInstance.findById(req.params.id)
-    .populate("book")
-    .exec();
+  // 蔵書とその貸出履歴・移送履歴、取り置き中の予約を並列で取得
+  const [bookInstance, loans, transferHistory, readyHold] = await Promise.all([
+    BookInstance.findById(req.params.id).populate("book branch").exec(),
+    Loan.find({ book_instance: req.params.id })
+      .sort({ checked_out_at: -1 })
+      .populate("borrower")
+      .exec(),
+    Transfer.find({ book_instance: req.params.id })
+      .sort({ sent_at: -1 })
+      // 履歴なので、ゴミ箱に移動した分館も表示する
+      .populate({
+        path: "from_branch to_branch",
+        options: { withDeleted: true },
+      })
+      .exec(),
+    Hold.findOne({ book_instance: req.params.id, status: "Ready" }).exec(),
+  ]);
 
   if (bookInstance === null) {
     // 結果なし
-    const err = new Error("蔵書コピーが見つかりません");
+    const err = new Error(req.t("bookinstance.not_found"));
     err.status = 404;
     return next(err);
   }
 
+  // 司書には貸出フォーム用の利用者一覧と、移送フォーム用の分館一覧も渡す
+  const isStaff = req.user && req.user.is_staff;
+  const [borrowers, branches] = await Promise.all([
+    isStaff && ["Available", "Reserved"].includes(bookInstance.status)
+      ? User.find().sort({ display_name: 1 }).exec()
+      : [],
+    isStaff && bookInstance.status === "Available"
+      ? Branch.find({ _id: { $ne: bookInstance.branch } })
+          .sort({ name: 1 })
+          .exec()
+      : [],
+  ]);
+
   res.render("bookinstance_detail", {
-    title: "蔵書：",
+    title: req.t("bookinstance.detail_title"),
     bookinstance: bookInstance,
+    current_loan: loans.find((loan) => loan.is_active),
+    current_transfer: transferHistory.find((transfer) => transfer.is_open),
+    ready_hold: readyHold,
+    loans: isStaff ? loans : [],
+    transfers: isStaff ? transferHistory : [],
+    borrowers: borrowers,
+    branches: branches,
   });
 });
 
 // BookInstance作成フォームをGETで表示
 exports.bookinstance_create_get = asyncHandler(async (req, res, next) => {
-  const allBooks = await Book.find({}, "title").sort({ title: 1 }).exec();
-
   res.render("bookinstance_form", {
-    title: "蔵書インスタンスの作成",
-    book_list: allBooks,
+    title: req.t("bookinstance.create_title"),
+    ...(await formChoices()),
   });
 });
 
 // BookInstance作成をPOSTで処理
 exports.bookinstance_create_post = [
   // フィールドのバリデーションとサニタイズ
-  body("book", "本を指定してください").trim().isLength({ min: 1 }).escape(),
-  body("imprint", "出版情報を指定してください")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("status").escape(),
-  body("due_back", "無効な日付です")
-    .optional({ values: "falsy" })
-    .isISO8601()
-    .toDate(),
+  ...bookInstanceRules,
 
   // バリデーションとサニタイズ後にリクエストを処理
   asyncHandler(async (req, res, next) => {
     // バリデーションエラーを抽出
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
 
     // エスケープ・トリム済みデータでBookInstanceオブジェクトを作成
-    const bookInstance = new BookInstance({
-      book: req.body.book,
-      imprint: req.body.imprint,
-      status: req.body.status,
-      due_back: req.body.due_back,
-    });
+    const bookInstance = new BookInstance(bookInstanceFields(req));
 
-    if (!errors.isEmpty()) {
-      // エラーあり。フォームを再表示
-      const allBooks = await Book.find({}, "title").sort({ title: 1 }).exec();
+    // 入力したバーコードが他の蔵書で使われていないか確認
+    if (errors.length === 0 && (await findSameBarcode(bookInstance.barcode))) {
+      errors.push({ msg: req.t("validation.barcode_taken") });
+    }
 
+    if (errors.length > 0) {
+      // エラーあり。フォームを再表示
       res.render("bookinstance_form", {
-        title: "蔵書インスタンスの作成",
-        book_list: allBooks,
+        title: req.t("bookinstance.create_title"),
+        ...(await formChoices()),
         selected_book: bookInstance.book._id,
-        errors: errors.array(),
+        errors: errors,
         bookinstance: bookInstance,
       });
       return;
@@ -99,89 +218,163 @@ exports.bookinstance_delete_get = asyncHandler(async (req, res, next) => {
   if (bookInstance === null) {
     // 結果なし
     res.redirect("/catalog/bookinstances");
+    return;
   }
 
   res.render("bookinstance_delete", {
-    title: "蔵書インスタンスの削除",
+    title: req.t("bookinstance.delete_title"),
     bookinstance: bookInstance,
   });
 });
 
 // BookInstance削除をPOSTで処理
 exports.bookinstance_delete_post = asyncHandler(async (req, res, next) => {
-  // 有効なBookInstance idがフィールドにあると仮定
-  await BookInstance.findByIdAndDelete(req.body.id);
+  try {
+    await trash.moveCopyToTrash(req.params.id, req.user);
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    // 貸出中・取り置き中。削除フォームにエラーを表示
+    const bookInstance = await BookInstance.findById(req.params.id)
+      .populate("book")
+      .exec();
+    res.status(409).render("bookinstance_delete", {
+      title: req.t("bookinstance.delete_title"),
+      bookinstance: bookInstance,
+      errors: [{ msg: err.message }],
+    });
+    return;
+  }
   res.redirect("/catalog/bookinstances");
 });
 
 // BookInstance更新フォームをGETで表示
 exports.bookinstance_update_get = asyncHandler(async (req, res, next) => {
-  // bookと全booksを並列取得
-  const [bookInstance, allBooks] = await Promise.all([
+  // 蔵書と、フォームで選ぶ本・分館を並列取得
+  const [bookInstance, choices] = await Promise.all([
     BookInstance.findById(req.params.id).populate("book").exec(),
-    Book.find(),
+    formChoices(),
   ]);
 
   if (bookInstance === null) {
     // 結果なし
-    const err = new Error("蔵書コピーが見つかりません");
+    const err = new Error(req.t("bookinstance.not_found"));
     err.status = 404;
     return next(err);
   }
 
+  if (bookInstance.status === "InTransit") {
+    // 移送中の蔵書は受け取るまで変更できない
+    const err = new Error(req.t("bookinstance.in_transit_locked"));
+    err.status = 409;
+    return next(err);
+  }
+
   res.render("bookinstance_form", {
-    title: "蔵書インスタンスの更新",
-    book_list: allBooks,
+    title: req.t("bookinstance.update_title"),
+    ...choices,
     selected_book: bookInstance.book._id,
     bookinstance: bookInstance,
+    version: bookInstance.__v,
   });
 });
 
 // BookInstance更新をPOSTで処理
 exports.bookinstance_update_post = [
-  // フィールドのバリデーションとサニタイズ
-  body("book", "本を指定してください").trim().isLength({ min: 1 }).escape(),
-  body("imprint", "出版情報を指定してください")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("status").escape(),
-  body("due_back", "無効な日付です")
-    .optional({ values: "falsy" })
-    .isISO8601()
-    .toDate(),
+  // フィールドとバージョンのバリデーションとサニタイズ
+  ...bookInstanceRules,
+  versionRule,
 
   // バリデーションとサニタイズ後にリクエストを処理
   asyncHandler(async (req, res, next) => {
     // バリデーションエラーを抽出
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
 
     // エスケープ・トリム済みデータと現在のidでBookInstanceオブジェクトを作成
+    // （バーコードが空なら今のバーコードのまま）
     const bookInstance = new BookInstance({
-      book: req.body.book,
-      imprint: req.body.imprint,
-      status: req.body.status,
-      due_back: req.body.due_back,
+      ...bookInstanceFields(req),
       _id: req.params.id,
     });
 
-    if (!errors.isEmpty()) {
-      // エラーあり。フォームを再表示
-      const allBooks = await Book.find({}, "title").exec();
+    // 入力したバーコードが他の蔵書で使われていないか確認
+    if (
+      errors.length === 0 &&
+      (await findSameBarcode(bookInstance.barcode, req.params.id))
+    ) {
+      errors.push({ msg: req.t("validation.barcode_taken") });
+    }
 
+    if (errors.length > 0) {
+      // エラーあり。フォームを再表示
       res.render("bookinstance_form", {
-        title: "蔵書インスタンスの更新",
-        book_list: allBooks,
+        title: req.t("bookinstance.update_title"),
+        ...(await formChoices()),
         selected_book: bookInstance.book._id,
-        errors: errors.array(),
+        errors: errors,
         bookinstance: bookInstance,
+        version: req.body.version,
       });
       return;
-    } else {
-      // フォームデータは有効
-      await BookInstance.findByIdAndUpdate(req.params.id, bookInstance, {});
+    }
+
+    // 移送中の蔵書は受け取るまで変更できない
+    if (
+      await BookInstance.exists({ _id: req.params.id, status: "InTransit" })
+    ) {
+      const err = new Error(req.t("bookinstance.in_transit_locked"));
+      err.status = 409;
+      return next(err);
+    }
+
+    // フォームデータは有効。フォームを開いた後に変更されていなければ更新
+    // （貸出・返却・移送などの処理による変更も衝突として扱う）
+    const { doc, current } = await updateIfUnchanged(
+      BookInstance,
+      req.params.id,
+      req.body.version,
+      bookInstance
+    );
+    if (doc) {
       // 詳細ページへリダイレクト
-      res.redirect(bookInstance.url);
+      res.redirect(doc.url);
+      return;
+    }
+    if (current === null) {
+      // 他の人が削除した
+      const err = new Error(req.t("bookinstance.not_found"));
+      err.status = 404;
+      return next(err);
     }
+
+    // 他の人が先に更新した。保存されている値を示してフォームを再表示
+    // 次の送信で上書きできるよう、バージョンは現在のものにする
+    const choices = await formChoices();
+    const titles = new Map(
+      choices.book_list.map((book) => [book._id.toString(), book.title])
+    );
+    const branchNames = new Map(
+      choices.branch_list.map((branch) => [branch._id.toString(), branch.name])
+    );
+
+    res.status(409).render("bookinstance_form", {
+      title: req.t("bookinstance.update_title"),
+      ...choices,
+      selected_book: bookInstance.book._id,
+      bookinstance: bookInstance,
+      version: current.__v,
+      conflicts: conflictingFields(current, bookInstance, {
+        "bookinstance.fields.book": (doc) => titles.get(String(doc.book)),
+        "bookinstance.fields.imprint": (doc) => doc.imprint,
+        "bookinstance.fields.barcode": (doc) => doc.barcode,
+        "bookinstance.fields.branch": (doc) =>
+          branchNames.get(String(doc.branch)),
+        "bookinstance.fields.shelf": (doc) => doc.shelf,
+        "bookinstance.fields.due_back": (doc) => doc.due_back_yyyy_mm_dd,
+        "bookinstance.fields.status": (doc) => req.t("status." + doc.status),
+        "bookinstance.fields.borrower_name": (doc) => doc.borrower_name,
+        "bookinstance.fields.borrower_card_number": (doc) =>
+          doc.borrower_card_number,
+      }),
+    });
   }),
 ];
@@ -0,0 +1,255 @@
+const Branch = require("../models/branch");
+const BookInstance = require("../models/bookinstance");
+const Transfer = require("../models/transfer");
+const trash = require("../services/trash");
+
+const { validationResult } = require("express-validator");
+const { branchRules, versionRule } = require("../validators/catalog");
+const asyncHandler = require("express-async-handler");
+const {
+  updateIfUnchanged,
+  conflictingFields,
+} = require("../helpers/concurrency");
+
+// 分館の蔵書と、分館に向けて移送中の蔵書を取得する
+async function branchCopies(branchId) {
+  const [copies, incoming] = await Promise.all([
+    BookInstance.find({ branch: branchId })
+      .sort({ shelf: 1, _id: 1 })
+      .populate("book")
+      .exec(),
+    Transfer.find({ to_branch: branchId, received_at: null })
+      .sort({ sent_at: 1 })
+      .populate({ path: "book_instance", populate: { path: "book" } })
+      .populate("from_branch")
+      .exec(),
+  ]);
+  return { copies, incoming };
+}
+
+// すべての分館のリストを表示（分館ごとの蔵書数と利用可能な蔵書数を含む）
+exports.branch_list = asyncHandler(async (req, res, next) => {
+  const [branches, counts] = await Promise.all([
+    Branch.find().sort({ name: 1 }).exec(),
+    BookInstance.aggregate([
+      {
+        $group: {
+          _id: "$branch",
+          total: { $sum: 1 },
+          available: {
+            $sum: { $cond: [{ $eq: ["$status", "Available"] }, 1, 0] },
+          },
+        },
+      },
+    ]).exec(),
+  ]);
+  const countsByBranch = new Map(
+    counts.map((entry) => [String(entry._id), entry])
+  );
+
+  res.render("branch_list", {
+    title: req.t("branch.list_title"),
+    branch_list: branches.map((branch) => {
+      const count = countsByBranch.get(branch._id.toString());
+      return {
+        branch: branch,
+        total: count ? count.total : 0,
+        available: count ? count.available : 0,
+      };
+    }),
+  });
+});
+
+// 特定の分館の詳細ページを表示
+exports.branch_detail = asyncHandler(async (req, res, next) => {
+  const [branch, { copies, incoming }] = await Promise.all([
+    Branch.findById(req.params.id).exec(),
+    branchCopies(req.params.id),
+  ]);
+  if (branch === null) {
+    // 結果なし
+    const err = new Error(req.t("branch.not_found"));
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render("branch_detail", {
+    title: req.t("branch.detail_title"),
+    branch: branch,
+    branch_copies: copies,
+    incoming: incoming,
+  });
+});
+
+// 分館作成フォーム（GET）を表示
+exports.branch_create_get = (req, res, next) => {
+  res.render("branch_form", { title: req.t("branch.create_title") });
+};
+
+// 分館作成処理（POST）
+exports.branch_create_post = [
+  // フィールドのバリデーションとサニタイズ
+  ...branchRules,
+
+  // バリデーションとサニタイズ後のリクエスト処理
+  asyncHandler(async (req, res, next) => {
+    // バリデーションエラーを抽出
+    const errors = validationResult(req);
+
+    // エスケープ・トリム済みデータで分館オブジェクトを作成
+    const branch = new Branch({
+      name: req.body.name,
+      address: req.body.address,
+    });
+
+    if (!errors.isEmpty()) {
+      // エラーあり。フォームを再表示
+      res.render("branch_form", {
+        title: req.t("branch.create_title"),
+        branch: branch,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    // 同名（大文字小文字区別なし）の分館が既に存在すれば詳細ページへリダイレクト
+    const branchExists = await Branch.findOne({ name: req.body.name })
+      .collation({ locale: "en", strength: 2 })
+      .exec();
+    if (branchExists) {
+      res.redirect(branchExists.url);
+    } else {
+      await branch.save();
+      res.redirect(branch.url);
+    }
+  }),
+];
+
+// 分館削除フォーム（GET）を表示
+exports.branch_delete_get = asyncHandler(async (req, res, next) => {
+  const [branch, { copies, incoming }] = await Promise.all([
+    Branch.findById(req.params.id).exec(),
+    branchCopies(req.params.id),
+  ]);
+  if (branch === null) {
+    // 結果なし
+    res.redirect("/catalog/branches");
+    return;
+  }
+
+  res.render("branch_delete", {
+    title: req.t("branch.delete_title"),
+    branch: branch,
+    branch_copies: copies,
+    incoming: incoming,
+  });
+});
+
+// 分館削除処理（POST）
+exports.branch_delete_post = asyncHandler(async (req, res, next) => {
+  const [branch, { copies, incoming }] = await Promise.all([
+    Branch.findById(req.params.id).exec(),
+    branchCopies(req.params.id),
+  ]);
+
+  if (branch === null) {
+    // 結果なし（他の人が削除した）
+    res.redirect("/catalog/branches");
+    return;
+  }
+
+  if (copies.length > 0 || incoming.length > 0) {
+    // 蔵書がある（または移送中の蔵書が届く）場合、GETルートと同様に表示
+    res.render("branch_delete", {
+      title: req.t("branch.delete_title"),
+      branch: branch,
+      branch_copies: copies,
+      incoming: incoming,
+    });
+    return;
+  }
+
+  // 蔵書がなければゴミ箱に移動し、分館一覧へリダイレクト
+  await trash.moveToTrash(Branch, req.params.id, req.user);
+  res.redirect("/catalog/branches");
+});
+
+// 分館更新フォーム（GET）を表示
+exports.branch_update_get = asyncHandler(async (req, res, next) => {
+  const branch = await Branch.findById(req.params.id).exec();
+
+  if (branch === null) {
+    // 結果なし
+    const err = new Error(req.t("branch.not_found"));
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render("branch_form", {
+    title: req.t("branch.update_title"),
+    branch: branch,
+    version: branch.__v,
+  });
+});
+
+// 分館更新処理（POST）
+exports.branch_update_post = [
+  // フィールドとバージョンのバリデーションとサニタイズ
+  ...branchRules,
+  versionRule,
+
+  // バリデーションとサニタイズ後のリクエスト処理
+  asyncHandler(async (req, res, next) => {
+    // バリデーションエラーを抽出
+    const errors = validationResult(req);
+
+    // エスケープ・トリム済みデータと古いIDで分館オブジェクトを作成
+    // （住所を空にしたときに消えるよう、null にする）
+    const branch = new Branch({
+      name: req.body.name,
+      address: req.body.address || null,
+      _id: req.params.id,
+    });
+
+    if (!errors.isEmpty()) {
+      // エラーあり。フォームを再表示
+      res.render("branch_form", {
+        title: req.t("branch.update_title"),
+        branch: branch,
+        version: req.body.version,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    // フォームデータは有効。フォームを開いた後に変更されていなければレコードを更新
+    const { doc, current } = await updateIfUnchanged(
+      Branch,
+      req.params.id,
+      req.body.version,
+      branch
+    );
+    if (doc) {
+      res.redirect(doc.url);
+      return;
+    }
+    if (current === null) {
+      // 他の人が削除した
+      const err = new Error(req.t("branch.not_found"));
+      err.status = 404;
+      return next(err);
+    }
+
+    // 他の人が先に更新した。保存されている値を示してフォームを再表示
+    // 次の送信で上書きできるよう、バージョンは現在のものにする
+    res.status(409).render("branch_form", {
+      title: req.t("branch.update_title"),
+      branch: branch,
+      version: current.__v,
+      conflicts: conflictingFields(current, branch, {
+        "branch.fields.name": (doc) => doc.name,
+        "branch.fields.address": (doc) => doc.address,
+      }),
+    });
+  }),
+];
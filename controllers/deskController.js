@@ -0,0 +1,189 @@
+const BookInstance = require("../models/bookinstance");
+const Hold = require("../models/hold");
+const User = require("../models/user");
+const circulation = require("../services/circulation");
+const transfers = require("../services/transfers");
+
+const { validationResult } = require("express-validator");
+const { deskBarcodeRule, deskCheckoutRules } = require("../validators/catalog");
+const asyncHandler = require("express-async-handler");
+const { normalizeBarcode } = require("../helpers/barcode");
+
+// 処理後に表示するメッセージのキー（?done= の値）
+const DONE_MESSAGES = {
+  checkin: "desk.done.checkin",
+  shelved: "desk.done.shelved",
+  checkout: "desk.done.checkout",
+  maintenance: "desk.done.maintenance",
+};
+
+// 読み取った値で蔵書を探す。蔵書のバーコードになければ、ラベルの登録番号として探す
+// populate を指定すると、参照先（本・分館など）も取得する
+async function findScanned(code, populate) {
+  const find = (filter) => {
+    const query = BookInstance.findOne(filter);
+    return (populate ? query.populate(populate) : query).exec();
+  };
+  const bookInstance = await find({ barcode: code });
+  if (bookInstance || !/^\d{1,9}$/.test(code)) {
+    return bookInstance;
+  }
+  return find({ accession_number: Number(code) });
+}
+
+// 貸出デスクを表示する。蔵書があれば、その状態と取り置き・移送の情報も表示する
+async function renderDesk(req, res, barcode, locals = {}) {
+  const bookInstance = barcode
+    ? await findScanned(barcode, "book branch")
+    : null;
+  const [readyHold, currentTransfer] = bookInstance
+    ? await Promise.all([
+        Hold.findOne({
+          book_instance: bookInstance._id,
+          status: "Ready",
+        }).exec(),
+        bookInstance.status === "InTransit"
+          ? transfers.openTransferFor(bookInstance._id)
+          : null,
+      ])
+    : [null, null];
+
+  const errors = locals.errors || [];
+  if (barcode && bookInstance === null && errors.length === 0) {
+    errors.push({ msg: req.t("desk.not_found", { barcode: barcode }) });
+  }
+
+  res.status(locals.status || 200).render("desk", {
+    title: req.t("desk.title"),
+    barcode: barcode,
+    bookinstance: bookInstance,
+    ready_hold: readyHold,
+    current_transfer: currentTransfer,
+    card_number: locals.card_number,
+    done: locals.done,
+    errors: errors,
+  });
+}
+
+// 処理を実行し、デスクへリダイレクトする（action は ?done= の値を返す）
+// 処理できなかった（状態が変わっていたなど）ときは、今の状態とともにエラーを表示
+async function runAction(req, res, action, locals = {}) {
+  let done;
+  try {
+    done = await action();
+  } catch (err) {
+    if (![400, 404, 409].includes(err.status)) throw err;
+    await renderDesk(req, res, req.body.barcode, {
+      ...locals,
+      status: err.status,
+      errors: [{ msg: err.message }],
+    });
+    return;
+  }
+  res.redirect(
+    "/catalog/desk?barcode=" +
+      encodeURIComponent(req.body.barcode) +
+      "&done=" +
+      done
+  );
+}
+
+// バリデーションエラーがあれば、デスクにエラーを表示する
+async function renderValidationErrors(req, res, locals = {}) {
+  const errors = validationResult(req).array();
+  if (errors.length === 0) return false;
+
+  // バーコードが正しくなければ蔵書は表示しない
+  const barcodeInvalid = errors.some((error) => error.path === "barcode");
+  await renderDesk(req, res, barcodeInvalid ? "" : req.body.barcode, {
+    ...locals,
+    status: 400,
+    errors: errors,
+  });
+  return true;
+}
+
+// スキャンした蔵書を取得する。なければ404エラー
+async function scannedCopy(req) {
+  const bookInstance = await findScanned(req.body.barcode);
+  if (bookInstance === null) {
+    const err = new Error(
+      req.t("desk.not_found", { barcode: req.body.barcode })
+    );
+    err.status = 404;
+    throw err;
+  }
+  return bookInstance;
+}
+
+// 貸出デスク（GET）を表示（?barcode= でスキャンした蔵書を表示）
+exports.desk_get = asyncHandler(async (req, res, next) => {
+  const barcode = normalizeBarcode(req.query.barcode);
+  const done = DONE_MESSAGES[req.query.done];
+  await renderDesk(req, res, barcode, {
+    done: done ? req.t(done) : undefined,
+  });
+});
+
+// 返却をPOSTで処理（貸出中の蔵書は返却、メンテナンス中の蔵書は棚に戻す）
+exports.desk_checkin_post = [
+  deskBarcodeRule,
+
+  asyncHandler(async (req, res, next) => {
+    if (await renderValidationErrors(req, res)) return;
+
+    await runAction(req, res, async () => {
+      const bookInstance = await scannedCopy(req);
+      if (bookInstance.status === "Maintenance") {
+        await circulation.returnFromMaintenance(bookInstance._id);
+        return "shelved";
+      }
+      await circulation.checkin(bookInstance._id);
+      return "checkin";
+    });
+  }),
+];
+
+// 貸出カード番号の利用者への貸出をPOSTで処理
+exports.desk_checkout_post = [
+  ...deskCheckoutRules,
+
+  asyncHandler(async (req, res, next) => {
+    const locals = { card_number: req.body.card_number };
+    if (await renderValidationErrors(req, res, locals)) return;
+
+    await runAction(
+      req,
+      res,
+      async () => {
+        const bookInstance = await scannedCopy(req);
+        const borrower = await User.findOne({
+          card_number: req.body.card_number,
+        }).exec();
+        if (borrower === null) {
+          const err = new Error(req.t("desk.patron_not_found"));
+          err.status = 404;
+          throw err;
+        }
+        await circulation.checkout(bookInstance._id, borrower);
+        return "checkout";
+      },
+      locals
+    );
+  }),
+];
+
+// メンテナンスに回す処理をPOSTで処理
+exports.desk_maintenance_post = [
+  deskBarcodeRule,
+
+  asyncHandler(async (req, res, next) => {
+    if (await renderValidationErrors(req, res)) return;
+
+    await runAction(req, res, async () => {
+      const bookInstance = await scannedCopy(req);
+      await circulation.sendToMaintenance(bookInstance._id);
+      return "maintenance";
+    });
+  }),
+];
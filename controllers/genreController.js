@@ -1,15 +1,53 @@
 const Genre = require("../models/genre");
 const Book = require("../models/book");
+const trash = require("../services/trash");
+const cascade = require("../services/cascade");
 
-const { body, validationResult } = require("express-validator");
+const { validationResult } = require("express-validator");
+const {
+  genreRules,
+  versionRule,
+  cascadeRules,
+} = require("../validators/catalog");
 const asyncHandler = require("express-async-handler");
+const { listOptions, paginate } = require("../helpers/pagination");
+const { escapeRegExp, escapeStored } = require("../helpers/highlight");
+const {
+  updateIfUnchanged,
+  conflictingFields,
+} = require("../helpers/concurrency");
+
+// ジャンル一覧の並び順（label はメッセージのキー）
+const GENRE_SORTS = {
+  name: { label: "genre.sort.name", sort: { name: 1, _id: 1 } },
+  "-name": { label: "genre.sort.-name", sort: { name: -1, _id: -1 } },
+};
 
 // すべてのジャンルのリストを表示
 exports.genre_list = asyncHandler(async (req, res, next) => {
-  const allGenres = await Genre.find().sort({ name: 1 }).exec();
+  const options = listOptions(req, GENRE_SORTS, "name");
+
+  // 名前の部分一致で絞り込み（保存値はエスケープ済みなので同じ規則でエスケープ）
+  const nameFilter =
+    typeof req.query.name === "string" ? req.query.name.trim() : "";
+  const filter = nameFilter
+    ? { name: new RegExp(escapeRegExp(escapeStored(nameFilter)), "i") }
+    : {};
+
+  const total = await Genre.countDocuments(filter).exec();
+  const pagination = paginate(req, total, options);
+
+  const genres = await Genre.find(filter)
+    .sort(options.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit)
+    .exec();
+
   res.render("genre_list", {
-    title: "ジャンル一覧",
-    list_genres: allGenres,
+    title: req.t("genre.list_title"),
+    list_genres: genres,
+    name_filter: nameFilter,
+    pagination: pagination,
   });
 });
 
@@ -22,13 +60,13 @@ exports.genre_detail = asyncHandler(async (req, res, next) => {
   ]);
   if (genre === null) {
     // 結果なし
-    const err = new Error("ジャンルが見つかりません");
+    const err = new Error(req.t("genre.not_found"));
     err.status = 404;
     return next(err);
   }
 
   res.render("genre_detail", {
-    title: "ジャンル詳細",
+    title: req.t("genre.detail_title"),
     genre: genre,
     genre_books: booksInGenre,
   });
@@ -36,16 +74,13 @@ exports.genre_detail = asyncHandler(async (req, res, next) => {
 
 // ジャンル作成フォーム（GET）を表示
 exports.genre_create_get = (req, res, next) => {
-  res.render("genre_form", { title: "ジャンル作成" });
+  res.render("genre_form", { title: req.t("genre.create_title") });
 };
 
 // ジャンル作成処理（POST）
 exports.genre_create_post = [
   // nameフィールドのバリデーションとサニタイズ
-  body("name", "ジャンル名は3文字以上で入力してください")
-    .trim()
-    .isLength({ min: 3 })
-    .escape(),
+  ...genreRules,
 
   // バリデーションとサニタイズ後のリクエスト処理
   asyncHandler(async (req, res, next) => {
@@ -58,7 +93,7 @@ exports.genre_create_post = [
     if (!errors.isEmpty()) {
       // エラーあり。フォームを再表示
       res.render("genre_form", {
-        title: "ジャンル作成",
+        title: req.t("genre.create_title"),
         genre: genre,
         errors: errors.array(),
       });
@@ -81,47 +116,91 @@ exports.genre_create_post = [
   }),
 ];
 
+// ジャンル削除ページを表示（本とその蔵書の木と、本の付け替え先のジャンルを含む）
+async function renderGenreDelete(req, res, impact, errors) {
+  const otherGenres = impact.book_count
+    ? await Genre.find({ _id: { $ne: impact.doc._id } })
+        .sort({ name: 1 })
+        .exec()
+    : [];
+  res.status(errors ? 409 : 200).render("genre_delete", {
+    title: req.t("genre.delete_title"),
+    genre: impact.doc,
+    impact: impact,
+    genres: otherGenres,
+    errors: errors,
+  });
+}
+
 // ジャンル削除フォーム（GET）を表示
 exports.genre_delete_get = asyncHandler(async (req, res, next) => {
-  // ジャンルの詳細と関連するすべての本を（並列で）取得
-  const [genre, booksInGenre] = await Promise.all([
-    Genre.findById(req.params.id).exec(),
-    Book.find({ genre: req.params.id }, "title summary").exec(),
-  ]);
-  if (genre === null) {
+  // ジャンルと、削除の影響（ジャンルの本とその蔵書）を取得
+  const impact = await cascade.impactOf("genre", req.params.id);
+  if (impact === null) {
     // 結果なし
     res.redirect("/catalog/genres");
+    return;
   }
 
-  res.render("genre_delete", {
-    title: "ジャンル削除",
-    genre: genre,
-    genre_books: booksInGenre,
-  });
+  await renderGenreDelete(req, res, impact);
 });
 
 // ジャンル削除処理（POST）
-exports.genre_delete_post = asyncHandler(async (req, res, next) => {
-  // ジャンルの詳細と関連するすべての本を（並列で）取得
-  const [genre, booksInGenre] = await Promise.all([
-    Genre.findById(req.params.id).exec(),
-    Book.find({ genre: req.params.id }, "title summary").exec(),
-  ]);
+exports.genre_delete_post = [
+  // 本があるときの削除の方法のバリデーション
+  ...cascadeRules,
 
-  if (booksInGenre.length > 0) {
-    // ジャンルに本がある場合、GETルートと同様に表示
-    res.render("genre_delete", {
-      title: "ジャンル削除",
-      genre: genre,
-      genre_books: booksInGenre,
-    });
-    return;
-  } else {
-    // ジャンルに本がなければ削除し、ジャンル一覧へリダイレクト
-    await Genre.findByIdAndDelete(req.body.id);
-    res.redirect("/catalog/genres");
-  }
-});
+  asyncHandler(async (req, res, next) => {
+    const impact = await cascade.impactOf("genre", req.params.id);
+
+    if (impact === null) {
+      // 結果なし（他の人が削除した）
+      res.redirect("/catalog/genres");
+      return;
+    }
+
+    if (impact.book_count === 0) {
+      // ジャンルに本がなければゴミ箱に移動し、ジャンル一覧へリダイレクト
+      await trash.moveToTrash(Genre, req.params.id, req.user);
+      res.redirect("/catalog/genres");
+      return;
+    }
+
+    // 本がある。本を別のジャンルに付け替える（またはジャンルを外す）か、本と蔵書もまとめてゴミ箱に移動する
+    const errors = validationResult(req).array();
+    if (errors.length === 0) {
+      try {
+        if (req.body.action === "cascade") {
+          await cascade.cascadeToTrash("genre", req.params.id, req.user);
+          res.redirect("/catalog/genres");
+        } else {
+          await cascade.reassignAndTrash(
+            "genre",
+            req.params.id,
+            req.body.target,
+            req.user
+          );
+          res.redirect(
+            req.body.target
+              ? "/catalog/genre/" + req.body.target
+              : "/catalog/genres"
+          );
+        }
+        return;
+      } catch (err) {
+        if (err.status === 404) {
+          res.redirect("/catalog/genres");
+          return;
+        }
+        if (err.status !== 400 && err.status !== 409) throw err;
+        errors.push({ msg: err.message });
+      }
+    }
+
+    // エラーあり。今の影響を示して削除ページを再表示
+    await renderGenreDelete(req, res, impact, errors);
+  }),
+];
 
 // ジャンル更新フォーム（GET）を表示
 exports.genre_update_get = asyncHandler(async (req, res, next) => {
@@ -129,21 +208,23 @@ exports.genre_update_get = asyncHandler(async (req, res, next) => {
 
   if (genre === null) {
     // 結果なし
-    const err = new Error("ジャンルが見つかりません");
+    const err = new Error(req.t("genre.not_found"));
     err.status = 404;
     return next(err);
   }
 
-  res.render("genre_form", { title: "ジャンル更新", genre: genre });
+  res.render("genre_form", {
+    title: req.t("genre.update_title"),
+    genre: genre,
+    version: genre.__v,
+  });
 });
 
 // ジャンル更新処理（POST）
 exports.genre_update_post = [
-  // nameフィールドのバリデーションとサニタイズ
-  body("name", "ジャンル名は3文字以上で入力してください")
-    .trim()
-    .isLength({ min: 3 })
-    .escape(),
+  // nameフィールドとバージョンのバリデーションとサニタイズ
+  ...genreRules,
+  versionRule,
 
   // バリデーションとサニタイズ後のリクエスト処理
   asyncHandler(async (req, res, next) => {
@@ -159,15 +240,41 @@ exports.genre_update_post = [
     if (!errors.isEmpty()) {
       // エラーあり。フォームを再表示
       res.render("genre_form", {
-        title: "ジャンル更新",
+        title: req.t("genre.update_title"),
         genre: genre,
+        version: req.body.version,
         errors: errors.array(),
       });
       return;
-    } else {
-      // フォームデータは有効。レコードを更新
-      await Genre.findByIdAndUpdate(req.params.id, genre);
-      res.redirect(genre.url);
     }
+
+    // フォームデータは有効。フォームを開いた後に変更されていなければレコードを更新
+    const { doc, current } = await updateIfUnchanged(
+      Genre,
+      req.params.id,
+      req.body.version,
+      genre
+    );
+    if (doc) {
+      res.redirect(doc.url);
+      return;
+    }
+    if (current === null) {
+      // 他の人が削除した
+      const err = new Error(req.t("genre.not_found"));
+      err.status = 404;
+      return next(err);
+    }
+
+    // 他の人が先に更新した。保存されている値を示してフォームを再表示
+    // 次の送信で上書きできるよう、バージョンは現在のものにする
+    res.status(409).render("genre_form", {
+      title: req.t("genre.update_title"),
+      genre: genre,
+      version: current.__v,
+      conflicts: conflictingFields(current, genre, {
+        "genre.fields.name": (doc) => doc.name,
+      }),
+    });
   }),
 ];
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const asyncHandler = require("express-async-handler");
+const metrics = require("../services/metrics");
+
+// データベースの応答を待つ時間（ミリ秒）。これを過ぎたら準備ができていないとみなす
+const PING_TIMEOUT_MS = 2000;
+
+// MongoDBに接続していて、ping に応答するか
+async function pingDatabase() {
+  if (mongoose.connection.readyState !== 1) {
+    return "disconnected";
+  }
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve("timeout"), PING_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([
+      mongoose.connection.db
+        .admin()
+        .ping()
+        .then(() => "ok"),
+      timeout,
+    ]);
+  } catch (err) {
+    return "error";
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// プロセスが動いているか（GET /healthz）。データベースには問い合わせない
+exports.healthz = (req, res) => {
+  res.json({ status: "ok" });
+};
+
+// リクエストを処理できるか（GET /readyz）。MongoDBに接続できなければ 503
+exports.readyz = asyncHandler(async (req, res) => {
+  const mongodb = await pingDatabase();
+  const ready = mongodb === "ok";
+  res
+    .status(ready ? 200 : 503)
+    .json({ status: ready ? "ok" : "unavailable", checks: { mongodb } });
+});
+
+// Prometheus の形式の計測値（GET /metrics）
+exports.metrics = asyncHandler(async (req, res) => {
+  res.set("Content-Type", metrics.registry.contentType);
+  res.send(await metrics.registry.metrics());
+});
@@ -0,0 +1,114 @@
+const Book = require("../models/book");
+const Hold = require("../models/hold");
+const holds = require("../services/holds");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+const { message } = require("../helpers/i18n");
+
+// 予約フォームをGETで表示
+exports.hold_create_get = asyncHandler(async (req, res, next) => {
+  const book = await Book.findById(req.params.id, "title").exec();
+
+  if (book === null) {
+    // 結果なし
+    const err = new Error(req.t("book.not_found"));
+    err.status = 404;
+    return next(err);
+  }
+
+  // ログイン中なら氏名と貸出カード番号を入力済みにする
+  res.render("hold_form", {
+    title: req.t("hold.create_title", { title: book.title }),
+    book: book,
+    hold: req.user
+      ? {
+          patron_name: req.user.display_name,
+          card_number: req.user.card_number,
+        }
+      : undefined,
+  });
+});
+
+// 予約をPOSTで処理
+exports.hold_create_post = [
+  // フィールドのバリデーションとサニタイズ
+  body("patron_name", message("hold.patron_name_required"))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .escape(),
+  body("card_number", message("hold.card_number_invalid"))
+    .trim()
+    .matches(/^[A-Za-z0-9-]{4,20}$/),
+
+  // バリデーションとサニタイズ後のリクエスト処理
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    const book = await Book.findById(req.params.id, "title").exec();
+    if (book === null) {
+      // 結果なし
+      const err = new Error(req.t("book.not_found"));
+      err.status = 404;
+      return next(err);
+    }
+
+    let hold = null;
+    if (errors.length === 0) {
+      try {
+        hold = await holds.placeHold(
+          book,
+          req.body.patron_name,
+          req.body.card_number
+        );
+      } catch (err) {
+        if (err.status !== 409) throw err;
+        errors.push({ msg: err.message });
+      }
+    }
+
+    if (errors.length > 0) {
+      // エラーあり。フォームを再表示
+      res.render("hold_form", {
+        title: req.t("hold.create_title", { title: book.title }),
+        book: book,
+        hold: {
+          patron_name: req.body.patron_name,
+          card_number: req.body.card_number,
+        },
+        errors: errors,
+      });
+      return;
+    }
+
+    res.redirect(hold.url);
+  }),
+];
+
+// 予約の詳細（状態と待ち順）を表示
+exports.hold_detail = asyncHandler(async (req, res, next) => {
+  const hold = await Hold.findById(req.params.id)
+    // ゴミ箱に移動した本・蔵書の予約も表示する
+    .populate({ path: "book", options: { withDeleted: true } })
+    .populate({ path: "book_instance", options: { withDeleted: true } })
+    .exec();
+
+  if (hold === null) {
+    // 結果なし
+    const err = new Error(req.t("hold.not_found"));
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render("hold_detail", {
+    title: req.t("hold.title"),
+    hold: hold,
+    position: await holds.queuePosition(hold),
+  });
+});
+
+// 予約の取り消しをPOSTで処理
+exports.hold_cancel_post = asyncHandler(async (req, res, next) => {
+  await holds.cancelHold(req.params.id);
+  res.redirect("/catalog/hold/" + req.params.id);
+});
@@ -0,0 +1,248 @@
+const Book = require("../models/book");
+const Author = require("../models/author");
+const BookInstance = require("../models/bookinstance");
+const Branch = require("../models/branch");
+const catalogImport = require("../services/catalogImport");
+const { unescapeStored } = require("../helpers/highlight");
+
+const { DateTime } = require("luxon");
+const { stringify } = require("csv-stringify/sync");
+const asyncHandler = require("express-async-handler");
+const multer = require("multer");
+
+// アップロードできるファイルの最大サイズ（バイト）
+const MAX_FILE_SIZE = 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+});
+
+// 取り込みフォームを表示
+function renderForm(req, res, errors, status = 200) {
+  res.status(status).render("import_form", {
+    title: req.t("import.title"),
+    columns: catalogImport.COLUMNS,
+    max_rows: catalogImport.MAX_ROWS,
+    max_size_kb: MAX_FILE_SIZE / 1024,
+    errors: errors,
+  });
+}
+
+// ファイルを受け取る。サイズ超過などはフォームのエラーとして表示
+function receiveFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const msg =
+        err.code === "LIMIT_FILE_SIZE"
+          ? req.t("import.file_too_large", { size: MAX_FILE_SIZE / 1024 })
+          : req.t("import.upload_failed");
+      renderForm(req, res, [{ msg: msg }], 400);
+      return;
+    }
+    next(err);
+  });
+}
+
+// CSVを文字列のレコードにしてダウンロードさせる
+// 保存値はHTMLエスケープ済みなので元に戻す。ExcelでUTF-8として開けるようBOMを付ける
+function sendCsv(res, name, columns, records) {
+  const filename = `${name}-${DateTime.now().toISODate()}.csv`;
+  const rows = records.map((record) =>
+    columns.map((column) =>
+      typeof record[column] === "string"
+        ? unescapeStored(record[column])
+        : record[column]
+    )
+  );
+  res.attachment(filename);
+  res.type("text/csv; charset=utf-8");
+  res.send("\uFEFF" + stringify([columns, ...rows]));
+}
+
+function isoDate(date) {
+  return date ? DateTime.fromJSDate(date).toISODate() : "";
+}
+
+// 取り込みフォームをGETで表示
+exports.import_get = (req, res, next) => {
+  renderForm(req, res, []);
+};
+
+// アップロードされたファイル（CSV・MARC21・MARCXML）を検証し、
+// 取り込み内容の下見を表示（まだ保存しない）
+exports.import_preview_post = [
+  receiveFile,
+
+  asyncHandler(async (req, res, next) => {
+    if (!req.file || req.file.size === 0) {
+      renderForm(req, res, [{ msg: req.t("import.no_file") }], 400);
+      return;
+    }
+
+    let file, preview;
+    try {
+      file = catalogImport.readFile(req.file.buffer);
+      preview = await catalogImport.preview(file);
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      renderForm(req, res, [{ msg: err.message }], 400);
+      return;
+    }
+
+    // 確定時に同じ内容で取り込むため、読み込んだ内容をセッションに保存
+    req.session.catalog_import = {
+      filename: req.file.originalname,
+      file: file,
+    };
+
+    res.render("import_preview", {
+      title: req.t("import.preview_title"),
+      upload_name: req.file.originalname,
+      format: file.format,
+      unit: file.unit,
+      preview: preview,
+    });
+  }),
+];
+
+// 下見したファイルの取り込みを確定
+exports.import_commit_post = asyncHandler(async (req, res, next) => {
+  const pending = req.session.catalog_import;
+  if (!pending) {
+    renderForm(req, res, [{ msg: req.t("import.nothing_pending") }], 400);
+    return;
+  }
+  delete req.session.catalog_import;
+
+  const result = await catalogImport.run(pending.file);
+
+  res.render("import_result", {
+    title: req.t("import.result_title"),
+    upload_name: pending.filename,
+    unit: pending.file.unit,
+    result: result,
+  });
+});
+
+// 本をCSVでダウンロード（取り込みと同じ列）
+exports.export_books = asyncHandler(async (req, res, next) => {
+  const [allBooks, copies, allBranches] = await Promise.all([
+    Book.find().sort({ title: 1 }).populate("author").populate("genre").exec(),
+    BookInstance.aggregate([
+      {
+        $group: {
+          _id: "$book",
+          count: { $sum: 1 },
+          imprint: { $first: "$imprint" },
+          branch: { $first: "$branch" },
+          shelf: { $first: "$shelf" },
+        },
+      },
+    ]).exec(),
+    Branch.find({}, "name").exec(),
+  ]);
+  const copiesByBook = new Map(
+    copies.map((entry) => [entry._id.toString(), entry])
+  );
+  const branchNames = new Map(
+    allBranches.map((branch) => [branch._id.toString(), branch.name])
+  );
+
+  sendCsv(
+    res,
+    "books",
+    catalogImport.COLUMNS,
+    allBooks.map((book) => {
+      const bookCopies = copiesByBook.get(book._id.toString());
+      return {
+        title: book.title,
+        // 取り込み時に姓と名を分けられるよう「姓, 名」で書き出す
+        author: book.author ? book.author.inverted_name : "",
+        isbn: book.isbn,
+        genres: book.genre.map((genre) => genre.name).join("; "),
+        summary: book.summary,
+        copies: bookCopies ? bookCopies.count : 0,
+        // 出版情報・分館・棚は最初の蔵書のもの
+        imprint: bookCopies ? bookCopies.imprint : "",
+        branch: bookCopies ? branchNames.get(String(bookCopies.branch)) : "",
+        shelf: bookCopies ? bookCopies.shelf : "",
+      };
+    })
+  );
+});
+
+// 著者をCSVでダウンロード
+exports.export_authors = asyncHandler(async (req, res, next) => {
+  const allAuthors = await Author.find().sortByName().exec();
+
+  sendCsv(
+    res,
+    "authors",
+    [
+      "id",
+      "family_name",
+      "first_name",
+      "family_name_kana",
+      "first_name_kana",
+      "date_of_birth",
+      "date_of_death",
+    ],
+    allAuthors.map((author) => ({
+      id: author._id.toString(),
+      family_name: author.family_name,
+      first_name: author.first_name,
+      family_name_kana: author.family_name_kana || "",
+      first_name_kana: author.first_name_kana || "",
+      date_of_birth: isoDate(author.date_of_birth),
+      date_of_death: isoDate(author.date_of_death),
+    }))
+  );
+});
+
+// 蔵書をCSVでダウンロード
+exports.export_bookinstances = asyncHandler(async (req, res, next) => {
+  const allBookInstances = await BookInstance.find()
+    .populate("book branch")
+    .exec();
+  allBookInstances.sort(
+    (a, b) =>
+      (a.book ? a.book.title : "").localeCompare(b.book ? b.book.title : "") ||
+      a.imprint.localeCompare(b.imprint)
+  );
+
+  sendCsv(
+    res,
+    "bookinstances",
+    [
+      "id",
+      "barcode",
+      "accession_number",
+      "book_id",
+      "title",
+      "isbn",
+      "imprint",
+      "branch",
+      "shelf",
+      "status",
+      "due_back",
+      "borrower_name",
+      "borrower_card_number",
+    ],
+    allBookInstances.map((copy) => ({
+      id: copy._id.toString(),
+      barcode: copy.barcode || "",
+      accession_number: copy.accession,
+      book_id: copy.book ? copy.book._id.toString() : "",
+      title: copy.book ? copy.book.title : "",
+      isbn: copy.book ? copy.book.isbn : "",
+      imprint: copy.imprint,
+      branch: copy.branch ? copy.branch.name : "",
+      shelf: copy.shelf || "",
+      status: copy.status,
+      due_back: copy.status === "Available" ? "" : isoDate(copy.due_back),
+      borrower_name: copy.borrower_name || "",
+      borrower_card_number: copy.borrower_card_number || "",
+    }))
+  );
+});
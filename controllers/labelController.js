@@ -0,0 +1,133 @@
+const Book = require("../models/book");
+const BookInstance = require("../models/bookinstance");
+const Branch = require("../models/branch");
+const labels = require("../services/labels");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const { DateTime } = require("luxon");
+const { message } = require("../helpers/i18n");
+
+// 蔵書の選び方: 新しく登録された蔵書、本ごと、分館ごと
+const SELECTIONS = ["new", "book", "branch"];
+
+// 「新しく登録された蔵書」の既定の期間（日数）
+const NEW_COPY_DAYS = 7;
+
+// クエリから選び方と条件を取り出す
+function selectionFrom(query) {
+  const selection = {
+    by: SELECTIONS.includes(query.by) ? query.by : "new",
+    since: DateTime.fromISO(String(query.since || "")),
+    book: mongoose.isObjectIdOrHexString(query.book) ? query.book : "",
+    branch: mongoose.isObjectIdOrHexString(query.branch) ? query.branch : "",
+  };
+  if (!selection.since.isValid) {
+    selection.since = DateTime.now()
+      .minus({ days: NEW_COPY_DAYS })
+      .startOf("day");
+  }
+  return selection;
+}
+
+// 選び方に合う蔵書の検索条件。条件が足りなければ null
+function filterFor(selection) {
+  switch (selection.by) {
+    case "book":
+      return selection.book ? { book: selection.book } : null;
+    case "branch":
+      return selection.branch ? { branch: selection.branch } : null;
+    default:
+      // ObjectId は作成時刻を含むので、それで登録日を絞り込む
+      return {
+        _id: {
+          $gte: mongoose.Types.ObjectId.createFromTime(
+            Math.floor(selection.since.toSeconds())
+          ),
+        },
+      };
+  }
+}
+
+// ラベル印刷ページを表示（蔵書を選ぶと、ラベルを印刷する蔵書の一覧も表示）
+exports.labels_get = asyncHandler(async (req, res, next) => {
+  const selection = selectionFrom(req.query);
+  const filter = req.query.by ? filterFor(selection) : null;
+
+  const [books, branches, copies] = await Promise.all([
+    Book.find({}, "title").sort({ title: 1 }).exec(),
+    Branch.find({}, "name").sort({ name: 1 }).exec(),
+    filter
+      ? BookInstance.find(filter)
+          .sort({ accession_number: 1, _id: 1 })
+          .limit(labels.MAX_LABELS + 1)
+          .populate("book branch")
+          .exec()
+      : null,
+  ]);
+
+  res.render("labels", {
+    title: req.t("labels.title"),
+    selection: { ...selection, since: selection.since.toISODate() },
+    books: books,
+    branches: branches,
+    copies: copies && copies.slice(0, labels.MAX_LABELS),
+    too_many: copies !== null && copies.length > labels.MAX_LABELS,
+    max_labels: labels.MAX_LABELS,
+    layouts: labels.LABEL_LAYOUTS,
+    default_layout: labels.DEFAULT_LAYOUT,
+  });
+});
+
+// 選んだ蔵書のラベルシート（PDF）をPOSTで作成
+exports.labels_post = [
+  body("copies", message("labels.none_selected"))
+    .toArray()
+    .isArray({ min: 1, max: labels.MAX_LABELS }),
+  body("copies.*", message("labels.none_selected")).isMongoId(),
+  body("layout", message("labels.layout_invalid")).isIn(
+    Object.keys(labels.LABEL_LAYOUTS)
+  ),
+  body("skip", message("labels.skip_invalid"))
+    .optional({ values: "falsy" })
+    .isInt({ min: 0 })
+    .toInt(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const err = new Error(errors.array()[0].msg);
+      err.status = 400;
+      return next(err);
+    }
+
+    // 登録番号がまだない蔵書（以前に保存され、補われる前のもの）は印刷しない
+    const copies = await BookInstance.find({
+      _id: { $in: req.body.copies },
+      accession_number: { $exists: true },
+    })
+      .sort({ accession_number: 1 })
+      .populate("book")
+      .exec();
+    if (copies.length === 0) {
+      const err = new Error(req.t("labels.none_printable"));
+      err.status = 400;
+      return next(err);
+    }
+
+    // 1枚目の用紙で使用済みのラベルの数（用紙1枚分以上は、1枚分で割った余りにする）
+    const layout = labels.LABEL_LAYOUTS[req.body.layout];
+    const skip = (req.body.skip || 0) % (layout.columns * layout.rows);
+
+    const pdf = await labels.renderSheet(
+      copies,
+      req.body.layout,
+      skip,
+      req.t("labels.title")
+    );
+    res.attachment(`labels-${DateTime.now().toFormat("yyyyLLdd-HHmm")}.pdf`);
+    res.type("application/pdf");
+    res.send(pdf);
+  }),
+];
@@ -0,0 +1,60 @@
+const Loan = require("../models/loan");
+const User = require("../models/user");
+const circulation = require("../services/circulation");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+const { message } = require("../helpers/i18n");
+
+// 貸出履歴の一覧を表示（?active=1 で貸出中のみ）
+exports.loan_list = asyncHandler(async (req, res, next) => {
+  const activeOnly = req.query.active === "1";
+  const filter = activeOnly ? { returned_at: null } : {};
+
+  const allLoans = await Loan.find(filter)
+    .sort({ checked_out_at: -1 })
+    .populate({
+      path: "book_instance",
+      // 履歴なので、ゴミ箱に移動した蔵書・本も表示する
+      options: { withDeleted: true },
+      populate: { path: "book", options: { withDeleted: true } },
+    })
+    .populate("borrower")
+    .exec();
+
+  res.render("loan_list", {
+    title: req.t(activeOnly ? "loan.active_title" : "loan.list_title"),
+    loan_list: allLoans,
+    active_only: activeOnly,
+  });
+});
+
+// 蔵書の貸出をPOSTで処理
+exports.loan_checkout_post = [
+  body("borrower", message("loan.select_borrower")).isMongoId(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const err = new Error(errors.array()[0].msg);
+      err.status = 400;
+      return next(err);
+    }
+
+    const borrower = await User.findById(req.body.borrower).exec();
+    if (borrower === null) {
+      const err = new Error(req.t("loan.borrower_not_found"));
+      err.status = 404;
+      return next(err);
+    }
+
+    await circulation.checkout(req.params.id, borrower);
+    res.redirect("/catalog/bookinstance/" + req.params.id);
+  }),
+];
+
+// 蔵書の返却をPOSTで処理
+exports.loan_return_post = asyncHandler(async (req, res, next) => {
+  await circulation.checkin(req.params.id);
+  res.redirect("/catalog/bookinstance/" + req.params.id);
+});
@@ -0,0 +1,20 @@
+const i18n = require("../helpers/i18n");
+const { LOCALE_COOKIE } = require("../middleware/locale");
+
+// 言語を切り替えて Cookie に保存し、元のページに戻る（POST）
+exports.locale_post = (req, res, next) => {
+  if (i18n.isLocale(req.body.locale)) {
+    res.cookie(LOCALE_COOKIE, req.body.locale, {
+      maxAge: 1000 * 60 * 60 * 24 * 365, // 1 year
+      httpOnly: true,
+      sameSite: "lax",
+    });
+  }
+  // 戻り先はこのサイト内のパスだけにする
+  const returnTo = req.body.return_to;
+  res.redirect(
+    typeof returnTo === "string" && /^\/(?![/\\])/.test(returnTo)
+      ? returnTo
+      : "/"
+  );
+};
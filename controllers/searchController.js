@@ -0,0 +1,237 @@
+const mongoose = require("mongoose");
+
+const Book = require("../models/book");
+const Author = require("../models/author");
+const Genre = require("../models/genre");
+const BookInstance = require("../models/bookinstance");
+const {
+  escapeRegExp,
+  escapeStored,
+  excerpt,
+  highlight,
+} = require("../helpers/highlight");
+
+const { query, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+
+// 表示する検索結果の最大件数
+const MAX_RESULTS = 50;
+
+// 一致した対象ごとの重み（本のタイトル・概要の重みはテキストインデックス側で設定）
+const AUTHOR_WEIGHT = 5;
+const GENRE_WEIGHT = 2;
+
+// 日本語など空白で区切らない文字を含むか（MongoDBのテキスト検索は分かち書きしない）
+const UNSEGMENTED = /[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uff66-\uff9f]/;
+
+// ハイライトする語。テキスト検索では空白区切りの各語（引用符と除外語は除く）
+function searchTerms(q) {
+  if (UNSEGMENTED.test(q)) {
+    return [q];
+  }
+  return q
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .map((word) => word.replace(/"/g, ""))
+    .filter((word) => word.length > 0);
+}
+
+// テキストインデックスで本・著者・ジャンルを検索し、本ごとのスコアを返す
+async function textScores(q) {
+  const search = { $text: { $search: q } };
+  const score = { score: { $meta: "textScore" } };
+  const [bookHits, authorHits, genreHits] = await Promise.all([
+    Book.find(search, { _id: 1, ...score }).exec(),
+    Author.find(search, { _id: 1, ...score }).exec(),
+    Genre.find(search, { _id: 1, ...score }).exec(),
+  ]);
+  return combineScores(
+    bookHits.map((hit) => [hit._id, hit.get("score")]),
+    authorHits.map((hit) => [hit._id, hit.get("score")]),
+    genreHits.map((hit) => [hit._id, hit.get("score")])
+  );
+}
+
+// 部分一致で本・著者・ジャンルを検索し、本ごとのスコアを返す
+// 保存値はエスケープ済みなので、検索語も同じ規則でエスケープしてから比較する
+async function substringScores(q) {
+  const pattern = new RegExp(escapeRegExp(escapeStored(q)), "i");
+  const [bookHits, authorHits, genreHits] = await Promise.all([
+    Book.find(
+      { $or: [{ title: pattern }, { summary: pattern }] },
+      "title summary"
+    ).exec(),
+    Author.find(
+      { $or: [{ first_name: pattern }, { family_name: pattern }] },
+      "_id"
+    ).exec(),
+    Genre.find({ name: pattern }, "_id").exec(),
+  ]);
+  return combineScores(
+    bookHits.map((hit) => [
+      hit._id,
+      (pattern.test(hit.title) ? 10 : 0) + (pattern.test(hit.summary) ? 1 : 0),
+    ]),
+    authorHits.map((hit) => [hit._id, 1]),
+    genreHits.map((hit) => [hit._id, 1])
+  );
+}
+
+// 本・著者・ジャンルの一致を本ごとのスコア（Map: 本のid → スコア）にまとめる
+async function combineScores(bookHits, authorHits, genreHits) {
+  const scores = new Map();
+  const add = (id, value) =>
+    scores.set(id.toString(), (scores.get(id.toString()) || 0) + value);
+
+  bookHits.forEach(([id, value]) => add(id, value));
+
+  if (authorHits.length || genreHits.length) {
+    const authorScores = new Map(
+      authorHits.map(([id, value]) => [id.toString(), value])
+    );
+    const genreScores = new Map(
+      genreHits.map(([id, value]) => [id.toString(), value])
+    );
+    const related = await Book.find(
+      {
+        $or: [
+          { author: { $in: [...authorScores.keys()] } },
+          { genre: { $in: [...genreScores.keys()] } },
+        ],
+      },
+      "author genre"
+    ).exec();
+    for (const book of related) {
+      const authorScore = authorScores.get(book.author.toString()) || 0;
+      const genreScore = Math.max(
+        0,
+        ...book.genre.map((genre) => genreScores.get(genre.toString()) || 0)
+      );
+      add(book._id, authorScore * AUTHOR_WEIGHT + genreScore * GENRE_WEIGHT);
+    }
+  }
+
+  return scores;
+}
+
+// 本ごとの蔵書の状態別の数（Map: 本のid → { total, Available, ... }）
+async function copyCounts(bookIds) {
+  const results = await BookInstance.aggregate([
+    { $match: { book: { $in: bookIds } } },
+    {
+      $group: {
+        _id: { book: "$book", status: "$status" },
+        count: { $sum: 1 },
+      },
+    },
+  ]).exec();
+
+  const counts = new Map();
+  for (const result of results) {
+    const key = result._id.book.toString();
+    const entry = counts.get(key) || { total: 0 };
+    entry[result._id.status] = result.count;
+    entry.total += result.count;
+    counts.set(key, entry);
+  }
+  return counts;
+}
+
+// 検索結果ページを表示
+exports.search = [
+  // 同じパラメータが繰り返されると配列になるので、文字列だけを受け付ける
+  query("q").isString().trim().isLength({ max: 100 }),
+  query("genre").optional({ values: "falsy" }).isString().isMongoId(),
+  query("available").optional({ values: "falsy" }).isIn(["1"]),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    const invalid = new Set(errors.array().map((error) => error.path));
+    const q = invalid.has("q") ? "" : req.query.q || "";
+    const genreFilter = invalid.has("genre") ? "" : req.query.genre || "";
+    const availableOnly =
+      !invalid.has("available") && req.query.available === "1";
+
+    const allGenres = await Genre.find().sort({ name: 1 }).exec();
+
+    if (q === "") {
+      res.render("search", {
+        title: req.t("search.title"),
+        q: q,
+        genres: allGenres.map((genre) => ({ genre: genre, count: null })),
+        selected_genre: genreFilter,
+        available_only: availableOnly,
+        results: [],
+      });
+      return;
+    }
+
+    const scores = UNSEGMENTED.test(q)
+      ? await substringScores(q)
+      : await textScores(q);
+    const bookIds = [...scores.keys()];
+
+    const [books, counts] = await Promise.all([
+      Book.find({ _id: { $in: bookIds } })
+        .populate("author")
+        .populate("genre")
+        .exec(),
+      copyCounts(bookIds.map((id) => new mongoose.Types.ObjectId(id))),
+    ]);
+
+    const matches = books.map((book) => ({
+      book: book,
+      score: scores.get(book._id.toString()),
+      copies: counts.get(book._id.toString()) || { total: 0 },
+    }));
+
+    const inGenre = (match) =>
+      !genreFilter ||
+      match.book.genre.some((genre) => genre._id.toString() === genreFilter);
+    const isAvailable = (match) => (match.copies.Available || 0) > 0;
+
+    // 絞り込みの件数。各項目は、もう一方の絞り込みを適用した結果で数える
+    const genreFacets = new Map();
+    matches
+      .filter((match) => !availableOnly || isAvailable(match))
+      .forEach((match) =>
+        match.book.genre.forEach((genre) =>
+          genreFacets.set(
+            genre._id.toString(),
+            (genreFacets.get(genre._id.toString()) || 0) + 1
+          )
+        )
+      );
+    const availableFacet = matches.filter(
+      (match) => inGenre(match) && isAvailable(match)
+    ).length;
+
+    const terms = searchTerms(q);
+    const results = matches
+      .filter(
+        (match) => inGenre(match) && (!availableOnly || isAvailable(match))
+      )
+      .sort(
+        (a, b) => b.score - a.score || a.book.title.localeCompare(b.book.title)
+      );
+
+    res.render("search", {
+      title: req.t("search.results_title", { q: q }),
+      q: q,
+      genres: allGenres.map((genre) => ({
+        genre: genre,
+        count: genreFacets.get(genre._id.toString()) || 0,
+      })),
+      selected_genre: genreFilter,
+      available_only: availableOnly,
+      available_count: availableFacet,
+      total_count: results.length,
+      results: results.slice(0, MAX_RESULTS).map((match) => ({
+        ...match,
+        title_html: highlight(match.book.title, terms),
+        summary_html: highlight(excerpt(match.book.summary, terms), terms),
+        author_html: highlight(match.book.author.name, terms),
+      })),
+    });
+  }),
+];
@@ -0,0 +1,71 @@
+const Branch = require("../models/branch");
+const Transfer = require("../models/transfer");
+const transfers = require("../services/transfers");
+
+const mongoose = require("mongoose");
+const { validationResult } = require("express-validator");
+const { transferRules, receiveRules } = require("../validators/catalog");
+const asyncHandler = require("express-async-handler");
+
+// 移送中の蔵書の一覧を表示（?to=<分館のid> で送り先を絞り込み）
+exports.transfer_list = asyncHandler(async (req, res, next) => {
+  const toBranch = mongoose.isObjectIdOrHexString(req.query.to)
+    ? req.query.to
+    : "";
+  const filter = { received_at: null };
+  if (toBranch) filter.to_branch = toBranch;
+
+  const [openTransfers, branches] = await Promise.all([
+    Transfer.find(filter)
+      .sort({ sent_at: 1 })
+      .populate({ path: "book_instance", populate: { path: "book" } })
+      .populate("from_branch to_branch sent_by")
+      .exec(),
+    Branch.find().sort({ name: 1 }).exec(),
+  ]);
+
+  res.render("transfer_list", {
+    title: req.t("transfer.list_title"),
+    transfer_list: openTransfers,
+    branches: branches,
+    selected_branch: toBranch,
+  });
+});
+
+// 蔵書の移送（別の分館に送る）をPOSTで処理
+exports.transfer_create_post = [
+  ...transferRules,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const err = new Error(errors.array()[0].msg);
+      err.status = 400;
+      return next(err);
+    }
+
+    await transfers.send(req.params.id, req.body.to_branch, req.user);
+    res.redirect("/catalog/bookinstance/" + req.params.id);
+  }),
+];
+
+// 移送中の蔵書の受け取りをPOSTで処理
+exports.transfer_receive_post = [
+  ...receiveRules,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const err = new Error(errors.array()[0].msg);
+      err.status = 400;
+      return next(err);
+    }
+
+    const { bookInstance } = await transfers.receive(
+      req.params.id,
+      req.user,
+      req.body.shelf
+    );
+    res.redirect(bookInstance.url);
+  }),
+];
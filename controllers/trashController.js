@@ -0,0 +1,42 @@
+const trash = require("../services/trash");
+
+const asyncHandler = require("express-async-handler");
+
+// ゴミ箱の一覧を表示（errors があれば一緒に表示）
+async function renderTrash(req, res, errors) {
+  res.render("trash_list", {
+    title: req.t("trash.title"),
+    groups: await trash.list(),
+    errors: errors,
+  });
+}
+
+// ゴミ箱の一覧を表示
+exports.trash_list = asyncHandler(async (req, res, next) => {
+  await renderTrash(req, res);
+});
+
+// ゴミ箱から元に戻す（POST）
+exports.trash_restore_post = asyncHandler(async (req, res, next) => {
+  let restored;
+  try {
+    restored = await trash.restore(req.params.model, req.params.id);
+  } catch (err) {
+    if (err.status !== 409) return next(err);
+    res.status(409);
+    return renderTrash(req, res, [{ msg: err.message }]);
+  }
+  res.redirect(restored ? restored.url : "/catalog/trash");
+});
+
+// ゴミ箱から完全に削除する（POST）
+exports.trash_purge_post = asyncHandler(async (req, res, next) => {
+  try {
+    await trash.purge(req.params.model, req.params.id);
+  } catch (err) {
+    if (err.status !== 409) return next(err);
+    res.status(409);
+    return renderTrash(req, res, [{ msg: err.message }]);
+  }
+  res.redirect("/catalog/trash");
+});
@@ -0,0 +1,187 @@
+const User = require("../models/user");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+const { message } = require("../helpers/i18n");
+
+// ログイン後の遷移先。サイト内の相対パスのみ許可する
+function safeNext(next) {
+  if (typeof next === "string" && /^\/(?!\/)/.test(next)) {
+    return next;
+  }
+  return "/catalog";
+}
+
+// セッションを作り直してからユーザーIDを保存（セッション固定化対策）
+function startSession(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
+      req.session.user_id = user._id.toString();
+      resolve();
+    });
+  });
+}
+
+// ログインフォームをGETで表示
+exports.login_get = (req, res, next) => {
+  res.render("login_form", {
+    title: req.t("user.login_title"),
+    next_url: safeNext(req.query.next),
+  });
+};
+
+// ログインをPOSTで処理
+exports.login_post = [
+  // フィールドのバリデーションとサニタイズ
+  body("username", message("user.username_required"))
+    .trim()
+    .isLength({ min: 1 }),
+  body("password", message("user.password_required")).isLength({ min: 1 }),
+
+  // バリデーションとサニタイズ後のリクエスト処理
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    const nextUrl = safeNext(req.body.next);
+
+    let user = null;
+    if (errors.length === 0) {
+      user = await User.findOne({ username: req.body.username }).exec();
+      if (user === null || !(await user.verifyPassword(req.body.password))) {
+        // どちらが違うかは明かさない
+        errors.push({ msg: req.t("user.login_failed") });
+      }
+    }
+
+    if (errors.length > 0) {
+      // エラーあり。フォームを再表示
+      res.status(401).render("login_form", {
+        title: req.t("user.login_title"),
+        username: req.body.username,
+        next_url: nextUrl,
+        errors: errors,
+      });
+      return;
+    }
+
+    await startSession(req, user);
+    res.redirect(nextUrl);
+  }),
+];
+
+// ログアウトをPOSTで処理
+exports.logout_post = (req, res, next) => {
+  req.session.destroy((err) => {
+    if (err) return next(err);
+    res.clearCookie("connect.sid");
+    res.redirect("/catalog");
+  });
+};
+
+// 利用者登録フォームをGETで表示
+exports.register_get = (req, res, next) => {
+  res.render("register_form", { title: req.t("user.register_title") });
+};
+
+// 利用者登録をPOSTで処理
+exports.register_post = [
+  // フィールドのバリデーションとサニタイズ
+  body("username")
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage(message("user.username_length"))
+    .matches(/^[A-Za-z0-9_.-]+$/)
+    .withMessage(message("user.username_pattern")),
+  body("display_name", message("user.display_name_required"))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .escape(),
+  body("password", message("user.password_length")).isLength({
+    min: 8,
+  }),
+  body("password_confirm", message("user.password_mismatch")).custom(
+    (value, { req }) => value === req.body.password
+  ),
+
+  // バリデーションとサニタイズ後のリクエスト処理
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    if (errors.length === 0) {
+      const userExists = await User.findOne({
+        username: req.body.username,
+      }).exec();
+      if (userExists) {
+        errors.push({ msg: req.t("user.username_taken") });
+      }
+    }
+
+    if (errors.length > 0) {
+      // エラーあり。フォームを再表示
+      res.render("register_form", {
+        title: req.t("user.register_title"),
+        user: {
+          username: req.body.username,
+          display_name: req.body.display_name,
+        },
+        errors: errors,
+      });
+      return;
+    }
+
+    // 最初に登録されたユーザーを管理者とし、以降は利用者として登録
+    const isFirstUser = (await User.countDocuments({}).exec()) === 0;
+    const user = new User({
+      username: req.body.username,
+      display_name: req.body.display_name,
+      role: isFirstUser ? "admin" : "patron",
+    });
+    await user.setPassword(req.body.password);
+    await user.save();
+
+    await startSession(req, user);
+    res.redirect("/catalog");
+  }),
+];
+
+// すべてのユーザーのリストを表示（管理者用）
+exports.user_list = asyncHandler(async (req, res, next) => {
+  const allUsers = await User.find().sort({ username: 1 }).exec();
+  res.render("user_list", {
+    title: req.t("user.list_title"),
+    user_list: allUsers,
+    roles: User.ROLES,
+  });
+});
+
+// ユーザーのロール変更をPOSTで処理（管理者用）
+exports.user_role_post = [
+  body("role", message("user.invalid_role")).isIn(User.ROLES),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const err = new Error(errors.array()[0].msg);
+      err.status = 400;
+      return next(err);
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      // 自分自身の権限は変更できない（管理者不在を防ぐ）
+      const err = new Error(req.t("user.own_role"));
+      err.status = 400;
+      return next(err);
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, {
+      role: req.body.role,
+    }).exec();
+    if (user === null) {
+      const err = new Error(req.t("user.not_found"));
+      err.status = 404;
+      return next(err);
+    }
+
+    res.redirect("/users");
+  }),
+];
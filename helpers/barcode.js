@@ -0,0 +1,41 @@
+// 蔵書のバーコードの生成と正規化
+// 自動生成するバーコードは数字12桁（ランダムな11桁 + Luhnのチェックディジット）
+// 手入力のバーコードは英大文字・数字・ハイフンの4〜32文字
+
+const crypto = require("crypto");
+
+// 手入力で使えるバーコード（正規化した後の形）
+const BARCODE_PATTERN = /^[A-Z0-9-]{4,32}$/;
+
+// Luhnのチェックディジットを計算（右から2桁ごとに2倍する）
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let value = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+// 新しいバーコードを生成する
+function generateBarcode() {
+  const digits = crypto.randomInt(1e10, 1e11).toString();
+  return digits + luhnCheckDigit(digits);
+}
+
+// 前後の空白を取り除き、英字を大文字にする（スキャナーの改行などは取り除かれる）
+function normalizeBarcode(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+module.exports = {
+  BARCODE_PATTERN,
+  generateBarcode,
+  normalizeBarcode,
+};
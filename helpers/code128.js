@@ -0,0 +1,77 @@
+// Code 128 バーコードの符号化
+// 文字列をバーとスペースの幅（モジュール数）の並びにする。描画は呼び出し側で行う
+// 数字だけの文字列はコードセットCで2桁ずつ、それ以外はコードセットB（ASCIIの表示可能文字）で符号化する
+
+// シンボル値0〜106のパターン（バー・スペースを交互に、モジュール数で表す）
+// prettier-ignore
+const PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213",
+  "122312", "132212", "221213", "221312", "231212", "112232", "122132",
+  "122231", "113222", "123122", "123221", "223211", "221132", "221231",
+  "213212", "223112", "312131", "311222", "321122", "321221", "312212",
+  "322112", "322211", "212123", "212321", "232121", "111323", "131123",
+  "131321", "112313", "132113", "132311", "211313", "231113", "231311",
+  "112133", "112331", "132131", "113123", "113321", "133121", "313121",
+  "211331", "231131", "213113", "213311", "213131", "311123", "311321",
+  "331121", "312113", "312311", "332111", "314111", "221411", "431111",
+  "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114",
+  "413111", "241112", "134111", "111242", "121142", "121241", "114212",
+  "124112", "124211", "411212", "421112", "421211", "212141", "214121",
+  "412121", "111143", "111341", "131141", "114113", "114311", "411113",
+  "411311", "113141", "114131", "311141", "411131", "211412", "211214",
+  "211232", "2331112",
+];
+
+const CODE_C = 99;
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+// 符号化の前後に必要な余白（クワイエットゾーン）のモジュール数
+const QUIET_ZONE = 10;
+
+exports.QUIET_ZONE = QUIET_ZONE;
+
+// 文字列をシンボル値の並びにする（スタート・チェック・ストップを含む）
+function symbolsOf(text) {
+  if (!/^[\x20-\x7e]+$/.test(text)) {
+    throw new Error("Code 128 supports printable ASCII only: " + text);
+  }
+
+  const symbols = [];
+  if (/^\d+$/.test(text) && text.length >= 2) {
+    // 桁数が奇数なら先頭の1桁だけコードセットBで符号化する
+    let rest = text;
+    if (text.length % 2 === 1) {
+      symbols.push(START_B, text.charCodeAt(0) - 32, CODE_C);
+      rest = text.slice(1);
+    } else {
+      symbols.push(START_C);
+    }
+    for (let i = 0; i < rest.length; i += 2) {
+      symbols.push(Number(rest.slice(i, i + 2)));
+    }
+  } else {
+    symbols.push(START_B);
+    for (const char of text) {
+      symbols.push(char.charCodeAt(0) - 32);
+    }
+  }
+
+  // チェック値: スタートの値 + 各値 × 位置 を103で割った余り
+  let sum = symbols[0];
+  for (let i = 1; i < symbols.length; i++) {
+    sum += symbols[i] * i;
+  }
+  symbols.push(sum % 103, STOP);
+  return symbols;
+}
+
+// バーとスペースの幅の並びを返す（先頭はバー）。余白は含まない
+exports.encode = (text) =>
+  symbolsOf(String(text))
+    .map((symbol) => PATTERNS[symbol])
+    .join("")
+    .split("")
+    .map(Number);
@@ -0,0 +1,31 @@
+// 更新フォームの楽観的排他制御
+// フォームには読み込んだときのバージョン（__v）を version として持たせ、
+// 保存時にバージョンが変わっていれば上書きせず、保存されている値を示してフォームを再表示する
+
+// バージョンが一致するときだけ更新する
+// 更新できたら { doc: 更新後のレコード, current: null }、
+// 他の人が先に更新していたら { doc: null, current: 現在のレコード } を返す
+// （削除されていればどちらも null）
+exports.updateIfUnchanged = async (Model, id, version, update) => {
+  const doc = await Model.findOneAndUpdate({ _id: id, __v: version }, update, {
+    new: true,
+  }).exec();
+  if (doc) {
+    return { doc: doc, current: null };
+  }
+  return { doc: null, current: await Model.findById(id).exec() };
+};
+
+// 保存されている値と入力した値が異なる項目の一覧を返す
+// fields は { 項目名のメッセージキー: (レコード) => 表示する文字列 }
+exports.conflictingFields = (current, submitted, fields) => {
+  const conflicts = [];
+  for (const [label, display] of Object.entries(fields)) {
+    const theirs = display(current) || "";
+    const yours = display(submitted) || "";
+    if (theirs !== yours) {
+      conflicts.push({ label: label, theirs: theirs, yours: yours });
+    }
+  }
+  return conflicts;
+};
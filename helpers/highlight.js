@@ -0,0 +1,89 @@
+// 検索語のハイライト
+// カタログの文字列は保存時に express-validator の escape() でエスケープ済みなので、
+// いったん元に戻してから区切り、各部分をエスケープし直して <mark> で囲む
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&quot;": '"',
+  "&#x27;": "'",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&#x2F;": "/",
+  "&#x5C;": "\\",
+  "&#96;": "`",
+};
+
+// escape() でエスケープされた文字列を元に戻す
+function unescapeStored(text) {
+  return text.replace(
+    /&(?:amp|quot|#x27|lt|gt|#x2F|#x5C|#96);/g,
+    (entity) => ENTITIES[entity]
+  );
+}
+
+// express-validator の escape() と同じ規則でエスケープ
+function escapeStored(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#x27;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\//g, "&#x2F;")
+    .replace(/\\/g, "&#x5C;")
+    .replace(/`/g, "&#96;");
+}
+
+// 正規表現の特殊文字をエスケープ
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// 検索語に一致する部分を <mark> で囲んだHTMLを返す（!{} で出力する）
+function highlight(storedText, terms) {
+  const text = unescapeStored(storedText || "");
+  const words = terms.filter((term) => term.length > 0);
+  if (words.length === 0) {
+    return escapeStored(text);
+  }
+  const pattern = new RegExp(
+    "(" + words.map(escapeRegExp).join("|") + ")",
+    "gi"
+  );
+  return text
+    .split(pattern)
+    .map((part, index) =>
+      // split() の結果は奇数番目が一致部分
+      index % 2 === 1
+        ? "<mark>" + escapeStored(part) + "</mark>"
+        : escapeStored(part)
+    )
+    .join("");
+}
+
+// 最初に一致した位置の前後を切り出す（長い概要の抜粋用）
+function excerpt(storedText, terms, length = 200) {
+  const text = unescapeStored(storedText || "");
+  if (text.length <= length) {
+    return escapeStored(text);
+  }
+  const lower = text.toLowerCase();
+  const positions = terms
+    .map((term) => lower.indexOf(term.toLowerCase()))
+    .filter((position) => position >= 0);
+  const first = positions.length ? Math.min(...positions) : 0;
+  const start = Math.max(0, Math.min(first - length / 4, text.length - length));
+  return (
+    (start > 0 ? "…" : "") +
+    escapeStored(text.slice(start, start + length)) +
+    (start + length < text.length ? "…" : "")
+  );
+}
+
+module.exports = {
+  unescapeStored,
+  escapeStored,
+  escapeRegExp,
+  highlight,
+  excerpt,
+};
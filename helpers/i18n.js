@@ -0,0 +1,79 @@
+// 翻訳（メッセージカタログは locales/<ロケール>.json）
+// キーは "book.not_found" のようにドットで区切る。{name} の形で値を埋め込める
+// 件数で変わる文は { "one": ..., "other": ... } とし、params.count で選ぶ
+
+const { DateTime } = require("luxon");
+
+const config = require("../config");
+const requestContext = require("./requestContext");
+
+const LOCALES = ["ja", "en"];
+// 言語を選んでいない利用者と、リクエストの外で使う言語（設定の locale）
+const DEFAULT_LOCALE = config.locale;
+// すべてのメッセージがそろっているカタログ。他の言語にないメッセージはこれで表示する
+const FALLBACK_LOCALE = "ja";
+
+// 言語切り替えで表示する名前（それぞれの言語で表記）
+const LOCALE_NAMES = { ja: "日本語", en: "English" };
+
+const catalogues = {};
+for (const locale of LOCALES) {
+  catalogues[locale] = require(`../locales/${locale}.json`);
+}
+
+exports.LOCALES = LOCALES;
+exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
+exports.LOCALE_NAMES = LOCALE_NAMES;
+
+// サポートしているロケールなら true
+exports.isLocale = (locale) => LOCALES.includes(locale);
+
+function lookup(locale, key) {
+  let node = catalogues[locale];
+  for (const part of key.split(".")) {
+    if (node === undefined || node === null) return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+// 指定したロケールで翻訳する。見つからなければ FALLBACK_LOCALE、それもなければキーを返す
+function translate(locale, key, params = {}) {
+  let message = lookup(locale, key);
+  if (message === undefined) message = lookup(FALLBACK_LOCALE, key);
+  if (message === undefined) return key;
+
+  if (typeof message === "object") {
+    const category =
+      params.count !== undefined
+        ? new Intl.PluralRules(locale).select(params.count)
+        : "other";
+    message = message[category] || message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null
+      ? String(params[name])
+      : match
+  );
+}
+
+exports.translate = translate;
+
+// 実行中のリクエストのロケール。リクエストの外（定期ジョブなど）では既定のロケール
+function currentLocale() {
+  const context = requestContext.current();
+  return (context && context.locale) || DEFAULT_LOCALE;
+}
+
+exports.currentLocale = currentLocale;
+
+// 実行中のリクエストのロケールで翻訳する（サービスやモデルから使う）
+exports.t = (key, params) => translate(currentLocale(), key, params);
+
+// 日時を実行中のリクエストのロケールの luxon DateTime にする
+exports.dateTime = (date) =>
+  DateTime.fromJSDate(date).setLocale(currentLocale());
+
+// バリデーションのメッセージ。検証を実行したときのロケールで翻訳する
+// 例: body("title", message("validation.title_required"))
+exports.message = (key, params) => () => exports.t(key, params);
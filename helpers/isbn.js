@@ -0,0 +1,61 @@
+// ISBNのチェックディジット検証と正規化
+// 保存時はハイフンなしのISBN-13に揃える（ISBN-10は978を付けて変換）
+
+// ハイフンと空白を取り除き、ISBN-10のチェックディジットxを大文字にする
+function compact(value) {
+  return String(value || "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+}
+
+// ISBN-10のチェックディジットが正しいか（重み10〜1、11で割り切れる）
+function isValidIsbn10(digits) {
+  if (!/^\d{9}[\dX]$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const value = digits[i] === "X" ? 10 : Number(digits[i]);
+    sum += value * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+// ISBN-13の先頭12桁からチェックディジットを計算（重み1と3を交互に）
+function isbn13CheckDigit(first12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+// ISBN-13のチェックディジットが正しいか
+function isValidIsbn13(digits) {
+  if (!/^\d{13}$/.test(digits)) return false;
+  return isbn13CheckDigit(digits.slice(0, 12)) === digits[12];
+}
+
+// ISBN-10またはISBN-13として正しいか（ハイフン・空白は無視）
+function isValidIsbn(value) {
+  const digits = compact(value);
+  return isValidIsbn10(digits) || isValidIsbn13(digits);
+}
+
+// 正規化したISBN-13を返す。正しいISBNでなければ null
+function normalizeIsbn(value) {
+  const digits = compact(value);
+  if (isValidIsbn13(digits)) {
+    return digits;
+  }
+  if (isValidIsbn10(digits)) {
+    const first12 = "978" + digits.slice(0, 9);
+    return first12 + isbn13CheckDigit(first12);
+  }
+  return null;
+}
+
+module.exports = {
+  isbn13CheckDigit,
+  isValidIsbn,
+  isValidIsbn13,
+  normalizeIsbn,
+};
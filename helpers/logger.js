@@ -0,0 +1,17 @@
+// アプリケーションのログ（1行に1件のJSON）
+// レベルは設定の log.level。開発環境では（log.pretty）読みやすい形に整えて出力する
+// リクエストの処理中は req.log を使うと、リクエストIDが付く（middleware/logging.js）
+
+const pino = require("pino");
+const config = require("../config");
+
+module.exports = pino({
+  level: config.log.level,
+  timestamp: pino.stdTimeFunctions.isoTime,
+  transport: config.log.pretty
+    ? {
+        target: "pino-pretty",
+        options: { translateTime: "SYS:HH:MM:ss.l", ignore: "pid,hostname" },
+      }
+    : undefined,
+});
@@ -0,0 +1,234 @@
+// MARC21レコードの読み書き（ISO 2709形式のバイナリとMARCXML）
+// レコードは { leader, controlfields: [{ tag, value }],
+//   datafields: [{ tag, ind1, ind2, subfields: [{ code, value }] }] } で表す
+
+const { XMLParser, XMLValidator } = require("fast-xml-parser");
+
+const { t } = require("./i18n");
+
+// ISO 2709の区切り文字
+const SUBFIELD_DELIMITER = 0x1f;
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+
+const MARCXML_NAMESPACE = "http://www.loc.gov/MARC21/slim";
+
+// 書き出すレコードのリーダー（新規・言語資料・単行書・UTF-8）
+// レコード長とベースアドレスはMARCXMLでは意味を持たないので0にする
+const DEFAULT_LEADER = "00000nam a2200000 u 4500";
+
+exports.RECORD_TERMINATOR = RECORD_TERMINATOR;
+
+// 400エラーを作成
+function marcError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// 001〜009はコントロールフィールド（指示子とサブフィールドがない）
+function isControlTag(tag) {
+  return tag.startsWith("00");
+}
+
+// バイナリのフィールドをサブフィールドに分ける
+// UTF-8の複数バイト文字に区切り文字のバイトは現れないので、デコード前に分けてよい
+function parseSubfields(data, encoding) {
+  const subfields = [];
+  let start = data.indexOf(SUBFIELD_DELIMITER);
+  while (start >= 0) {
+    const end = data.indexOf(SUBFIELD_DELIMITER, start + 1);
+    const chunk = data.subarray(start + 1, end >= 0 ? end : data.length);
+    if (chunk.length > 0) {
+      subfields.push({
+        code: String.fromCharCode(chunk[0]),
+        value: chunk.subarray(1).toString(encoding),
+      });
+    }
+    start = end;
+  }
+  return subfields;
+}
+
+// バイナリのレコード1件を読む
+function parseBinaryRecord(data, number) {
+  const leader = data.toString("latin1", 0, LEADER_LENGTH);
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+  if (!(baseAddress > LEADER_LENGTH && baseAddress <= data.length)) {
+    throw marcError(t("marc.bad_leader", { number }));
+  }
+  // リーダーの9桁目が a ならUTF-8。それ以外（MARC-8）は基本ラテン文字のみ扱う
+  const encoding = leader[9] === "a" ? "utf8" : "latin1";
+
+  const record = { leader: leader, controlfields: [], datafields: [] };
+  for (
+    let pos = LEADER_LENGTH;
+    pos + DIRECTORY_ENTRY_LENGTH <= baseAddress &&
+    data[pos] !== FIELD_TERMINATOR;
+    pos += DIRECTORY_ENTRY_LENGTH
+  ) {
+    const tag = data.toString("latin1", pos, pos + 3);
+    const length = parseInt(data.toString("latin1", pos + 3, pos + 7), 10);
+    const start = parseInt(data.toString("latin1", pos + 7, pos + 12), 10);
+    if (!(length > 0) || isNaN(start)) {
+      throw marcError(t("marc.bad_directory", { number }));
+    }
+    let field = data.subarray(
+      baseAddress + start,
+      baseAddress + start + length
+    );
+    if (field[field.length - 1] === FIELD_TERMINATOR) {
+      field = field.subarray(0, field.length - 1);
+    }
+
+    if (isControlTag(tag)) {
+      record.controlfields.push({ tag: tag, value: field.toString(encoding) });
+    } else {
+      record.datafields.push({
+        tag: tag,
+        ind1: String.fromCharCode(field[0] || 0x20),
+        ind2: String.fromCharCode(field[1] || 0x20),
+        subfields: parseSubfields(field.subarray(2), encoding),
+      });
+    }
+  }
+  return record;
+}
+
+// バイナリのMARC21（ISO 2709）ファイルを読む
+exports.parseMarc21 = (buffer) => {
+  const records = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    // レコード間の改行は無視する
+    if (buffer[offset] === 0x0a || buffer[offset] === 0x0d) {
+      offset++;
+      continue;
+    }
+    const number = records.length + 1;
+    const length = parseInt(buffer.toString("latin1", offset, offset + 5), 10);
+    if (
+      !(length > LEADER_LENGTH) ||
+      offset + length > buffer.length ||
+      buffer[offset + length - 1] !== RECORD_TERMINATOR
+    ) {
+      throw marcError(t("marc.bad_length", { number }));
+    }
+    records.push(
+      parseBinaryRecord(buffer.subarray(offset, offset + length), number)
+    );
+    offset += length;
+  }
+  return records;
+};
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: false,
+  // 数値文字参照（&#x3042; など）も文字に戻す
+  htmlEntities: true,
+  isArray: (name) =>
+    ["record", "controlfield", "datafield", "subfield"].includes(name),
+});
+
+// 要素の文字列（属性付きの要素はオブジェクトになる）
+function textOf(node) {
+  if (node === undefined || node === null) return "";
+  if (typeof node === "object") return node["#text"] || "";
+  return String(node);
+}
+
+// MARCXMLファイルを読む（<collection> または <record> が最上位）
+exports.parseMarcXml = (text) => {
+  const valid = XMLValidator.validate(text);
+  if (valid !== true) {
+    throw marcError(
+      t("marc.bad_xml", { line: valid.err.line, error: valid.err.msg })
+    );
+  }
+
+  const doc = xmlParser.parse(text);
+  const records = doc.collection
+    ? doc.collection.record || []
+    : doc.record || [];
+
+  return records.map((node) => ({
+    leader: textOf(node.leader),
+    controlfields: (node.controlfield || []).map((field) => ({
+      tag: field.tag,
+      value: textOf(field),
+    })),
+    datafields: (node.datafield || []).map((field) => ({
+      tag: field.tag,
+      ind1: field.ind1 || " ",
+      ind2: field.ind2 || " ",
+      subfields: (field.subfield || []).map((subfield) => ({
+        code: subfield.code,
+        value: textOf(subfield),
+      })),
+    })),
+  }));
+};
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// レコードをMARCXMLの文字列にする
+exports.toMarcXml = (records) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<collection xmlns="${MARCXML_NAMESPACE}">`,
+  ];
+  for (const record of records) {
+    lines.push("  <record>");
+    lines.push(
+      `    <leader>${escapeXml(record.leader || DEFAULT_LEADER)}</leader>`
+    );
+    for (const field of record.controlfields) {
+      lines.push(
+        `    <controlfield tag="${field.tag}">${escapeXml(
+          field.value
+        )}</controlfield>`
+      );
+    }
+    for (const field of record.datafields) {
+      lines.push(
+        `    <datafield tag="${field.tag}" ind1="${field.ind1}" ind2="${field.ind2}">`
+      );
+      for (const subfield of field.subfields) {
+        lines.push(
+          `      <subfield code="${subfield.code}">${escapeXml(
+            subfield.value
+          )}</subfield>`
+        );
+      }
+      lines.push("    </datafield>");
+    }
+    lines.push("  </record>");
+  }
+  lines.push("</collection>");
+  return lines.join("\n") + "\n";
+};
+
+// 指定したタグのフィールドにある、指定したコードのサブフィールドの値をすべて返す
+exports.subfieldValues = (record, tag, code) =>
+  record.datafields
+    .filter((field) => field.tag === tag)
+    .flatMap((field) =>
+      field.subfields
+        .filter((subfield) => subfield.code === code)
+        .map((subfield) => subfield.value)
+    );
@@ -0,0 +1,84 @@
+// 一覧ページ共通のページ送り・並べ替え
+// クエリパラメータ: page（1始まり）、limit（1ページの件数）、sort（並び順のキー）
+
+const DEFAULT_LIMIT = 20;
+const LIMIT_OPTIONS = [10, 20, 50, 100];
+
+// ページ番号のリンクを現在ページの前後に何件出すか
+const PAGE_WINDOW = 2;
+
+exports.LIMIT_OPTIONS = LIMIT_OPTIONS;
+
+function positiveInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+// 現在のURLのクエリの一部を置き換えたURLを作る（空の値は省く）
+function urlWith(req, overrides) {
+  const params = new URLSearchParams();
+  const merged = { ...req.query, ...overrides };
+  for (const [key, value] of Object.entries(merged)) {
+    if (typeof value === "string" || typeof value === "number") {
+      if (value !== "") params.set(key, value);
+    }
+  }
+  const search = params.toString();
+  return req.baseUrl + req.path + (search ? "?" + search : "");
+}
+
+exports.urlWith = urlWith;
+
+// リクエストから件数と並び順を読み取る
+// sorts は { キー: { label, sort } } の形。不明なキーは defaultSort になる
+exports.listOptions = (req, sorts, defaultSort) => {
+  const limit = positiveInt(req.query.limit, DEFAULT_LIMIT);
+  const sortKey = Object.prototype.hasOwnProperty.call(sorts, req.query.sort)
+    ? req.query.sort
+    : defaultSort;
+  return {
+    page: positiveInt(req.query.page, 1),
+    limit: LIMIT_OPTIONS.includes(limit) ? limit : DEFAULT_LIMIT,
+    sortKey: sortKey,
+    sort: sorts[sortKey].sort,
+    sorts: sorts,
+  };
+};
+
+// 全件数からページ情報を作る。範囲外のページは最終ページに丸める
+// 返り値の skip と limit をそのままクエリに使う
+exports.paginate = (req, total, options) => {
+  const pages = Math.max(1, Math.ceil(total / options.limit));
+  const page = Math.min(options.page, pages);
+  const skip = (page - 1) * options.limit;
+
+  const links = [];
+  for (let number = 1; number <= pages; number++) {
+    const nearCurrent = Math.abs(number - page) <= PAGE_WINDOW;
+    if (number === 1 || number === pages || nearCurrent) {
+      links.push({
+        number: number,
+        url: urlWith(req, { page: number }),
+        current: number === page,
+      });
+    } else if (links.length && links[links.length - 1].gap !== true) {
+      links.push({ gap: true }); // 省略記号
+    }
+  }
+
+  return {
+    page: page,
+    pages: pages,
+    total: total,
+    limit: options.limit,
+    skip: skip,
+    first_item: total === 0 ? 0 : skip + 1,
+    last_item: Math.min(skip + options.limit, total),
+    prev_url: page > 1 ? urlWith(req, { page: page - 1 }) : null,
+    next_url: page < pages ? urlWith(req, { page: page + 1 }) : null,
+    links: links,
+    sort_key: options.sortKey,
+    sorts: options.sorts,
+    limit_options: LIMIT_OPTIONS,
+  };
+};
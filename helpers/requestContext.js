@@ -0,0 +1,15 @@
+// リクエストごとの情報（ログイン中のユーザーと表示言語）を、引数で渡さずに参照するための仕組み
+// モデルのミドルウェア（変更履歴の記録）から操作者を、サービスやモデルから表示言語を知るために使う
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+// 以降のミドルウェアとハンドラーを、このリクエストの情報を持った状態で実行する
+// loadUser と setLocale の後に登録する
+exports.bind = (req, res, next) => {
+  storage.run({ user: req.user || null, locale: req.locale || null }, next);
+};
+
+// 実行中のリクエストの情報。リクエストの外（定期ジョブなど）では null
+exports.current = () => storage.getStore() || null;
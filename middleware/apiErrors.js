@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// JSON API のエラーを { error: { status, message, request_id } } の形で返す
+// API のルーターの最後と、app.js の本文の解析の直後（/api/v1 のみ）に置く
+// （本文を解析できないエラーはルーターに届く前に起きるため）
+exports.handleApiError = (err, req, res, next) => {
+  let status = err.status || 500;
+  let message = err.message;
+  if (err instanceof mongoose.Error.ValidationError) {
+    // スキーマの検証エラー（不明な状態や、形式の正しくない参照など）
+    status = 400;
+  } else if (err instanceof mongoose.Error.CastError) {
+    status = 400;
+  } else if (err.code === 11000) {
+    // 重複の確認をすり抜けた一意インデックスの違反
+    status = 409;
+    message = req.t("error.conflict");
+  } else if (err.type === "entity.parse.failed") {
+    // body-parser のエラー（JSONの構文の誤り・大きすぎる本文）
+    message = req.t("error.invalid_body");
+  } else if (err.type === "entity.too.large") {
+    message = req.t("error.too_large");
+  } else if (status === 500 && req.app.get("env") !== "development") {
+    message = req.t("error.internal");
+  }
+  if (status >= 500) {
+    res.err = err; // スタックトレースと共にログに出力する
+  }
+  res.status(status).json({
+    error: { status: status, message: message, request_id: req.id },
+  });
+};
@@ -0,0 +1,54 @@
+const User = require("../models/user");
+
+const asyncHandler = require("express-async-handler");
+
+// セッションのユーザーIDからログイン中のユーザーを読み込み、ビューにも渡す
+exports.loadUser = asyncHandler(async (req, res, next) => {
+  req.user = null;
+  if (req.session && req.session.user_id) {
+    req.user = await User.findById(req.session.user_id).exec();
+    if (req.user === null) {
+      // 削除済みユーザーのセッションは破棄
+      delete req.session.user_id;
+    }
+  }
+  res.locals.currentUser = req.user;
+  next();
+});
+
+// ログイン必須。未ログインならログインページへ（元のURLを引き継ぐ）
+exports.requireLogin = (req, res, next) => {
+  if (!req.user) {
+    res.redirect("/users/login?next=" + encodeURIComponent(req.originalUrl));
+    return;
+  }
+  next();
+};
+
+// 指定したロール以上の権限が必要
+exports.requireRole = (role) => [
+  exports.requireLogin,
+  (req, res, next) => {
+    if (!req.user.hasRole(role)) {
+      const err = new Error(req.t("auth.forbidden"));
+      err.status = 403;
+      return next(err);
+    }
+    next();
+  },
+];
+
+// JSON API用。リダイレクトせず、未ログインなら401、権限不足なら403
+exports.requireApiRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    const err = new Error(req.t("auth.login_required"));
+    err.status = 401;
+    return next(err);
+  }
+  if (!req.user.hasRole(role)) {
+    const err = new Error(req.t("auth.forbidden"));
+    err.status = 403;
+    return next(err);
+  }
+  next();
+};
@@ -0,0 +1,24 @@
+const i18n = require("../helpers/i18n");
+
+// 選んだ言語を保存する Cookie
+const LOCALE_COOKIE = "locale";
+
+exports.LOCALE_COOKIE = LOCALE_COOKIE;
+
+// 表示言語を Cookie、なければ Accept-Language から決め、
+// req.t とビュー用の t（その言語で翻訳する関数）を用意する
+exports.setLocale = (req, res, next) => {
+  const cookie = req.cookies && req.cookies[LOCALE_COOKIE];
+  const locale = i18n.isLocale(cookie)
+    ? cookie
+    : req.acceptsLanguages(...i18n.LOCALES) || i18n.DEFAULT_LOCALE;
+
+  req.locale = locale;
+  req.t = (key, params) => i18n.translate(locale, key, params);
+
+  res.locals.locale = locale;
+  res.locals.t = req.t;
+  res.locals.locale_names = i18n.LOCALE_NAMES;
+  res.locals.current_url = req.originalUrl;
+  next();
+};
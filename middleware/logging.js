@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const pinoHttp = require("pino-http");
+
+const logger = require("../helpers/logger");
+
+// リクエストIDを受け渡すヘッダー
+const REQUEST_ID_HEADER = "X-Request-Id";
+// 前段のプロキシが付けたリクエストIDとして受け付ける形
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+// オーケストレーターやPrometheusが頻繁に呼ぶので、ログに出さないパス
+const QUIET_PATHS = ["/healthz", "/readyz", "/metrics"];
+
+exports.REQUEST_ID_HEADER = REQUEST_ID_HEADER;
+
+// リクエストID。前段のプロキシが付けたものがあれば引き継ぎ、なければ作る
+// 応答のヘッダーにも付ける
+function requestId(req, res) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = REQUEST_ID_PATTERN.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, id);
+  return id;
+}
+
+// 応答の後に出力する項目（ルートは middleware/metrics.js が求める）
+function requestFields(req, res, fields) {
+  return {
+    ...fields,
+    method: req.method,
+    url: req.originalUrl,
+    route: req.routePattern || null,
+    user: req.user ? req.user.username : null,
+  };
+}
+
+// リクエストごとに、メソッド・URL・ルート・ユーザー・状態コード・処理時間を1行で出力する
+// 500番台の応答は error レベルで、エラーのスタックトレースも出力する（エラーハンドラーが res.err に入れる）
+// 以降のミドルウェアとハンドラーでは req.id がリクエストID、req.log がそれを付けて出力するロガー
+const httpLogger = pinoHttp({
+  logger: logger,
+  genReqId: requestId,
+  quietReqLogger: true,
+  customAttributeKeys: { reqId: "request_id", responseTime: "latency_ms" },
+  // ヘッダー（Cookie を含む）は出力しない
+  serializers: {
+    req: (req) => ({ ip: req.remoteAddress }),
+    res: (res) => ({ status: res.statusCode }),
+  },
+  customLogLevel: (req, res, err) => {
+    if (err || res.statusCode >= 500) return "error";
+    if (res.statusCode >= 400) return "warn";
+    return "info";
+  },
+  customSuccessMessage: (req, res) =>
+    `${req.method} ${req.originalUrl} ${res.statusCode}`,
+  customErrorMessage: (req, res) =>
+    `${req.method} ${req.originalUrl} ${res.statusCode}`,
+  customSuccessObject: requestFields,
+  customErrorObject: (req, res, err, fields) => requestFields(req, res, fields),
+  autoLogging: { ignore: (req) => QUIET_PATHS.includes(req.path) },
+});
+
+// ビュー（エラーページ）にもリクエストIDを渡す
+exports.logRequests = [
+  httpLogger,
+  (req, res, next) => {
+    res.locals.request_id = req.id;
+    next();
+  },
+];
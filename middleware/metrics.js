@@ -0,0 +1,35 @@
+const metrics = require("../services/metrics");
+
+// どのルートにも一致しなかったリクエスト（静的ファイル・404）のラベル
+const UNMATCHED_ROUTE = "unmatched";
+
+// リクエストの件数と処理時間を、一致したルートのパターンごとに記録する
+// （/catalog/book/:id のように、idごとにラベルが増えないようにする）
+// ルートの一致は、Express が req.route を設定したときのマウント先（req.baseUrl）と合わせて覚え、
+// req.routePattern に入れる（ログにも使う）
+// エラーでルーターを抜けると req.baseUrl は戻ってしまうので、応答の後では求められない
+exports.recordRequest = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  let route = null;
+  req.routePattern = null;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) req.routePattern = (req.baseUrl || "") + String(value.path);
+    },
+  });
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    metrics.observeRequest(
+      req.method,
+      req.routePattern || UNMATCHED_ROUTE,
+      res.statusCode,
+      seconds
+    );
+  });
+  next();
+};
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const { dateTime } = require("../helpers/i18n"); // dates in the request's locale
+
+const Schema = mongoose.Schema;
+
+// A line in a borrower's account, keyed by library card number.
+// Fines add to the balance; payments and waivers reduce it.
+const AccountEntrySchema = new Schema({
+  card_number: { type: String, required: true, maxLength: 20 },
+  borrower_name: { type: String, maxLength: 100 },
+  kind: {
+    type: String,
+    required: true,
+    enum: ["Fine", "Payment", "Waiver"],
+  },
+  amount: { type: Number, required: true, min: 0 }, // In yen.
+  // For fines: the overdue loan the fine is for (one fine per copy and due date).
+  book_instance: { type: Schema.ObjectId, ref: "BookInstance" },
+  due_back: { type: Date },
+  days_overdue: { type: Number, min: 0 },
+  note: { type: String, maxLength: 200 },
+  recorded_by: { type: Schema.ObjectId, ref: "User" },
+  created_at: { type: Date, required: true, default: Date.now },
+});
+
+AccountEntrySchema.index({ card_number: 1, created_at: -1 });
+AccountEntrySchema.index(
+  { book_instance: 1, due_back: 1 },
+  { unique: true, partialFilterExpression: { kind: "Fine" } }
+);
+
+// Signed amount: positive for fines, negative for payments and waivers.
+AccountEntrySchema.virtual("balance_change").get(function () {
+  return this.kind === "Fine" ? this.amount : -this.amount;
+});
+
+AccountEntrySchema.virtual("created_at_formatted").get(function () {
+  return dateTime(this.created_at).toLocaleString(DateTime.DATE_MED);
+});
+
+// Export model.
+module.exports = mongoose.model("AccountEntry", AccountEntrySchema);
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const { dateTime } = require("../helpers/i18n"); // dates in the request's locale
+
+const Schema = mongoose.Schema;
+
+// Catalog models whose changes are recorded, and the URL path of each.
+const AUDITED_MODELS = {
+  Book: "book",
+  Author: "author",
+  Genre: "genre",
+  BookInstance: "bookinstance",
+};
+
+// One change to a catalog record. "delete" moves it to the trash, "restore"
+// takes it out again and "purge" removes it permanently.
+// Values in `changes` are stored as JSON-friendly values (ids and dates as strings).
+const AuditEntrySchema = new Schema({
+  // Null for changes made outside a request (scheduled jobs, scripts).
+  actor: { type: Schema.ObjectId, ref: "User" },
+  actor_name: { type: String, maxLength: 100 },
+  action: {
+    type: String,
+    required: true,
+    enum: ["create", "update", "delete", "restore", "purge"],
+  },
+  model: { type: String, required: true, enum: Object.keys(AUDITED_MODELS) },
+  document_id: { type: Schema.ObjectId, required: true },
+  // The record's title or name at the time of the change.
+  document_label: { type: String },
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      before: { type: Schema.Types.Mixed },
+      after: { type: Schema.Types.Mixed },
+    },
+  ],
+  created_at: { type: Date, required: true, default: Date.now },
+});
+
+AuditEntrySchema.index({ model: 1, document_id: 1, created_at: -1 });
+AuditEntrySchema.index({ created_at: -1 });
+
+// Virtual for the changed record's URL (may no longer exist if deleted).
+AuditEntrySchema.virtual("document_url").get(function () {
+  return "/catalog/" + AUDITED_MODELS[this.model] + "/" + this.document_id;
+});
+
+// Virtual for the full history of the changed record.
+AuditEntrySchema.virtual("history_url").get(function () {
+  return "/catalog/audit?model=" + this.model + "&document=" + this.document_id;
+});
+
+AuditEntrySchema.virtual("created_at_formatted").get(function () {
+  return dateTime(this.created_at).toLocaleString(
+    DateTime.DATETIME_MED_WITH_SECONDS
+  );
+});
+
+AuditEntrySchema.statics.AUDITED_MODELS = AUDITED_MODELS;
+
+// Export model.
+module.exports = mongoose.model("AuditEntry", AuditEntrySchema);
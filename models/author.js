@@ -1,20 +1,75 @@
 const mongoose = require("mongoose");
+const audit = require("./plugins/audit");
+const softDelete = require("./plugins/softDelete");
+const version = require("./plugins/version");
 const { DateTime } = require("luxon"); // for date handling
+const { dateTime } = require("../helpers/i18n"); // dates in the request's locale
+const { unescapeStored } = require("../helpers/highlight");
 
 const Schema = mongoose.Schema;
 
+// Authors are sorted by reading, using Japanese collation so that kana
+// readings sort in gojūon order (and Latin names alphabetically before them).
+const NAME_COLLATION = { locale: "ja" };
+
 const AuthorSchema = new Schema({
   first_name: { type: String, required: true, maxLength: 100 },
   family_name: { type: String, required: true, maxLength: 100 },
+  // Optional readings in katakana, used for sorting.
+  first_name_kana: { type: String, maxLength: 100 },
+  family_name_kana: { type: String, maxLength: 100 },
+  // Order of the names in `name`: "western" (first family) or "japanese" (family first).
+  name_order: {
+    type: String,
+    required: true,
+    enum: ["western", "japanese"],
+    default: "western",
+  },
+  // Sort key derived from the names and readings; kept up to date by the hooks below.
+  sort_name: { type: String },
   date_of_birth: { type: Date },
   date_of_death: { type: Date },
 });
 
-// Virtual for author "full" name.
+// Sort key: each reading if given, otherwise the name as written.
+function sortName(fields) {
+  return unescapeStored(
+    (fields.family_name_kana || fields.family_name) +
+      " " +
+      (fields.first_name_kana || fields.first_name)
+  );
+}
+
+AuthorSchema.index({ sort_name: 1 }, { collation: NAME_COLLATION });
+
+// Full-text index for catalog search.
+AuthorSchema.index(
+  { first_name: "text", family_name: "text" },
+  { name: "author_text" }
+);
+
+// Virtual for author "full" name, in the author's name order.
 AuthorSchema.virtual("name").get(function () {
+  return this.name_order === "japanese"
+    ? this.family_name + " " + this.first_name
+    : this.first_name + " " + this.family_name;
+});
+
+// Virtual for the name as "Family, First", whatever the name order. Used where
+// the family name must be marked out, as in MARC 100 $a and the CSV export.
+AuthorSchema.virtual("inverted_name").get(function () {
   return this.family_name + ", " + this.first_name;
 });
 
+// Virtual for the reading of the full name (empty if no reading is given).
+AuthorSchema.virtual("name_kana").get(function () {
+  const parts =
+    this.name_order === "japanese"
+      ? [this.family_name_kana, this.first_name_kana]
+      : [this.first_name_kana, this.family_name_kana];
+  return parts.filter(Boolean).join(" ");
+});
+
 // Virtual for this author instance URL.
 AuthorSchema.virtual("url").get(function () {
   return "/catalog/author/" + this._id;
@@ -23,13 +78,13 @@ AuthorSchema.virtual("url").get(function () {
 AuthorSchema.virtual("lifespan").get(function () {
   let lifetime_string = "";
   if (this.date_of_birth) {
-    lifetime_string = DateTime.fromJSDate(this.date_of_birth).toLocaleString(
+    lifetime_string = dateTime(this.date_of_birth).toLocaleString(
       DateTime.DATE_MED
     );
   }
   lifetime_string += " - ";
   if (this.date_of_death) {
-    lifetime_string += DateTime.fromJSDate(this.date_of_death).toLocaleString(
+    lifetime_string += dateTime(this.date_of_death).toLocaleString(
       DateTime.DATE_MED
     );
   }
@@ -44,5 +99,60 @@ AuthorSchema.virtual("date_of_death_yyyy_mm_dd").get(function () {
   return DateTime.fromJSDate(this.date_of_death).toISODate(); // format 'YYYY-MM-DD'
 });
 
+// Keep the sort key in step with the names, for saves and for updates that
+// replace the names (as the update forms and the API do).
+AuthorSchema.pre("validate", function () {
+  this.sort_name = sortName(this);
+});
+
+AuthorSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+  const fields = { ...update, ...update.$set };
+  if (fields.family_name === undefined || fields.first_name === undefined) {
+    return;
+  }
+  if (update.$set) {
+    update.$set.sort_name = sortName(fields);
+  } else {
+    update.sort_name = sortName(fields);
+  }
+});
+
+// Query helper: sort by reading, e.g. Author.find().sortByName().
+AuthorSchema.query.sortByName = function (direction = 1) {
+  return this.sort({ sort_name: direction, _id: direction }).collation(
+    NAME_COLLATION
+  );
+};
+
+// Fill in the sort key of authors saved before it existed.
+// Writes directly to the collection: the key is derived data, not an edit.
+AuthorSchema.statics.fillSortNames = async function () {
+  const authors = await this.collection
+    .find({ sort_name: { $exists: false } })
+    .toArray();
+  for (const author of authors) {
+    await this.collection.updateOne(
+      { _id: author._id },
+      { $set: { sort_name: sortName(author) } }
+    );
+  }
+  return authors.length;
+};
+
+AuthorSchema.statics.NAME_COLLATION = NAME_COLLATION;
+
+// Every change bumps the version, so update forms can detect conflicts.
+AuthorSchema.plugin(version);
+
+// Deleted records go to the trash and are hidden from queries.
+AuthorSchema.plugin(softDelete);
+
+// Record every change in the audit log.
+AuthorSchema.plugin(audit, {
+  label: (doc) => doc.family_name + ", " + doc.first_name,
+});
+
 // Export model.
 module.exports = mongoose.model("Author", AuthorSchema);
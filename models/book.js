@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const audit = require("./plugins/audit");
+const softDelete = require("./plugins/softDelete");
+const version = require("./plugins/version");
+const { isValidIsbn13, normalizeIsbn } = require("../helpers/isbn");
 
 const Schema = mongoose.Schema;
 
@@ -6,14 +10,86 @@ const BookSchema = new Schema({
   title: { type: String, required: true },
   author: { type: Schema.ObjectId, ref: "Author", required: true },
   summary: { type: String, required: true },
-  isbn: { type: String, required: true },
+  isbn: {
+    type: String,
+    required: true,
+    unique: true,
+    // Stored as a bare ISBN-13; ISBN-10s are converted on assignment.
+    set: (value) => normalizeIsbn(value) || value,
+    validate: {
+      validator: isValidIsbn13,
+      message: (props) => `${props.value} is not a valid ISBN`,
+    },
+  },
   genre: [{ type: Schema.ObjectId, ref: "Genre" }],
+  // Name of the cover image files in the cover directory (see services/covers.js).
+  cover: { type: String },
 });
 
+// Full-text index for catalog search; title matches rank above summary matches.
+BookSchema.index(
+  { title: "text", summary: "text" },
+  { weights: { title: 10, summary: 1 }, name: "book_text" }
+);
+
 // Virtual for this book instance URL.
 BookSchema.virtual("url").get(function () {
   return "/catalog/book/" + this._id;
 });
 
+// Virtuals for the cover image and its thumbnail (null when there is no cover).
+BookSchema.virtual("cover_url").get(function () {
+  return this.cover ? "/covers/" + this.cover + ".jpg" : null;
+});
+
+BookSchema.virtual("cover_thumbnail_url").get(function () {
+  return this.cover ? "/covers/" + this.cover + "-thumb.jpg" : null;
+});
+
+// Normalise ISBNs saved before they were stored as bare ISBN-13s, including
+// books in the trash. Writes directly to the collection, like the other fills.
+// Books whose ISBN can't be converted, and books that share an ISBN once
+// normalised, are left unchanged and returned so they can be fixed by hand.
+BookSchema.statics.normalizeIsbns = async function () {
+  const books = await this.collection
+    .find({}, { projection: { title: 1, isbn: 1 } })
+    .toArray();
+
+  const invalid = [];
+  const byIsbn = new Map();
+  for (const book of books) {
+    const isbn = normalizeIsbn(book.isbn);
+    if (isbn === null) {
+      invalid.push(book);
+    } else {
+      byIsbn.set(isbn, [...(byIsbn.get(isbn) || []), book]);
+    }
+  }
+
+  let normalized = 0;
+  const duplicates = [];
+  for (const [isbn, group] of byIsbn) {
+    if (group.length > 1) {
+      duplicates.push({ isbn: isbn, books: group });
+    } else if (group[0].isbn !== isbn) {
+      const result = await this.collection.updateOne(
+        { _id: group[0]._id, isbn: group[0].isbn },
+        { $set: { isbn: isbn } }
+      );
+      normalized += result.modifiedCount;
+    }
+  }
+  return { normalized, invalid, duplicates };
+};
+
+// Every change bumps the version, so update forms can detect conflicts.
+BookSchema.plugin(version);
+
+// Deleted records go to the trash and are hidden from queries.
+BookSchema.plugin(softDelete);
+
+// Record every change in the audit log.
+BookSchema.plugin(audit, { label: (doc) => doc.title });
+
 // Export model.
 module.exports = mongoose.model("Book", BookSchema);
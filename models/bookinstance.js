@@ -1,18 +1,65 @@
 const mongoose = require("mongoose");
+const audit = require("./plugins/audit");
+const softDelete = require("./plugins/softDelete");
+const version = require("./plugins/version");
+const Counter = require("./counter");
 const { DateTime } = require("luxon"); //for date handling
+const { dateTime } = require("../helpers/i18n"); // dates in the request's locale
+const { generateBarcode } = require("../helpers/barcode");
 
 const Schema = mongoose.Schema;
 
 const BookInstanceSchema = new Schema({
   book: { type: Schema.ObjectId, ref: "Book", required: true }, // Reference to the associated book.
   imprint: { type: String, required: true },
+  // Unique barcode for scanning at the desk; generated on creation unless given.
+  barcode: { type: String, maxLength: 32 },
+  // Short sequential number printed on the copy's label; assigned on creation.
+  accession_number: { type: Number, min: 1 },
+  // Where the copy lives: its branch and shelf location within the branch.
+  // While "InTransit" the branch is still the sending branch (see models/transfer.js).
+  branch: { type: Schema.ObjectId, ref: "Branch", required: true },
+  shelf: { type: String, required: true, maxLength: 50 },
   status: {
     type: String,
     required: true,
-    enum: ["Available", "Maintenance", "Loaned", "Reserved"],
+    enum: ["Available", "Maintenance", "Loaned", "Reserved", "InTransit"],
     default: "Maintenance",
   },
   due_back: { type: Date, default: Date.now },
+  // Current borrower while the copy is loaned (used for overdue notices and fines).
+  borrower_name: { type: String, maxLength: 100 },
+  borrower_card_number: { type: String, maxLength: 20 },
+});
+
+BookInstanceSchema.index({ status: 1, due_back: 1 });
+BookInstanceSchema.index({ branch: 1, status: 1 });
+// Copies saved before barcodes and accession numbers existed have neither
+// until fillBarcodes and fillAccessionNumbers run.
+BookInstanceSchema.index(
+  { barcode: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $type: "string" } } }
+);
+BookInstanceSchema.index(
+  { accession_number: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { accession_number: { $type: "number" } },
+  }
+);
+
+// Sequence that accession numbers are taken from.
+const ACCESSION_SEQUENCE = "accession_number";
+
+// Generate a barcode and take the next accession number for new copies.
+// (Not a schema default: update forms build documents that must not get a new one.)
+BookInstanceSchema.pre("validate", async function () {
+  if (this.isNew && !this.barcode) {
+    this.barcode = generateBarcode();
+  }
+  if (this.isNew && !this.accession_number) {
+    this.accession_number = await Counter.next(ACCESSION_SEQUENCE);
+  }
 });
 
 // Virtual for this bookinstance object's URL.
@@ -20,13 +67,70 @@ BookInstanceSchema.virtual("url").get(function () {
   return "/catalog/bookinstance/" + this._id;
 });
 
+// Virtual: the accession number as printed on labels (at least 6 digits).
+BookInstanceSchema.virtual("accession").get(function () {
+  return this.accession_number
+    ? String(this.accession_number).padStart(6, "0")
+    : "";
+});
+
 BookInstanceSchema.virtual("due_back_formatted").get(function () {
-  return DateTime.fromJSDate(this.due_back).toLocaleString(DateTime.DATE_MED);
+  return dateTime(this.due_back).toLocaleString(DateTime.DATE_MED);
+});
+
+// True if the copy is on loan and past its due date.
+// Overdue from the day after the due date, as fines are (see services/fines.js).
+BookInstanceSchema.virtual("is_overdue").get(function () {
+  return (
+    this.status === "Loaned" &&
+    this.due_back < DateTime.now().startOf("day").toJSDate()
+  );
 });
 
 BookInstanceSchema.virtual("due_back_yyyy_mm_dd").get(function () {
   return DateTime.fromJSDate(this.due_back).toISODate(); //format 'YYYY-MM-DD'
 });
 
+// Generate barcodes for copies saved before they existed.
+// Writes directly to the collection: the barcode is an identifier, not an edit.
+BookInstanceSchema.statics.fillBarcodes = async function () {
+  const copies = await this.collection
+    .find({ barcode: { $exists: false } }, { projection: { _id: 1 } })
+    .toArray();
+  for (const copy of copies) {
+    await this.collection.updateOne(
+      { _id: copy._id, barcode: { $exists: false } },
+      { $set: { barcode: generateBarcode() } }
+    );
+  }
+  return copies.length;
+};
+
+// Assign accession numbers to copies saved before they existed, oldest first.
+BookInstanceSchema.statics.fillAccessionNumbers = async function () {
+  const copies = await this.collection
+    .find(
+      { accession_number: { $exists: false } },
+      { projection: { _id: 1 }, sort: { _id: 1 } }
+    )
+    .toArray();
+  for (const copy of copies) {
+    await this.collection.updateOne(
+      { _id: copy._id, accession_number: { $exists: false } },
+      { $set: { accession_number: await Counter.next(ACCESSION_SEQUENCE) } }
+    );
+  }
+  return copies.length;
+};
+
+// Every change bumps the version, so update forms can detect conflicts.
+BookInstanceSchema.plugin(version);
+
+// Deleted records go to the trash and are hidden from queries.
+BookInstanceSchema.plugin(softDelete);
+
+// Record every change in the audit log.
+BookInstanceSchema.plugin(audit, { label: (doc) => doc.imprint });
+
 // Export model.
 module.exports = mongoose.model("BookInstance", BookInstanceSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const audit = require("./plugins/audit");
+const softDelete = require("./plugins/softDelete");
+const version = require("./plugins/version");
+
+const Schema = mongoose.Schema;
+
+// A library branch: the place where a copy physically lives.
+const BranchSchema = new Schema({
+  name: { type: String, required: true, maxLength: 100 },
+  address: { type: String, maxLength: 200 },
+});
+
+// Virtual for this branch instance URL.
+BranchSchema.virtual("url").get(function () {
+  return "/catalog/branch/" + this._id;
+});
+
+// Every change bumps the version, so update forms can detect conflicts.
+BranchSchema.plugin(version);
+
+// Deleted records go to the trash and are hidden from queries.
+BranchSchema.plugin(softDelete);
+
+// Record every change in the audit log.
+BranchSchema.plugin(audit, { label: (doc) => doc.name });
+
+// Export model.
+module.exports = mongoose.model("Branch", BranchSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// A named sequence, e.g. the accession numbers of copies.
+const CounterSchema = new Schema({
+  _id: { type: String }, // Name of the sequence.
+  seq: { type: Number, required: true, default: 0 },
+});
+
+// Return the next number of the named sequence (starting at 1).
+// The increment is atomic, so concurrent callers never get the same number.
+CounterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  ).exec();
+  return counter.seq;
+};
+
+// Export model.
+module.exports = mongoose.model("Counter", CounterSchema);
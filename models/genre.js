@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const audit = require("./plugins/audit");
+const softDelete = require("./plugins/softDelete");
+const version = require("./plugins/version");
 
 const Schema = mongoose.Schema;
 
@@ -6,10 +9,22 @@ const GenreSchema = new Schema({
   name: { type: String, required: true, minLength: 3, maxLength: 100 },
 });
 
+// Full-text index for catalog search.
+GenreSchema.index({ name: "text" }, { name: "genre_text" });
+
 // Virtual for this genre instance URL.
 GenreSchema.virtual("url").get(function () {
   return "/catalog/genre/" + this._id;
 });
 
+// Every change bumps the version, so update forms can detect conflicts.
+GenreSchema.plugin(version);
+
+// Deleted records go to the trash and are hidden from queries.
+GenreSchema.plugin(softDelete);
+
+// Record every change in the audit log.
+GenreSchema.plugin(audit, { label: (doc) => doc.name });
+
 // Export model.
 module.exports = mongoose.model("Genre", GenreSchema);
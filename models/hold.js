@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const { dateTime } = require("../helpers/i18n"); // dates in the request's locale
+
+const Schema = mongoose.Schema;
+
+// A patron's place in the hold queue for a Book (not a specific copy).
+// Waiting holds are served in placed_at order; when a copy is set aside the
+// hold becomes Ready until it is picked up (Fulfilled) or pickup_by passes.
+const HoldSchema = new Schema({
+  book: { type: Schema.ObjectId, ref: "Book", required: true },
+  patron_name: { type: String, required: true, maxLength: 100 },
+  card_number: { type: String, required: true, maxLength: 20 },
+  status: {
+    type: String,
+    required: true,
+    enum: ["Waiting", "Ready", "Fulfilled", "Expired", "Cancelled"],
+    default: "Waiting",
+  },
+  placed_at: { type: Date, required: true, default: Date.now },
+  book_instance: { type: Schema.ObjectId, ref: "BookInstance" }, // Copy set aside once Ready.
+  ready_at: { type: Date },
+  pickup_by: { type: Date },
+});
+
+HoldSchema.index({ book: 1, status: 1, placed_at: 1 });
+
+// Virtual for this hold instance URL.
+HoldSchema.virtual("url").get(function () {
+  return "/catalog/hold/" + this._id;
+});
+
+// True while the hold is still in the queue or waiting for pickup.
+HoldSchema.virtual("is_open").get(function () {
+  return this.status === "Waiting" || this.status === "Ready";
+});
+
+HoldSchema.virtual("placed_at_formatted").get(function () {
+  return dateTime(this.placed_at).toLocaleString(DateTime.DATE_MED);
+});
+
+HoldSchema.virtual("pickup_by_formatted").get(function () {
+  return this.pickup_by
+    ? dateTime(this.pickup_by).toLocaleString(DateTime.DATE_MED)
+    : "";
+});
+
+// Export model.
+module.exports = mongoose.model("Hold", HoldSchema);
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const { dateTime } = require("../helpers/i18n"); // dates in the request's locale
+
+const Schema = mongoose.Schema;
+
+// One checkout of a BookInstance. Loans are never deleted so they form the
+// circulation history of each copy; an active loan has no returned_at.
+const LoanSchema = new Schema({
+  book_instance: { type: Schema.ObjectId, ref: "BookInstance", required: true },
+  borrower: { type: Schema.ObjectId, ref: "User", required: true },
+  checked_out_at: { type: Date, required: true, default: Date.now },
+  due_back: { type: Date, required: true },
+  returned_at: { type: Date, default: null },
+});
+
+LoanSchema.index({ book_instance: 1, checked_out_at: -1 });
+LoanSchema.index({ borrower: 1, checked_out_at: -1 });
+
+LoanSchema.virtual("is_active").get(function () {
+  return this.returned_at == null;
+});
+
+LoanSchema.virtual("checked_out_at_formatted").get(function () {
+  return dateTime(this.checked_out_at).toLocaleString(DateTime.DATE_MED);
+});
+
+LoanSchema.virtual("due_back_formatted").get(function () {
+  return dateTime(this.due_back).toLocaleString(DateTime.DATE_MED);
+});
+
+LoanSchema.virtual("returned_at_formatted").get(function () {
+  return this.returned_at
+    ? dateTime(this.returned_at).toLocaleString(DateTime.DATE_MED)
+    : "";
+});
+
+// Export model.
+module.exports = mongoose.model("Loan", LoanSchema);
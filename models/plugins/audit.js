@@ -0,0 +1,212 @@
+const mongoose = require("mongoose");
+
+const AuditEntry = require("../auditentry");
+const requestContext = require("../../helpers/requestContext");
+
+// Mongoose plugin that records every create, update and delete of a model
+// as an AuditEntry, with a field-by-field diff and the logged-in user.
+// Covers document saves, insertMany and the query helpers used in this app
+// (findByIdAndUpdate, updateOne, findByIdAndDelete, deleteOne, ...).
+// With the soft delete plugin, moving a record to the trash is recorded as a
+// "delete", taking it out again as a "restore" and removing it for good as a
+// "purge".
+//
+// Options:
+//   label(doc) - the record's title or name, stored with each entry.
+
+const UPDATE_QUERIES = ["findOneAndUpdate", "updateOne", "updateMany"];
+const DELETE_QUERIES = ["findOneAndDelete", "deleteOne", "deleteMany"];
+const IGNORED_FIELDS = ["_id", "__v"];
+
+// Documents matched by a query before it runs, keyed by the query.
+const matchedBefore = new WeakMap();
+
+// Convert a value to something that compares and stores as JSON.
+function plain(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(plain);
+  if (typeof value === "object") {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) result[key] = plain(item);
+    return result;
+  }
+  return value;
+}
+
+// Plain copy of a document's stored fields (references as ids).
+function snapshot(doc) {
+  const object =
+    doc instanceof mongoose.Document
+      ? doc.toObject({ depopulate: true, virtuals: false })
+      : doc;
+  const result = {};
+  for (const [field, value] of Object.entries(object)) {
+    if (!IGNORED_FIELDS.includes(field)) result[field] = plain(value);
+  }
+  return result;
+}
+
+// Fields whose values differ between two snapshots.
+function diff(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    const from = field in before ? before[field] : null;
+    const to = field in after ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field: field, before: from, after: to });
+    }
+  }
+  return changes;
+}
+
+// The action for an update: soft deletes and restores get their own.
+function updateAction(before, after) {
+  const wasDeleted = before && before.deleted_at != null;
+  const isDeleted = after && after.deleted_at != null;
+  if (!wasDeleted && isDeleted) return "delete";
+  if (wasDeleted && !isDeleted) return "restore";
+  return "update";
+}
+
+// Who is making the change: the logged-in user, or nobody (system).
+function currentActor() {
+  const context = requestContext.current();
+  const user = context && context.user;
+  return user
+    ? { actor: user._id, actor_name: user.display_name }
+    : { actor: null, actor_name: null };
+}
+
+module.exports = function auditPlugin(schema, options = {}) {
+  const label = options.label || (() => null);
+
+  // Save one entry per changed document; skip updates that changed nothing.
+  async function record(modelName, action, changesById) {
+    const actor = currentActor();
+    const entries = [];
+    for (const { id, before, after, doc } of changesById) {
+      const changes = diff(before || {}, after || {});
+      const entryAction =
+        action === "update" ? updateAction(before, after) : action;
+      if (entryAction === "update" && changes.length === 0) continue;
+      entries.push({
+        ...actor,
+        action: entryAction,
+        model: modelName,
+        document_id: id,
+        document_label: label(doc),
+        changes: changes,
+      });
+    }
+    if (entries.length) {
+      await AuditEntry.insertMany(entries);
+    }
+  }
+
+  // Keep the values as loaded, to diff against when the document is saved.
+  schema.post("init", function (doc) {
+    doc.$locals.auditBefore = snapshot(doc);
+  });
+
+  schema.pre("save", function () {
+    this.$locals.auditIsNew = this.isNew;
+  });
+
+  schema.post("save", async function (doc) {
+    const after = snapshot(doc);
+    await record(
+      doc.constructor.modelName,
+      doc.$locals.auditIsNew ? "create" : "update",
+      [
+        {
+          id: doc._id,
+          before: doc.$locals.auditIsNew ? null : doc.$locals.auditBefore,
+          after: after,
+          doc: doc,
+        },
+      ]
+    );
+    doc.$locals.auditBefore = after;
+  });
+
+  schema.post("insertMany", async function (docs) {
+    await record(
+      this.modelName,
+      "create",
+      docs.map((doc) => ({
+        id: doc._id,
+        before: null,
+        after: snapshot(doc),
+        doc: doc,
+      }))
+    );
+  });
+
+  // Updates and deletes through queries: find the matching documents first.
+  async function findMatched() {
+    const many = this.op === "updateMany" || this.op === "deleteMany";
+    const query = this.model
+      .find(this.getFilter(), null, { withDeleted: true })
+      .lean();
+    if (!many) query.sort(this.getOptions().sort).limit(1);
+    matchedBefore.set(this, await query.exec());
+  }
+
+  schema.pre(UPDATE_QUERIES, findMatched);
+  schema.pre(DELETE_QUERIES, findMatched);
+
+  schema.post(UPDATE_QUERIES, async function () {
+    const before = matchedBefore.get(this) || [];
+    if (before.length === 0) return;
+    const after = await this.model
+      .find({ _id: { $in: before.map((doc) => doc._id) } }, null, {
+        withDeleted: true,
+      })
+      .lean()
+      .exec();
+    const afterById = new Map(after.map((doc) => [doc._id.toString(), doc]));
+    await record(
+      this.model.modelName,
+      "update",
+      before
+        .filter((doc) => afterById.has(doc._id.toString()))
+        .map((doc) => {
+          const updated = afterById.get(doc._id.toString());
+          return {
+            id: doc._id,
+            before: snapshot(doc),
+            after: snapshot(updated),
+            doc: updated,
+          };
+        })
+    );
+  });
+
+  schema.post(DELETE_QUERIES, async function () {
+    const before = matchedBefore.get(this) || [];
+    if (before.length === 0) return;
+    // deleteMany may not have removed every matched document; check.
+    const remaining = await this.model
+      .find({ _id: { $in: before.map((doc) => doc._id) } }, "_id", {
+        withDeleted: true,
+      })
+      .lean()
+      .exec();
+    const remainingIds = new Set(remaining.map((doc) => doc._id.toString()));
+    await record(
+      this.model.modelName,
+      "purge",
+      before
+        .filter((doc) => !remainingIds.has(doc._id.toString()))
+        .map((doc) => ({
+          id: doc._id,
+          before: snapshot(doc),
+          after: null,
+          doc: doc,
+        }))
+    );
+  });
+};
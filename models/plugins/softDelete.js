@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const { dateTime } = require("../../helpers/i18n"); // dates in the request's locale
+
+// Mongoose plugin for soft deletes. Deleted documents keep their data but get
+// `deleted_at` (and `deleted_by`), and every query and aggregation on the model
+// skips them, so lists, detail pages and counts behave as if they were gone.
+//
+// To include deleted documents, either mention `deleted_at` in the filter
+// (e.g. `{ deleted_at: { $ne: null } }` for the trash) or set the query
+// option `withDeleted: true` (also works in populate `options`).
+
+const QUERIES = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+];
+
+module.exports = function softDeletePlugin(schema) {
+  schema.add({
+    deleted_at: { type: Date },
+    deleted_by: { type: mongoose.Schema.ObjectId, ref: "User" },
+  });
+
+  // True if the document is in the trash.
+  schema.virtual("is_deleted").get(function () {
+    return this.deleted_at != null;
+  });
+
+  schema.virtual("deleted_at_formatted").get(function () {
+    return this.deleted_at
+      ? dateTime(this.deleted_at).toLocaleString(DateTime.DATETIME_MED)
+      : "";
+  });
+
+  schema.pre(QUERIES, function () {
+    const withDeleted = this.getOptions().withDeleted;
+    delete this.options.withDeleted; // not a MongoDB option
+    if (!withDeleted && !("deleted_at" in this.getFilter())) {
+      this.where({ deleted_at: null });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const withDeleted = this.options.withDeleted;
+    delete this.options.withDeleted;
+    if (!withDeleted) {
+      this.pipeline().unshift({ $match: { deleted_at: null } });
+    }
+  });
+};
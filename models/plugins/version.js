@@ -0,0 +1,21 @@
+// Mongoose plugin that bumps the version key (`__v`) on every change, not
+// just on array changes, so an update form can tell whether the record was
+// changed since it was loaded (optimistic concurrency).
+//
+// Saves of existing documents check and increment the version
+// (`optimisticConcurrency`); update queries always increment it.
+
+const UPDATE_QUERIES = ["findOneAndUpdate", "updateOne", "updateMany"];
+
+module.exports = function versionPlugin(schema) {
+  schema.set("optimisticConcurrency", true);
+
+  schema.pre(UPDATE_QUERIES, function () {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return;
+    // The version is only ever incremented, never set from a form.
+    delete update.__v;
+    if (update.$set) delete update.$set.__v;
+    update.$inc = { ...update.$inc, __v: 1 };
+  });
+};
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const { dateTime } = require("../helpers/i18n"); // dates in the request's locale
+
+const Schema = mongoose.Schema;
+
+// One move of a BookInstance from one branch to another. The copy is
+// "InTransit" from sent_at until the receiving branch records received_at.
+// Transfers are never deleted so they form the movement history of each copy.
+const TransferSchema = new Schema({
+  book_instance: { type: Schema.ObjectId, ref: "BookInstance", required: true },
+  from_branch: { type: Schema.ObjectId, ref: "Branch", required: true },
+  to_branch: { type: Schema.ObjectId, ref: "Branch", required: true },
+  sent_at: { type: Date, required: true, default: Date.now },
+  sent_by: { type: Schema.ObjectId, ref: "User" },
+  received_at: { type: Date, default: null },
+  received_by: { type: Schema.ObjectId, ref: "User" },
+});
+
+TransferSchema.index({ book_instance: 1, sent_at: -1 });
+TransferSchema.index({ to_branch: 1, received_at: 1 });
+
+// Virtual for this transfer's URL (used by the receive form).
+TransferSchema.virtual("url").get(function () {
+  return "/catalog/transfer/" + this._id;
+});
+
+TransferSchema.virtual("is_open").get(function () {
+  return this.received_at == null;
+});
+
+TransferSchema.virtual("sent_at_formatted").get(function () {
+  return dateTime(this.sent_at).toLocaleString(DateTime.DATETIME_MED);
+});
+
+TransferSchema.virtual("received_at_formatted").get(function () {
+  return this.received_at
+    ? dateTime(this.received_at).toLocaleString(DateTime.DATETIME_MED)
+    : "";
+});
+
+// Export model.
+module.exports = mongoose.model("Transfer", TransferSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const Schema = mongoose.Schema;
+
+// Roles in ascending order of privilege.
+const ROLES = ["patron", "librarian", "admin"];
+
+const UserSchema = new Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    minLength: 3,
+    maxLength: 50,
+  },
+  display_name: { type: String, required: true, maxLength: 100 },
+  password_hash: { type: String, required: true },
+  role: { type: String, required: true, enum: ROLES, default: "patron" },
+  card_number: { type: String, unique: true, sparse: true, maxLength: 20 },
+});
+
+// Assign a library card number (10 digits) to users that do not have one.
+UserSchema.pre("validate", function (next) {
+  if (!this.card_number) {
+    this.card_number = crypto.randomInt(1e9, 1e10).toString();
+  }
+  next();
+});
+
+// Virtual: true for librarians and admins.
+UserSchema.virtual("is_staff").get(function () {
+  return this.hasRole("librarian");
+});
+
+// True if this user's role is at least the given role.
+UserSchema.methods.hasRole = function (role) {
+  return ROLES.indexOf(this.role) >= ROLES.indexOf(role);
+};
+
+// Hash a plain-text password with a random salt (format "salt:hash").
+UserSchema.methods.setPassword = async function (password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  this.password_hash = salt + ":" + hash.toString("hex");
+};
+
+// Compare a plain-text password against the stored hash.
+UserSchema.methods.verifyPassword = async function (password) {
+  const [salt, stored] = (this.password_hash || "").split(":");
+  if (!salt || !stored) return false;
+  const hash = await scrypt(password, salt, 64);
+  const storedBuffer = Buffer.from(stored, "hex");
+  return (
+    storedBuffer.length === hash.length &&
+    crypto.timingSafeEqual(storedBuffer, hash)
+  );
+};
+
+UserSchema.statics.ROLES = ROLES;
+
+// Export model.
+module.exports = mongoose.model("User", UserSchema);
@@ -0,0 +1,80 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+
+// Require our API controllers.
+const book_controller = require("../controllers/api/bookController");
+const author_controller = require("../controllers/api/authorController");
+const genre_controller = require("../controllers/api/genreController");
+const book_instance_controller = require("../controllers/api/bookinstanceController");
+
+// Create, update and delete requests are restricted to librarians (and admins).
+const { requireApiRole } = require("../middleware/auth");
+const { handleApiError } = require("../middleware/apiErrors");
+const librarianOnly = requireApiRole("librarian");
+
+// Any :id that is not a valid ObjectId cannot match a document.
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.isObjectIdOrHexString(id)) {
+    const err = new Error(req.t("error.not_found"));
+    err.status = 404;
+    return next(err);
+  }
+  next();
+});
+
+/// BOOK ROUTES ///
+
+router.get("/books", book_controller.book_list);
+router.post("/books", librarianOnly, book_controller.book_create);
+router.get("/books/:id", book_controller.book_detail);
+router.put("/books/:id", librarianOnly, book_controller.book_update);
+router.delete("/books/:id", librarianOnly, book_controller.book_delete);
+
+/// AUTHOR ROUTES ///
+
+router.get("/authors", author_controller.author_list);
+router.post("/authors", librarianOnly, author_controller.author_create);
+router.get("/authors/:id", author_controller.author_detail);
+router.put("/authors/:id", librarianOnly, author_controller.author_update);
+router.delete("/authors/:id", librarianOnly, author_controller.author_delete);
+
+/// GENRE ROUTES ///
+
+router.get("/genres", genre_controller.genre_list);
+router.post("/genres", librarianOnly, genre_controller.genre_create);
+router.get("/genres/:id", genre_controller.genre_detail);
+router.put("/genres/:id", librarianOnly, genre_controller.genre_update);
+router.delete("/genres/:id", librarianOnly, genre_controller.genre_delete);
+
+/// BOOKINSTANCE ROUTES ///
+
+router.get("/bookinstances", book_instance_controller.bookinstance_list);
+router.post(
+  "/bookinstances",
+  librarianOnly,
+  book_instance_controller.bookinstance_create
+);
+router.get("/bookinstances/:id", book_instance_controller.bookinstance_detail);
+router.put(
+  "/bookinstances/:id",
+  librarianOnly,
+  book_instance_controller.bookinstance_update
+);
+router.delete(
+  "/bookinstances/:id",
+  librarianOnly,
+  book_instance_controller.bookinstance_delete
+);
+
+// Unknown API routes are a JSON 404, not the HTML error page.
+router.use((req, res, next) => {
+  const err = new Error(req.t("error.not_found"));
+  err.status = 404;
+  next(err);
+});
+
+// API error handler: always respond with JSON (see middleware/apiErrors.js).
+router.use(handleApiError);
+
+module.exports = router;
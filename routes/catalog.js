@@ -6,29 +6,64 @@ const book_controller = require("../controllers/bookController");
 const author_controller = require("../controllers/authorController");
 const genre_controller = require("../controllers/genreController");
 const book_instance_controller = require("../controllers/bookinstanceController");
+const branch_controller = require("../controllers/branchController");
+const transfer_controller = require("../controllers/transferController");
+const desk_controller = require("../controllers/deskController");
+const label_controller = require("../controllers/labelController");
+const loan_controller = require("../controllers/loanController");
+const hold_controller = require("../controllers/holdController");
+const account_controller = require("../controllers/accountController");
+const search_controller = require("../controllers/searchController");
+const import_controller = require("../controllers/importController");
+const audit_controller = require("../controllers/auditController");
+const trash_controller = require("../controllers/trashController");
+
+// Create, update and delete routes are restricted to librarians (and admins).
+const { requireRole } = require("../middleware/auth");
+const librarianOnly = requireRole("librarian");
 
 /// BOOK ROUTES ///
 
 // GET catalog home page.
 router.get("/", book_controller.index);
 
+// GET request for searching the catalog.
+router.get("/search", search_controller.search);
+
 // GET request for creating a Book. NOTE This must come before routes that display Book (uses id).
-router.get("/book/create", book_controller.book_create_get);
+router.get("/book/create", librarianOnly, book_controller.book_create_get);
 
 // POST request for creating Book.
-router.post("/book/create", book_controller.book_create_post);
+router.post("/book/create", librarianOnly, book_controller.book_create_post);
 
 // GET request to delete Book.
-router.get("/book/:id/delete", book_controller.book_delete_get);
+router.get("/book/:id/delete", librarianOnly, book_controller.book_delete_get);
 
 // POST request to delete Book.
-router.post("/book/:id/delete", book_controller.book_delete_post);
+router.post(
+  "/book/:id/delete",
+  librarianOnly,
+  book_controller.book_delete_post
+);
 
 // GET request to update Book.
-router.get("/book/:id/update", book_controller.book_update_get);
+router.get("/book/:id/update", librarianOnly, book_controller.book_update_get);
 
 // POST request to update Book.
-router.post("/book/:id/update", book_controller.book_update_post);
+router.post(
+  "/book/:id/update",
+  librarianOnly,
+  book_controller.book_update_post
+);
+
+// GET request for placing a hold on a Book.
+router.get("/book/:id/hold", hold_controller.hold_create_get);
+
+// POST request for placing a hold on a Book.
+router.post("/book/:id/hold", hold_controller.hold_create_post);
+
+// GET request to download a Book as MARCXML.
+router.get("/book/:id/marcxml", book_controller.book_marcxml);
 
 // GET request for one Book.
 router.get("/book/:id", book_controller.book_detail);
@@ -39,22 +74,46 @@ router.get("/books", book_controller.book_list);
 /// AUTHOR ROUTES ///
 
 // GET request for creating Author. NOTE This must come before route for id (i.e. display author).
-router.get("/author/create", author_controller.author_create_get);
+router.get(
+  "/author/create",
+  librarianOnly,
+  author_controller.author_create_get
+);
 
 // POST request for creating Author.
-router.post("/author/create", author_controller.author_create_post);
+router.post(
+  "/author/create",
+  librarianOnly,
+  author_controller.author_create_post
+);
 
 // GET request to delete Author.
-router.get("/author/:id/delete", author_controller.author_delete_get);
+router.get(
+  "/author/:id/delete",
+  librarianOnly,
+  author_controller.author_delete_get
+);
 
 // POST request to delete Author
-router.post("/author/:id/delete", author_controller.author_delete_post);
+router.post(
+  "/author/:id/delete",
+  librarianOnly,
+  author_controller.author_delete_post
+);
 
 // GET request to update Author.
-router.get("/author/:id/update", author_controller.author_update_get);
+router.get(
+  "/author/:id/update",
+  librarianOnly,
+  author_controller.author_update_get
+);
 
 // POST request to update Author.
-router.post("/author/:id/update", author_controller.author_update_post);
+router.post(
+  "/author/:id/update",
+  librarianOnly,
+  author_controller.author_update_post
+);
 
 // GET request for one Author.
 router.get("/author/:id", author_controller.author_detail);
@@ -65,22 +124,38 @@ router.get("/authors", author_controller.author_list);
 /// GENRE ROUTES ///
 
 // GET request for creating a Genre. NOTE This must come before route that displays Genre (uses id).
-router.get("/genre/create", genre_controller.genre_create_get);
+router.get("/genre/create", librarianOnly, genre_controller.genre_create_get);
 
 // POST request for creating Genre.
-router.post("/genre/create", genre_controller.genre_create_post);
+router.post("/genre/create", librarianOnly, genre_controller.genre_create_post);
 
 // GET request to delete Genre.
-router.get("/genre/:id/delete", genre_controller.genre_delete_get);
+router.get(
+  "/genre/:id/delete",
+  librarianOnly,
+  genre_controller.genre_delete_get
+);
 
 // POST request to delete Genre.
-router.post("/genre/:id/delete", genre_controller.genre_delete_post);
+router.post(
+  "/genre/:id/delete",
+  librarianOnly,
+  genre_controller.genre_delete_post
+);
 
 // GET request to update Genre.
-router.get("/genre/:id/update", genre_controller.genre_update_get);
+router.get(
+  "/genre/:id/update",
+  librarianOnly,
+  genre_controller.genre_update_get
+);
 
 // POST request to update Genre.
-router.post("/genre/:id/update", genre_controller.genre_update_post);
+router.post(
+  "/genre/:id/update",
+  librarianOnly,
+  genre_controller.genre_update_post
+);
 
 // GET request for one Genre.
 router.get("/genre/:id", genre_controller.genre_detail);
@@ -93,43 +168,250 @@ router.get("/genres", genre_controller.genre_list);
 // GET request for creating a BookInstance. NOTE This must come before route that displays BookInstance (uses id).
 router.get(
   "/bookinstance/create",
+  librarianOnly,
   book_instance_controller.bookinstance_create_get
 );
 
 // POST request for creating BookInstance.
 router.post(
   "/bookinstance/create",
+  librarianOnly,
   book_instance_controller.bookinstance_create_post
 );
 
 // GET request to delete BookInstance.
 router.get(
   "/bookinstance/:id/delete",
+  librarianOnly,
   book_instance_controller.bookinstance_delete_get
 );
 
 // POST request to delete BookInstance.
 router.post(
   "/bookinstance/:id/delete",
+  librarianOnly,
   book_instance_controller.bookinstance_delete_post
 );
 
 // GET request to update BookInstance.
 router.get(
   "/bookinstance/:id/update",
+  librarianOnly,
   book_instance_controller.bookinstance_update_get
 );
 
 // POST request to update BookInstance.
 router.post(
   "/bookinstance/:id/update",
+  librarianOnly,
   book_instance_controller.bookinstance_update_post
 );
 
+// POST request to check out a BookInstance to a borrower.
+router.post(
+  "/bookinstance/:id/checkout",
+  librarianOnly,
+  loan_controller.loan_checkout_post
+);
+
+// POST request to return a loaned BookInstance.
+router.post(
+  "/bookinstance/:id/return",
+  librarianOnly,
+  loan_controller.loan_return_post
+);
+
+// POST request to send a BookInstance to another branch.
+router.post(
+  "/bookinstance/:id/transfer",
+  librarianOnly,
+  transfer_controller.transfer_create_post
+);
+
 // GET request for one BookInstance.
 router.get("/bookinstance/:id", book_instance_controller.bookinstance_detail);
 
 // GET request for list of all BookInstance.
 router.get("/bookinstances", book_instance_controller.bookinstance_list);
 
+/// BRANCH ROUTES ///
+
+// GET request for creating a Branch. NOTE This must come before route that displays Branch (uses id).
+router.get(
+  "/branch/create",
+  librarianOnly,
+  branch_controller.branch_create_get
+);
+
+// POST request for creating Branch.
+router.post(
+  "/branch/create",
+  librarianOnly,
+  branch_controller.branch_create_post
+);
+
+// GET request to delete Branch.
+router.get(
+  "/branch/:id/delete",
+  librarianOnly,
+  branch_controller.branch_delete_get
+);
+
+// POST request to delete Branch.
+router.post(
+  "/branch/:id/delete",
+  librarianOnly,
+  branch_controller.branch_delete_post
+);
+
+// GET request to update Branch.
+router.get(
+  "/branch/:id/update",
+  librarianOnly,
+  branch_controller.branch_update_get
+);
+
+// POST request to update Branch.
+router.post(
+  "/branch/:id/update",
+  librarianOnly,
+  branch_controller.branch_update_post
+);
+
+// GET request for one Branch.
+router.get("/branch/:id", branch_controller.branch_detail);
+
+// GET request for list of all Branch.
+router.get("/branches", branch_controller.branch_list);
+
+/// TRANSFER ROUTES ///
+
+// GET request for copies in transit between branches (?to=<branch id> to filter).
+router.get("/transfers", librarianOnly, transfer_controller.transfer_list);
+
+// POST request to receive a copy at the branch it was sent to.
+router.post(
+  "/transfer/:id/receive",
+  librarianOnly,
+  transfer_controller.transfer_receive_post
+);
+
+/// CIRCULATION DESK ROUTES ///
+
+// GET request for the circulation desk (?barcode=<scanned barcode> shows the copy).
+router.get("/desk", librarianOnly, desk_controller.desk_get);
+
+// POST request to check in the scanned copy (or put it back after maintenance).
+router.post("/desk/checkin", librarianOnly, desk_controller.desk_checkin_post);
+
+// POST request to check out the scanned copy to a library card number.
+router.post(
+  "/desk/checkout",
+  librarianOnly,
+  desk_controller.desk_checkout_post
+);
+
+// POST request to send the scanned copy to maintenance.
+router.post(
+  "/desk/maintenance",
+  librarianOnly,
+  desk_controller.desk_maintenance_post
+);
+
+/// LABEL ROUTES ///
+
+// GET request to choose copies for labels (?by=new|book|branch).
+router.get("/labels", librarianOnly, label_controller.labels_get);
+
+// POST request for a PDF sheet of labels for the chosen copies.
+router.post("/labels", librarianOnly, label_controller.labels_post);
+
+/// LOAN ROUTES ///
+
+// GET request for loan history (?active=1 for current loans only).
+router.get("/loans", librarianOnly, loan_controller.loan_list);
+
+// GET request for loaned copies past their due date, grouped by borrower.
+router.get("/overdue", librarianOnly, account_controller.overdue_list);
+
+/// ACCOUNT (FINES) ROUTES ///
+
+// GET request for a borrower's account (fines, payments and waivers).
+router.get(
+  "/account/:card_number",
+  librarianOnly,
+  account_controller.account_detail
+);
+
+// POST request to record a payment or waiver against a borrower's account.
+router.post(
+  "/account/:card_number/entry",
+  librarianOnly,
+  account_controller.account_entry_post
+);
+
+/// HOLD ROUTES ///
+
+// POST request to cancel a hold.
+router.post(
+  "/hold/:id/cancel",
+  librarianOnly,
+  hold_controller.hold_cancel_post
+);
+
+// GET request for one hold (status and queue position).
+router.get("/hold/:id", hold_controller.hold_detail);
+
+/// AUDIT LOG ROUTES ///
+
+// GET request for the catalog change history (filterable by record, action, user and date).
+router.get("/audit", librarianOnly, audit_controller.audit_list);
+
+/// TRASH ROUTES ///
+
+// GET request for the trash (deleted books, authors, genres and copies).
+router.get("/trash", librarianOnly, trash_controller.trash_list);
+
+// POST request to take a record out of the trash.
+router.post(
+  "/trash/:model/:id/restore",
+  librarianOnly,
+  trash_controller.trash_restore_post
+);
+
+// POST request to delete a record in the trash permanently.
+router.post(
+  "/trash/:model/:id/purge",
+  librarianOnly,
+  trash_controller.trash_purge_post
+);
+
+/// IMPORT AND EXPORT ROUTES ///
+
+// GET request for the book import form (CSV, MARC21 or MARCXML).
+router.get("/import", librarianOnly, import_controller.import_get);
+
+// POST request to upload a book file and preview the import (dry run).
+router.post("/import", librarianOnly, import_controller.import_preview_post);
+
+// POST request to import the previewed file.
+router.post(
+  "/import/commit",
+  librarianOnly,
+  import_controller.import_commit_post
+);
+
+// GET requests to download the catalog as CSV.
+router.get("/export/books.csv", librarianOnly, import_controller.export_books);
+router.get(
+  "/export/authors.csv",
+  librarianOnly,
+  import_controller.export_authors
+);
+router.get(
+  "/export/bookinstances.csv",
+  librarianOnly,
+  import_controller.export_bookinstances
+);
+
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+
+const health_controller = require("../controllers/healthController");
+
+// Probes for the orchestrator and the Prometheus scrape endpoint. They are
+// mounted before the rate limiter and sessions, so they never touch the
+// session store and are never throttled.
+
+/* GET liveness: the process is up. */
+router.get("/healthz", health_controller.healthz);
+
+/* GET readiness: MongoDB is connected and responding. */
+router.get("/readyz", health_controller.readyz);
+
+/* GET metrics in the Prometheus text format. */
+router.get("/metrics", health_controller.metrics);
+
+module.exports = router;
@@ -1,9 +1,14 @@
 const express = require("express");
 const router = express.Router();
 
+const locale_controller = require("../controllers/localeController");
+
 /* GET home page. */
 router.get("/", function (req, res) {
   res.redirect("/catalog");
 });
 
+/* POST language switch (stored in a cookie). */
+router.post("/locale", locale_controller.locale_post);
+
 module.exports = router;
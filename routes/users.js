@@ -1,9 +1,28 @@
 const express = require("express");
 const router = express.Router();
 
-/* GET users listing. */
-router.get("/", function (req, res, next) {
-  res.send("respond with a resource");
-});
+const user_controller = require("../controllers/userController");
+const { requireRole } = require("../middleware/auth");
+
+// GET request for login form.
+router.get("/login", user_controller.login_get);
+
+// POST request for login.
+router.post("/login", user_controller.login_post);
+
+// POST request for logout.
+router.post("/logout", user_controller.logout_post);
+
+// GET request for patron registration form.
+router.get("/register", user_controller.register_get);
+
+// POST request for patron registration.
+router.post("/register", user_controller.register_post);
+
+// GET users listing (admin only).
+router.get("/", requireRole("admin"), user_controller.user_list);
+
+// POST request to change a user's role (admin only).
+router.post("/:id/role", requireRole("admin"), user_controller.user_role_post);
 
 module.exports = router;
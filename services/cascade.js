@@ -0,0 +1,197 @@
+const mongoose = require("mongoose");
+
+const Author = require("../models/author");
+const Book = require("../models/book");
+const BookInstance = require("../models/bookinstance");
+const Genre = require("../models/genre");
+const { t } = require("../helpers/i18n");
+
+// 著者・ジャンル・本の削除と、それに依存するレコード（本・蔵書）の扱い
+// 依存するレコードはまとめてゴミ箱に移動するか、別の著者・ジャンル・本に付け替える
+// どちらも1つのトランザクションで行う（レプリカセットの MongoDB が必要）
+
+// ゴミ箱に移動できない（貸出中・取り置き中・移送中の）蔵書の状態
+const IN_USE_STATUSES = ["Loaned", "Reserved", "InTransit"];
+
+// 削除できるモデル（依存する本の検索条件、付け替え先のモデル）
+const CASCADE_MODELS = {
+  author: {
+    model: Author,
+    notFound: "author.not_found",
+    booksOf: (id) => ({ author: id }),
+  },
+  genre: {
+    model: Genre,
+    notFound: "genre.not_found",
+    booksOf: (id) => ({ genre: id }),
+  },
+  book: { model: Book, notFound: "book.not_found" },
+};
+
+// HTTPステータス付きのエラーを作成
+function cascadeError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function entryFor(type) {
+  if (!Object.hasOwn(CASCADE_MODELS, type)) {
+    throw new Error("Unknown model for cascade: " + type);
+  }
+  return CASCADE_MODELS[type];
+}
+
+// ゴミ箱に移動するときの更新
+function trashUpdate(user, now) {
+  return { deleted_at: now, deleted_by: user ? user._id : null };
+}
+
+// 削除の影響を返す。レコードがなければ null
+// { doc, books: [{ book, copies }], copies, book_count, copy_count, in_use_count }
+// 著者・ジャンルは本とその蔵書、本は蔵書（copies）が依存する
+exports.impactOf = async (type, id) => {
+  const entry = entryFor(type);
+  const doc = await entry.model.findById(id).exec();
+  if (doc === null) return null;
+
+  const books =
+    type === "book"
+      ? [doc]
+      : await Book.find(entry.booksOf(id), "title summary cover")
+          .sort({ title: 1 })
+          .exec();
+  const copies = await BookInstance.find({
+    book: { $in: books.map((book) => book._id) },
+  })
+    .sort({ accession_number: 1, _id: 1 })
+    .populate("branch")
+    .exec();
+
+  const copiesByBook = new Map(books.map((book) => [book._id.toString(), []]));
+  for (const copy of copies) {
+    copiesByBook.get(copy.book.toString()).push(copy);
+  }
+
+  return {
+    doc: doc,
+    books:
+      type === "book"
+        ? []
+        : books.map((book) => ({
+            book: book,
+            copies: copiesByBook.get(book._id.toString()),
+          })),
+    copies: type === "book" ? copies : [],
+    book_count: type === "book" ? 0 : books.length,
+    copy_count: copies.length,
+    in_use_count: copies.filter((copy) => IN_USE_STATUSES.includes(copy.status))
+      .length,
+  };
+};
+
+// トランザクションの中でレコードを取得する。なければ404エラー
+async function findForDelete(type, id) {
+  const entry = entryFor(type);
+  const doc = await entry.model.findById(id).exec();
+  if (doc === null) {
+    throw cascadeError(t(entry.notFound), 404);
+  }
+  return doc;
+}
+
+// 本の蔵書をすべてゴミ箱に移動する。使用中の蔵書があれば409エラー（トランザクションを中止する）
+async function trashCopiesOf(bookIds, user, now) {
+  const filter = { book: { $in: bookIds } };
+  const total = await BookInstance.countDocuments(filter).exec();
+  const result = await BookInstance.updateMany(
+    { ...filter, status: { $nin: IN_USE_STATUSES } },
+    trashUpdate(user, now)
+  ).exec();
+  if (result.modifiedCount !== total) {
+    throw cascadeError(t("cascade.copies_in_use"), 409);
+  }
+  return total;
+}
+
+// レコードと、それに依存する本・蔵書をまとめてゴミ箱に移動する
+// 移動した件数 { books, copies } を返す
+exports.cascadeToTrash = (type, id, user, now = new Date()) =>
+  mongoose.connection.transaction(async () => {
+    const doc = await findForDelete(type, id);
+    const entry = CASCADE_MODELS[type];
+
+    const bookIds =
+      type === "book"
+        ? [doc._id]
+        : await Book.find(entry.booksOf(doc._id)).distinct("_id").exec();
+    const copies = await trashCopiesOf(bookIds, user, now);
+
+    if (type !== "book" && bookIds.length > 0) {
+      await Book.updateMany(
+        { _id: { $in: bookIds } },
+        trashUpdate(user, now)
+      ).exec();
+    }
+    await entry.model
+      .updateOne({ _id: doc._id }, trashUpdate(user, now))
+      .exec();
+
+    return { books: type === "book" ? 0 : bookIds.length, copies: copies };
+  });
+
+// 依存するレコードを別のレコードに付け替えてから、レコードをゴミ箱に移動する
+// 著者: 本を別の著者に、ジャンル: 本のジャンルを別のジャンルに（targetId が空ならジャンルを外すだけ）、
+// 本: 蔵書を別の本に付け替える。付け替えた件数を返す
+exports.reassignAndTrash = (type, id, targetId, user, now = new Date()) =>
+  mongoose.connection.transaction(async () => {
+    const doc = await findForDelete(type, id);
+    const entry = CASCADE_MODELS[type];
+
+    let target = null;
+    if (targetId || type !== "genre") {
+      target = mongoose.isObjectIdOrHexString(targetId)
+        ? await entry.model.findById(targetId).exec()
+        : null;
+      if (target === null || target._id.equals(doc._id)) {
+        throw cascadeError(t("cascade.target_invalid"), 400);
+      }
+    }
+
+    let moved;
+    if (type === "author") {
+      const result = await Book.updateMany(
+        { author: doc._id },
+        { author: target._id }
+      ).exec();
+      moved = result.modifiedCount;
+    } else if (type === "genre") {
+      // 本ごとにジャンルの配列を置き換える（すでに付け替え先のジャンルがあれば重複させない）
+      const books = await Book.find({ genre: doc._id }, "genre").exec();
+      for (const book of books) {
+        const genres = book.genre.filter((genre) => !genre.equals(doc._id));
+        if (target && !genres.some((genre) => genre.equals(target._id))) {
+          genres.push(target._id);
+        }
+        await Book.updateOne({ _id: book._id }, { genre: genres }).exec();
+      }
+      moved = books.length;
+    } else {
+      // 取り置き中の蔵書は予約が元の本を指しているので、使用中の蔵書は付け替えない
+      const filter = { book: doc._id };
+      const total = await BookInstance.countDocuments(filter).exec();
+      const result = await BookInstance.updateMany(
+        { ...filter, status: { $nin: IN_USE_STATUSES } },
+        { book: target._id }
+      ).exec();
+      if (result.modifiedCount !== total) {
+        throw cascadeError(t("cascade.copies_in_use"), 409);
+      }
+      moved = total;
+    }
+
+    await entry.model
+      .updateOne({ _id: doc._id }, trashUpdate(user, now))
+      .exec();
+    return moved;
+  });
@@ -0,0 +1,431 @@
+const Book = require("../models/book");
+const Author = require("../models/author");
+const Genre = require("../models/genre");
+const BookInstance = require("../models/bookinstance");
+const Branch = require("../models/branch");
+const {
+  bookImportRules,
+  authorRules,
+  genreRules,
+  runRules,
+} = require("../validators/catalog");
+
+const marc = require("./marc");
+const {
+  parseMarc21,
+  parseMarcXml,
+  RECORD_TERMINATOR,
+} = require("../helpers/marc");
+
+const { parse } = require("csv-parse/sync");
+const { t } = require("../helpers/i18n");
+
+// CSVの列（1行目は見出し行）。genres・copies・imprint・branch・shelf は省略可能
+const COLUMNS = [
+  "title",
+  "author",
+  "isbn",
+  "genres",
+  "summary",
+  "copies",
+  "imprint",
+  "branch",
+  "shelf",
+];
+const REQUIRED_COLUMNS = ["title", "author", "isbn", "summary"];
+
+// 一度に取り込める行数（MARCはレコード数）
+const MAX_ROWS = 1000;
+
+// 取り込んだ蔵書の状態
+const NEW_COPY_STATUS = "Available";
+
+exports.COLUMNS = COLUMNS;
+exports.MAX_ROWS = MAX_ROWS;
+
+// HTTPステータス付きのエラーを作成
+function importError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// 大文字小文字を区別しない照合（ジャンル名の重複確認と同じ）
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+// レコード内の改行の数（info.lines はレコードの最終行なので、開始行の計算に使う）
+function newlinesIn(raw) {
+  const record = raw.replace(/^[\r\n]+/, "").replace(/\r?\n$/, "");
+  return (record.match(/\n/g) || []).length;
+}
+
+// CSVを読み込み、{ line, values } の配列を返す。形式の誤りは例外にする
+function readCsv(text) {
+  if (text.includes("\uFFFD")) {
+    throw importError(t("import.not_utf8"));
+  }
+
+  let records;
+  try {
+    records = parse(text, {
+      bom: true,
+      columns: (header) => header.map((name) => name.trim().toLowerCase()),
+      skip_empty_lines: true,
+      info: true,
+      raw: true,
+    });
+  } catch (err) {
+    throw importError(t("import.csv_unreadable", { error: err.message }));
+  }
+
+  if (records.length === 0) {
+    throw importError(t("import.csv_empty"));
+  }
+
+  const header = Object.keys(records[0].record);
+  const missing = REQUIRED_COLUMNS.filter((name) => !header.includes(name));
+  if (missing.length) {
+    throw importError(
+      t("import.missing_columns", { columns: missing.join(", ") })
+    );
+  }
+  const unknown = header.filter((name) => !COLUMNS.includes(name));
+  if (unknown.length) {
+    throw importError(
+      t("import.unknown_columns", { columns: unknown.join(", ") })
+    );
+  }
+
+  return records.map(({ record, info, raw }) => ({
+    line: info.lines - newlinesIn(raw),
+    values: record,
+  }));
+}
+
+// MARCのレコードを { line, values } の配列にする（line はレコードの番号）
+function fromMarc(records) {
+  if (records.length === 0) {
+    throw importError(t("import.marc_empty"));
+  }
+  return records.map((record, index) => ({
+    line: index + 1,
+    values: marc.recordToValues(record),
+  }));
+}
+
+// アップロードされたファイルを形式を判別して読む
+// 返り値の { format, unit, records } をそのまま preview と run に渡す
+// unit は行番号の単位（CSVは "line"、MARCは "record"。表示はメッセージ import.unit.*）
+exports.readFile = (buffer) => {
+  const text = buffer.toString("utf8");
+  const content = text.replace(/^\uFEFF/, "").trimStart();
+
+  let file;
+  if (content.startsWith("<")) {
+    file = {
+      format: "MARCXML",
+      unit: "record",
+      records: fromMarc(parseMarcXml(content)),
+    };
+  } else if (/^\d{5}/.test(content) && buffer.includes(RECORD_TERMINATOR)) {
+    file = {
+      format: "MARC21",
+      unit: "record",
+      records: fromMarc(parseMarc21(buffer)),
+    };
+  } else {
+    file = { format: "CSV", unit: "line", records: readCsv(text) };
+  }
+
+  if (file.records.length > MAX_ROWS) {
+    throw importError(t("import.too_many." + file.unit, { max: MAX_ROWS }));
+  }
+  return file;
+};
+
+// 漢字・かなを含む名前は日本式（姓 名）の順とみなす
+const JAPANESE_NAME = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+// 著者名を姓と名に分ける。「姓, 名」、または「名 姓」（日本語の名前は「姓 名」）
+function splitAuthorName(name) {
+  const nameOrder = JAPANESE_NAME.test(name) ? "japanese" : "western";
+  const comma = name.indexOf(",");
+  if (comma >= 0) {
+    return {
+      family_name: name.slice(0, comma).trim(),
+      first_name: name.slice(comma + 1).trim(),
+      name_order: nameOrder,
+    };
+  }
+  const parts = name.split(/\s+/);
+  if (nameOrder === "japanese") {
+    return {
+      family_name: parts[0],
+      first_name: parts.slice(1).join(" "),
+      name_order: nameOrder,
+    };
+  }
+  return {
+    first_name: parts.slice(0, -1).join(" "),
+    family_name: parts[parts.length - 1],
+    name_order: nameOrder,
+  };
+}
+
+function authorKey(author) {
+  return (author.family_name + ", " + author.first_name).toLowerCase();
+}
+
+// ファイルの各行を検証し、既存の著者・ジャンル・本と照合する（データベースは変更しない）
+// 返り値:
+//   rows    各行（errors が空なら取り込める）
+//   authors 著者名ごとの { first_name, family_name, existing }（existing が null なら新規）
+//   genres  ジャンル名ごとの { name, existing }
+async function checkRows(file) {
+  const rows = [];
+  const authors = new Map();
+  const genres = new Map();
+
+  for (const { line, values } of file.records) {
+    const book = await runRules(bookImportRules, values);
+    const row = {
+      line: line,
+      title: book.values.title,
+      isbn: book.values.isbn,
+      summary: book.values.summary,
+      copies: Number(book.values.copies) || 0,
+      imprint: book.values.imprint,
+      branch_name: book.values.branch,
+      branch: null,
+      shelf: book.values.shelf,
+      author_name: book.values.author,
+      genre_names: (book.values.genres || "")
+        .split(";")
+        .map((name) => name.trim())
+        .filter((name) => name.length > 0),
+      author_key: null,
+      genre_keys: [],
+      errors: book.messages,
+      duplicate: null,
+    };
+
+    if (book.values.author) {
+      const author = await runRules(
+        authorRules,
+        splitAuthorName(book.values.author)
+      );
+      if (author.messages.length) {
+        author.messages.forEach((msg) =>
+          row.errors.push(t("import.author_error", { error: msg }))
+        );
+      } else {
+        row.author_key = authorKey(author.values);
+        if (!authors.has(row.author_key)) {
+          authors.set(row.author_key, {
+            first_name: author.values.first_name,
+            family_name: author.values.family_name,
+            name_order: author.values.name_order,
+            existing: null,
+          });
+        }
+      }
+    }
+
+    for (const name of row.genre_names) {
+      const genre = await runRules(genreRules, { name: name });
+      if (genre.messages.length) {
+        genre.messages.forEach((msg) =>
+          row.errors.push(t("import.genre_error", { name: name, error: msg }))
+        );
+        continue;
+      }
+      const key = genre.values.name.toLowerCase();
+      if (!row.genre_keys.includes(key)) row.genre_keys.push(key);
+      if (!genres.has(key)) {
+        genres.set(key, { name: genre.values.name, existing: null });
+      }
+    }
+
+    rows.push(row);
+  }
+
+  // ファイル内でのISBNの重複
+  const firstLines = new Map();
+  for (const row of rows) {
+    if (!/^\d{13}$/.test(row.isbn || "")) continue; // ISBNが正しくない行
+    if (firstLines.has(row.isbn)) {
+      row.errors.push(
+        t("import.duplicate_in_file." + file.unit, {
+          line: firstLines.get(row.isbn),
+        })
+      );
+    } else {
+      firstLines.set(row.isbn, row.line);
+    }
+  }
+
+  // 蔵書を作る行の分館名（分館は作成しないので、既存の分館と一致する必要がある）
+  const branchNames = [
+    ...new Set(
+      rows
+        .filter((row) => row.copies > 0 && row.branch_name)
+        .map((row) => row.branch_name)
+    ),
+  ];
+
+  // 既存の本・著者・ジャンル・分館との照合
+  const [existingBooks, existingAuthors, existingGenres, existingBranches] =
+    await Promise.all([
+      // ゴミ箱の本もISBNの一意インデックスの対象なので含める
+      Book.find({ isbn: { $in: [...firstLines.keys()] } })
+        .setOptions({ withDeleted: true })
+        .exec(),
+      authors.size
+        ? Author.find({
+            $or: [...authors.values()].map((author) => ({
+              first_name: author.first_name,
+              family_name: author.family_name,
+            })),
+          })
+            .collation(CASE_INSENSITIVE)
+            .exec()
+        : [],
+      genres.size
+        ? Genre.find({
+            name: { $in: [...genres.values()].map((genre) => genre.name) },
+          })
+            .collation(CASE_INSENSITIVE)
+            .exec()
+        : [],
+      branchNames.length
+        ? Branch.find({ name: { $in: branchNames } })
+            .collation(CASE_INSENSITIVE)
+            .exec()
+        : [],
+    ]);
+
+  const booksByIsbn = new Map(existingBooks.map((book) => [book.isbn, book]));
+  for (const row of rows) {
+    const existing = booksByIsbn.get(row.isbn);
+    if (existing && firstLines.get(row.isbn) === row.line) {
+      row.duplicate = existing;
+      row.errors.push(t("import.duplicate"));
+    }
+  }
+  for (const author of existingAuthors) {
+    const entry = authors.get(authorKey(author));
+    if (entry && entry.existing === null) entry.existing = author;
+  }
+  for (const genre of existingGenres) {
+    const entry = genres.get(genre.name.toLowerCase());
+    if (entry && entry.existing === null) entry.existing = genre;
+  }
+  const branchesByName = new Map(
+    existingBranches.map((branch) => [branch.name.toLowerCase(), branch])
+  );
+  for (const row of rows) {
+    if (row.copies === 0 || !row.branch_name) continue;
+    row.branch = branchesByName.get(row.branch_name.toLowerCase()) || null;
+    if (row.branch === null) {
+      row.errors.push(t("import.unknown_branch", { name: row.branch_name }));
+    }
+  }
+
+  return { rows, authors, genres };
+}
+
+// 取り込みの下見（ドライラン）。何が作成されるかを返す
+exports.preview = async (file) => {
+  const { rows, authors, genres } = await checkRows(file);
+  const validRows = rows.filter((row) => row.errors.length === 0);
+
+  // 取り込める行で使われている新しい著者・ジャンルだけを数える
+  const usedAuthors = new Set(validRows.map((row) => row.author_key));
+  const usedGenres = new Set(validRows.flatMap((row) => row.genre_keys));
+
+  return {
+    rows: rows.map((row) => ({
+      ...row,
+      author: authors.get(row.author_key) || null,
+      genres: row.genre_keys.map((key) => genres.get(key)),
+    })),
+    valid_count: validRows.length,
+    invalid_count: rows.length - validRows.length,
+    new_authors: [...usedAuthors]
+      .map((key) => authors.get(key))
+      .filter((author) => author.existing === null),
+    new_genres: [...usedGenres]
+      .map((key) => genres.get(key))
+      .filter((genre) => genre.existing === null),
+    copy_count: validRows.reduce((sum, row) => sum + row.copies, 0),
+  };
+};
+
+// 取り込みを実行する。エラーのある行は飛ばす
+// 足りない著者・ジャンルは必要になった時点で作成する
+exports.run = async (file) => {
+  const { rows, authors, genres } = await checkRows(file);
+  const result = {
+    books: [],
+    authors: [],
+    genres: [],
+    copy_count: 0,
+    skipped: rows.filter((row) => row.errors.length > 0),
+  };
+
+  for (const row of rows.filter((row) => row.errors.length === 0)) {
+    const author = authors.get(row.author_key);
+    if (author.existing === null) {
+      author.existing = await Author.create({
+        first_name: author.first_name,
+        family_name: author.family_name,
+        name_order: author.name_order,
+      });
+      result.authors.push(author.existing);
+    }
+
+    const genreIds = [];
+    for (const key of row.genre_keys) {
+      const genre = genres.get(key);
+      if (genre.existing === null) {
+        genre.existing = await Genre.create({ name: genre.name });
+        result.genres.push(genre.existing);
+      }
+      genreIds.push(genre.existing._id);
+    }
+
+    let book;
+    try {
+      book = await Book.create({
+        title: row.title,
+        author: author.existing._id,
+        summary: row.summary,
+        isbn: row.isbn,
+        genre: genreIds,
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // 下見の後に同じISBNの本が登録された
+      row.errors.push(t("import.duplicate"));
+      result.skipped.push(row);
+      continue;
+    }
+    result.books.push(book);
+
+    if (row.copies > 0) {
+      await BookInstance.insertMany(
+        Array.from({ length: row.copies }, () => ({
+          book: book._id,
+          imprint: row.imprint,
+          branch: row.branch._id,
+          shelf: row.shelf,
+          status: NEW_COPY_STATUS,
+        }))
+      );
+      result.copy_count += row.copies;
+    }
+  }
+
+  result.skipped.sort((a, b) => a.line - b.line);
+  return result;
+};
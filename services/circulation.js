@@ -0,0 +1,166 @@
+const BookInstance = require("../models/bookinstance");
+const Hold = require("../models/hold");
+const Loan = require("../models/loan");
+const fines = require("./fines");
+const holds = require("./holds");
+
+const { DateTime } = require("luxon");
+const { t } = require("../helpers/i18n");
+const config = require("../config");
+
+// 貸出期間（日数。設定の loans.periodDays）
+const LOAN_PERIOD_DAYS = config.loans.periodDays;
+
+exports.LOAN_PERIOD_DAYS = LOAN_PERIOD_DAYS;
+
+// HTTPステータス付きのエラーを作成
+function circulationError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// 貸出日から返却期限を計算
+exports.dueDateFrom = (date) =>
+  DateTime.fromJSDate(date).plus({ days: LOAN_PERIOD_DAYS }).toJSDate();
+
+// 蔵書を貸し出す（利用可能・予約済み → 貸出中）
+// 状態の遷移は条件付き更新で行うため、同じ蔵書の二重貸出は起こらない
+exports.checkout = async (bookInstanceId, borrower, now = new Date()) => {
+  const dueBack = exports.dueDateFrom(now);
+
+  if (!borrower.card_number) {
+    // 貸出カード番号のない既存ユーザーには保存時に割り当てる
+    await borrower.save();
+  }
+
+  // 取り置き中の蔵書は、その予約者にだけ貸し出せる
+  // 予約者でなければ利用可能な蔵書だけを対象にし、その間に取り置かれても貸し出さない
+  const hold = await Hold.findOne({
+    book_instance: bookInstanceId,
+    status: "Ready",
+  }).exec();
+  if (hold !== null && hold.card_number !== borrower.card_number) {
+    throw circulationError(t("circulation.reserved_for_other"), 409);
+  }
+  const statuses = hold === null ? ["Available"] : ["Available", "Reserved"];
+
+  // 更新前の状態を取得し、取り置き中の蔵書だったかを判定する
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: bookInstanceId, status: { $in: statuses } },
+    {
+      status: "Loaned",
+      due_back: dueBack,
+      borrower_name: borrower.display_name,
+      borrower_card_number: borrower.card_number,
+    }
+  ).exec();
+
+  if (bookInstance === null) {
+    const exists = await BookInstance.exists({ _id: bookInstanceId });
+    throw exists
+      ? circulationError(t("circulation.not_available"), 409)
+      : circulationError(t("bookinstance.not_found"), 404);
+  }
+
+  let loan;
+  try {
+    loan = await Loan.create({
+      book_instance: bookInstance._id,
+      borrower: borrower._id,
+      checked_out_at: now,
+      due_back: dueBack,
+    });
+  } catch (err) {
+    // 貸出記録が作れなければ蔵書の状態を元に戻す
+    await BookInstance.updateOne(
+      { _id: bookInstance._id, status: "Loaned" },
+      {
+        status: bookInstance.status,
+        due_back: bookInstance.due_back,
+        $unset: { borrower_name: 1, borrower_card_number: 1 },
+      }
+    ).exec();
+    throw err;
+  }
+
+  if (bookInstance.status === "Reserved") {
+    // 取り置かれていた蔵書の受け取り
+    await holds.fulfillHold(bookInstance._id);
+  }
+
+  return loan;
+};
+
+// 蔵書を返却する（貸出中 → 利用可能、予約待ちがあれば予約済み）
+// 延滞していた場合は延滞料を確定する
+exports.checkin = async (bookInstanceId, now = new Date()) => {
+  // 延滞料の計算に使うため、更新前の状態（返却期限と借り手）を取得する
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: bookInstanceId, status: "Loaned" },
+    {
+      status: "Available",
+      due_back: now,
+      $unset: { borrower_name: 1, borrower_card_number: 1 },
+    }
+  ).exec();
+
+  if (bookInstance === null) {
+    const exists = await BookInstance.exists({ _id: bookInstanceId });
+    throw exists
+      ? circulationError(t("circulation.not_loaned"), 409)
+      : circulationError(t("bookinstance.not_found"), 404);
+  }
+
+  // 貸出記録を閉じる（フォームで手入力された「貸出中」には記録がない場合もある）
+  const loan = await Loan.findOneAndUpdate(
+    { book_instance: bookInstance._id, returned_at: null },
+    { returned_at: now },
+    { new: true }
+  ).exec();
+
+  const fine = await fines.assessFine(bookInstance, now);
+
+  // 予約待ちの先頭の利用者に取り置く
+  const hold = await holds.offerCopy(bookInstance, now);
+
+  return { bookInstance, loan, fine, hold };
+};
+
+// 蔵書をメンテナンスに回す（利用可能 → メンテナンス中）
+exports.sendToMaintenance = async (bookInstanceId, now = new Date()) => {
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: bookInstanceId, status: "Available" },
+    { status: "Maintenance", due_back: now },
+    { new: true }
+  ).exec();
+
+  if (bookInstance === null) {
+    const exists = await BookInstance.exists({ _id: bookInstanceId });
+    throw exists
+      ? circulationError(t("circulation.not_on_shelf"), 409)
+      : circulationError(t("bookinstance.not_found"), 404);
+  }
+  return bookInstance;
+};
+
+// メンテナンスが終わった蔵書を戻す（メンテナンス中 → 利用可能、予約待ちがあれば予約済み）
+exports.returnFromMaintenance = async (bookInstanceId, now = new Date()) => {
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: bookInstanceId, status: "Maintenance" },
+    { status: "Available", due_back: now },
+    { new: true }
+  ).exec();
+
+  if (bookInstance === null) {
+    const exists = await BookInstance.exists({ _id: bookInstanceId });
+    throw exists
+      ? circulationError(t("circulation.not_in_maintenance"), 409)
+      : circulationError(t("bookinstance.not_found"), 404);
+  }
+
+  // 予約待ちの先頭の利用者に取り置く
+  const hold = await holds.offerCopy(bookInstance, now);
+
+  return { bookInstance, hold };
+};
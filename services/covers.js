@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+const sharp = require("sharp");
+const { t } = require("../helpers/i18n");
+const config = require("../config");
+
+// 表紙画像の保存先（設定の uploads.coverDir。/covers で公開する）
+const COVER_DIR = config.uploads.coverDir;
+
+// アップロードできる画像の形式と最大サイズ（バイト）
+const COVER_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_COVER_SIZE = 2 * 1024 * 1024;
+
+// 保存する画像の大きさ（この枠に収まるよう縮小する。拡大はしない）
+const COVER_SIZE = { width: 600, height: 900 };
+const THUMBNAIL_SIZE = { width: 80, height: 120 };
+
+// 保存した画像の名前（拡張子を除く。ランダムな16進数）
+const NAME_PATTERN = /^[0-9a-f]{32}$/;
+
+exports.COVER_DIR = COVER_DIR;
+exports.COVER_TYPES = COVER_TYPES;
+exports.MAX_COVER_SIZE = MAX_COVER_SIZE;
+
+// 400エラーを作成
+function coverError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function filesOf(name) {
+  return [
+    path.join(COVER_DIR, name + ".jpg"),
+    path.join(COVER_DIR, name + "-thumb.jpg"),
+  ];
+}
+
+// アップロードされた画像を検証し、表紙とサムネイルをJPEGで保存する。保存した名前を返す
+// 画像として読めない、または許可していない形式なら400エラー
+exports.save = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw coverError(t("cover.unreadable"));
+  }
+  if (!COVER_TYPES.includes("image/" + metadata.format)) {
+    throw coverError(t("cover.bad_type"));
+  }
+
+  const name = crypto.randomBytes(16).toString("hex");
+  const [coverFile, thumbnailFile] = filesOf(name);
+  await fs.mkdir(COVER_DIR, { recursive: true });
+
+  // 向きはEXIFに合わせて回転し、メタデータ（位置情報など）は書き出さない
+  const image = sharp(buffer).rotate();
+  try {
+    await Promise.all([
+      image
+        .clone()
+        .resize({ ...COVER_SIZE, fit: "inside", withoutEnlargement: true })
+        .jpeg({ quality: 85 })
+        .toFile(coverFile),
+      image
+        .clone()
+        .resize({ ...THUMBNAIL_SIZE, fit: "inside", withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toFile(thumbnailFile),
+    ]);
+  } catch (err) {
+    await exports.remove(name);
+    throw coverError(t("cover.unreadable"));
+  }
+  return name;
+};
+
+// 表紙とサムネイルのファイルを削除する（既にないファイルは無視する）
+exports.remove = async (name) => {
+  if (!name || !NAME_PATTERN.test(name)) return;
+  await Promise.all(
+    filesOf(name).map((file) =>
+      fs.unlink(file).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      })
+    )
+  );
+};
@@ -0,0 +1,93 @@
+const AccountEntry = require("../models/accountentry");
+const BookInstance = require("../models/bookinstance");
+
+const { DateTime } = require("luxon");
+const config = require("../config");
+
+// 延滞料（円／日）と1冊あたりの上限（設定の fines）
+const FINE_PER_DAY = config.fines.perDay;
+const FINE_CAP = config.fines.cap;
+
+exports.FINE_PER_DAY = FINE_PER_DAY;
+exports.FINE_CAP = FINE_CAP;
+
+// 返却期限から数えた延滞日数（期限当日までは0）
+exports.daysOverdue = (dueBack, now = new Date()) => {
+  const days = DateTime.fromJSDate(now)
+    .startOf("day")
+    .diff(DateTime.fromJSDate(dueBack).startOf("day"), "days").days;
+  return Math.max(0, Math.floor(days));
+};
+
+// 延滞とみなす返却期限の境目（今日の0時）。期限当日の蔵書はまだ延滞ではない
+exports.overdueCutoff = (now = new Date()) =>
+  DateTime.fromJSDate(now).startOf("day").toJSDate();
+
+// 延滞日数に対する延滞料（上限あり）
+exports.fineFor = (days) => Math.min(days * FINE_PER_DAY, FINE_CAP);
+
+// 貸出中の蔵書の延滞料を記録する
+// 1回の貸出（蔵書と返却期限の組）につき1件で、延滞日数に応じて金額を更新する
+exports.assessFine = async (bookInstance, now = new Date()) => {
+  const days = exports.daysOverdue(bookInstance.due_back, now);
+  if (days === 0 || !bookInstance.borrower_card_number) {
+    return null;
+  }
+
+  return AccountEntry.findOneAndUpdate(
+    {
+      kind: "Fine",
+      book_instance: bookInstance._id,
+      due_back: bookInstance.due_back,
+    },
+    {
+      card_number: bookInstance.borrower_card_number,
+      borrower_name: bookInstance.borrower_name,
+      amount: exports.fineFor(days),
+      days_overdue: days,
+    },
+    { upsert: true, new: true }
+  ).exec();
+};
+
+// 延滞中のすべての蔵書の延滞料を更新する（定期ジョブ）
+// 更新した件数を返す
+exports.assessOverdueFines = async (now = new Date()) => {
+  const overdue = await BookInstance.find({
+    status: "Loaned",
+    due_back: { $lt: exports.overdueCutoff(now) },
+  }).exec();
+
+  let assessed = 0;
+  for (const bookInstance of overdue) {
+    if (await exports.assessFine(bookInstance, now)) {
+      assessed++;
+    }
+  }
+  return assessed;
+};
+
+// 貸出カード番号ごとの残高（延滞料 − 支払 − 免除）を Map で返す
+exports.balancesFor = async (cardNumbers) => {
+  const results = await AccountEntry.aggregate([
+    { $match: { card_number: { $in: cardNumbers } } },
+    {
+      $group: {
+        _id: "$card_number",
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ["$kind", "Fine"] },
+              "$amount",
+              { $multiply: ["$amount", -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]).exec();
+
+  const balances = new Map(cardNumbers.map((card) => [card, 0]));
+  results.forEach((result) => balances.set(result._id, result.balance));
+  return balances;
+};
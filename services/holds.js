@@ -0,0 +1,171 @@
+const BookInstance = require("../models/bookinstance");
+const Hold = require("../models/hold");
+
+const { DateTime } = require("luxon");
+const { t } = require("../helpers/i18n");
+const config = require("../config");
+
+// 取り置き期限（日数。設定の holds.pickupDays）
+const HOLD_PICKUP_DAYS = config.holds.pickupDays;
+
+exports.HOLD_PICKUP_DAYS = HOLD_PICKUP_DAYS;
+
+// HTTPステータス付きのエラーを作成
+function holdError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// 予約待ち行列の先頭に、利用可能な蔵書を取り置く（利用可能 → 予約済み）
+// 取り置いた予約を返す。待ちがなければ null
+exports.offerCopy = async (bookInstance, now = new Date()) => {
+  const pickupBy = DateTime.fromJSDate(now)
+    .plus({ days: HOLD_PICKUP_DAYS })
+    .toJSDate();
+
+  const hold = await Hold.findOneAndUpdate(
+    { book: bookInstance.book._id, status: "Waiting" },
+    {
+      status: "Ready",
+      book_instance: bookInstance._id,
+      ready_at: now,
+      pickup_by: pickupBy,
+    },
+    { sort: { placed_at: 1, _id: 1 }, new: true }
+  ).exec();
+
+  if (hold === null) {
+    return null;
+  }
+
+  const reserved = await BookInstance.findOneAndUpdate(
+    { _id: bookInstance._id, status: "Available" },
+    { status: "Reserved", due_back: pickupBy }
+  ).exec();
+
+  if (reserved === null) {
+    // 先に別の処理で蔵書が使われた。予約を待ち行列の元の位置に戻す
+    await Hold.updateOne(
+      { _id: hold._id, status: "Ready" },
+      {
+        status: "Waiting",
+        $unset: { book_instance: 1, ready_at: 1, pickup_by: 1 },
+      }
+    ).exec();
+    return null;
+  }
+
+  return hold;
+};
+
+// 取り置きを解除して（予約済み → 利用可能）、次の予約者に回す
+async function releaseCopy(bookInstanceId, now) {
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: bookInstanceId, status: "Reserved" },
+    { status: "Available", due_back: now },
+    { new: true }
+  ).exec();
+
+  if (bookInstance !== null) {
+    await exports.offerCopy(bookInstance, now);
+  }
+}
+
+// 本の予約を受け付け、書架に利用可能な蔵書があればすぐに取り置く
+exports.placeHold = async (book, patronName, cardNumber, now = new Date()) => {
+  const existing = await Hold.findOne({
+    book: book._id,
+    card_number: cardNumber,
+    status: { $in: ["Waiting", "Ready"] },
+  }).exec();
+
+  if (existing) {
+    throw holdError(t("hold.duplicate"), 409);
+  }
+
+  const hold = await Hold.create({
+    book: book._id,
+    patron_name: patronName,
+    card_number: cardNumber,
+    placed_at: now,
+  });
+
+  const availableCopies = await BookInstance.find({
+    book: book._id,
+    status: "Available",
+  }).exec();
+  for (const bookInstance of availableCopies) {
+    if ((await exports.offerCopy(bookInstance, now)) === null) {
+      break;
+    }
+  }
+
+  return Hold.findById(hold._id).exec();
+};
+
+// 待ち行列での順番（1始まり）。待機中でなければ null
+exports.queuePosition = async (hold) => {
+  if (hold.status !== "Waiting") {
+    return null;
+  }
+  const ahead = await Hold.countDocuments({
+    book: hold.book._id,
+    status: "Waiting",
+    $or: [
+      { placed_at: { $lt: hold.placed_at } },
+      { placed_at: hold.placed_at, _id: { $lt: hold._id } },
+    ],
+  }).exec();
+  return ahead + 1;
+};
+
+// 予約を取り消す。取り置き中なら蔵書を次の予約者に回す
+exports.cancelHold = async (holdId, now = new Date()) => {
+  const previous = await Hold.findOneAndUpdate(
+    { _id: holdId, status: { $in: ["Waiting", "Ready"] } },
+    { status: "Cancelled" }
+  ).exec();
+
+  if (previous === null) {
+    const exists = await Hold.exists({ _id: holdId });
+    throw exists
+      ? holdError(t("hold.closed"), 409)
+      : holdError(t("hold.not_found"), 404);
+  }
+
+  if (previous.status === "Ready") {
+    await releaseCopy(previous.book_instance, now);
+  }
+};
+
+// 貸出時に、その蔵書の取り置きを受取済みにする
+exports.fulfillHold = (bookInstanceId) =>
+  Hold.findOneAndUpdate(
+    { book_instance: bookInstanceId, status: "Ready" },
+    { status: "Fulfilled" },
+    { new: true }
+  ).exec();
+
+// 受取期限を過ぎた取り置きを失効させ、蔵書を次の予約者に回す
+// 失効させた件数を返す
+exports.expireReadyHolds = async (now = new Date()) => {
+  const overdue = await Hold.find({
+    status: "Ready",
+    pickup_by: { $lt: now },
+  }).exec();
+
+  let expired = 0;
+  for (const hold of overdue) {
+    const result = await Hold.updateOne(
+      { _id: hold._id, status: "Ready" },
+      { status: "Expired" }
+    ).exec();
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+    expired++;
+    await releaseCopy(hold.book_instance, now);
+  }
+  return expired;
+};
@@ -0,0 +1,212 @@
+const fs = require("fs");
+
+const PDFDocument = require("pdfkit");
+const code128 = require("../helpers/code128");
+const { unescapeStored } = require("../helpers/highlight");
+const config = require("../config");
+
+// 1mm あたりのポイント数（PDFの単位は1/72インチ）
+const MM = 72 / 25.4;
+
+// ラベル用紙（位置と大きさはポイント。用紙の左上から数える）
+const LABEL_LAYOUTS = {
+  // A4 24面（70×37mm、3列×8行、余白なし）
+  "a4-24": {
+    label: "labels.layouts.a4-24",
+    size: "A4",
+    columns: 3,
+    rows: 8,
+    width: 70 * MM,
+    height: 37 * MM,
+    left: 0,
+    top: 0.5 * MM,
+    columnPitch: 70 * MM,
+    rowPitch: 37 * MM,
+    padding: 4 * MM, // 余白なしの用紙はプリンターが端まで印刷できないので広めにとる
+  },
+  // US Letter 30面（Avery 5160 互換、2 5/8×1インチ、3列×10行）
+  "letter-30": {
+    label: "labels.layouts.letter-30",
+    size: "LETTER",
+    columns: 3,
+    rows: 10,
+    width: 2.625 * 72,
+    height: 1 * 72,
+    left: 0.1875 * 72,
+    top: 0.5 * 72,
+    columnPitch: 2.75 * 72,
+    rowPitch: 1 * 72,
+    padding: 2 * MM,
+  },
+};
+
+// 1回に印刷できるラベルの最大数
+const MAX_LABELS = 600;
+
+// 文字の大きさ（ポイント）
+const TITLE_SIZE = 8;
+const IMPRINT_SIZE = 6.5;
+const NUMBER_SIZE = 7;
+const LINE_GAP = 2;
+
+// バーコードの1モジュールの幅（ポイント）と、バーの最大の高さ
+// 幅は読み取れるよう0.5pt（約0.18mm）以上にする
+const MAX_MODULE_WIDTH = 1;
+const MIN_MODULE_WIDTH = 0.5;
+const MAX_BAR_HEIGHT = 40;
+
+exports.LABEL_LAYOUTS = LABEL_LAYOUTS;
+exports.DEFAULT_LAYOUT = "a4-24";
+exports.MAX_LABELS = MAX_LABELS;
+
+// 日本語の書名を印刷するフォント。設定の labels.font でフォントファイル（TTF・OTF・TTC）を指定できる
+// TTC のときは labels.fontName でフォント名を指定する。指定がなければ、よくある場所にあるフォントを使う
+const FONT_CANDIDATES = [
+  {
+    path: "/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc",
+    name: "NotoSansCJKjp-Regular",
+  },
+  { path: "/usr/share/fonts/opentype/ipaexfont-gothic/ipaexg.ttf" },
+  { path: "/usr/share/fonts/truetype/fonts-japanese-gothic.ttf" },
+];
+
+function findFont() {
+  if (config.labels.font) {
+    return {
+      path: config.labels.font,
+      name: config.labels.fontName || undefined,
+    };
+  }
+  return FONT_CANDIDATES.find((font) => fs.existsSync(font.path)) || null;
+}
+
+const LABEL_FONT = findFont();
+
+// フォントがなければPDFの標準フォント（Helvetica）を使う
+// 標準フォントにない文字（日本語など）は ? にする
+function printable(text) {
+  return LABEL_FONT ? text : text.replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+}
+
+// 幅に収まるよう文字列を縮める（収まらなければ末尾を … にする）
+function shorten(doc, text, width) {
+  if (doc.widthOfString(text) <= width) return text;
+  const chars = Array.from(text);
+  let length = chars.length;
+  while (
+    length > 0 &&
+    doc.widthOfString(chars.slice(0, length).join("") + "…") > width
+  ) {
+    length--;
+  }
+  return chars.slice(0, length).join("").trimEnd() + "…";
+}
+
+// バーコードを描く（x は左端、width は使える幅）
+function drawBarcode(doc, text, x, y, width, height) {
+  const widths = code128.encode(text);
+  const modules =
+    widths.reduce((sum, value) => sum + value, 0) + 2 * code128.QUIET_ZONE;
+  const moduleWidth = Math.max(
+    MIN_MODULE_WIDTH,
+    Math.min(MAX_MODULE_WIDTH, width / modules)
+  );
+
+  // 中央に置く
+  let position =
+    x + (width - modules * moduleWidth) / 2 + code128.QUIET_ZONE * moduleWidth;
+  widths.forEach((value, index) => {
+    // 偶数番目がバー、奇数番目がスペース
+    if (index % 2 === 0) {
+      doc.rect(position, y, value * moduleWidth, height);
+    }
+    position += value * moduleWidth;
+  });
+  doc.fill("black");
+}
+
+// ラベル1枚を描く: 短くした書名、出版情報、登録番号のバーコードと番号
+function drawLabel(doc, copy, x, y, layout) {
+  const left = x + layout.padding;
+  const width = layout.width - 2 * layout.padding;
+  let top = y + layout.padding;
+
+  const title = copy.book ? unescapeStored(copy.book.title) : "";
+  doc
+    .fontSize(TITLE_SIZE)
+    .text(shorten(doc, printable(title), width), left, top, {
+      width: width,
+      lineBreak: false,
+    });
+  top += TITLE_SIZE + LINE_GAP;
+
+  doc
+    .fontSize(IMPRINT_SIZE)
+    .text(
+      shorten(doc, printable(unescapeStored(copy.imprint || "")), width),
+      left,
+      top,
+      { width: width, lineBreak: false }
+    );
+  top += IMPRINT_SIZE + LINE_GAP;
+
+  const bottom = y + layout.height - layout.padding;
+  const barHeight = Math.min(
+    MAX_BAR_HEIGHT,
+    bottom - top - NUMBER_SIZE - LINE_GAP
+  );
+  drawBarcode(doc, copy.accession, left, top, width, barHeight);
+  top += barHeight + 1;
+
+  doc.fontSize(NUMBER_SIZE).text(copy.accession, left, top, {
+    width: width,
+    align: "center",
+    lineBreak: false,
+  });
+}
+
+// 蔵書のラベルシートをPDFで作る。PDFのBufferを返す
+// skip は1枚目の用紙で使用済みのラベルの数（その位置から印刷を始める）
+exports.renderSheet = (copies, layoutKey, skip = 0, title = "") => {
+  const layout =
+    LABEL_LAYOUTS[layoutKey] || LABEL_LAYOUTS[exports.DEFAULT_LAYOUT];
+  const perPage = layout.columns * layout.rows;
+
+  const doc = new PDFDocument({
+    size: layout.size,
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: title, Creator: "LocalLibrary" },
+  });
+  if (LABEL_FONT) {
+    doc.registerFont("label", LABEL_FONT.path, LABEL_FONT.name);
+  }
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  copies.forEach((copy, index) => {
+    const position = (index + skip) % perPage;
+    if (index === 0 || position === 0) {
+      doc.addPage();
+      doc.font(LABEL_FONT ? "label" : "Helvetica");
+    }
+    const column = position % layout.columns;
+    const row = Math.floor(position / layout.columns);
+    drawLabel(
+      doc,
+      copy,
+      layout.left + column * layout.columnPitch,
+      layout.top + row * layout.rowPitch,
+      layout
+    );
+  });
+  if (copies.length === 0) doc.addPage();
+
+  doc.end();
+  return done;
+};
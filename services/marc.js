@@ -0,0 +1,77 @@
+const { subfieldValues } = require("../helpers/marc");
+const { normalizeIsbn } = require("../helpers/isbn");
+const { unescapeStored } = require("../helpers/highlight");
+
+// MARCのフィールドと本・著者・ジャンルの対応
+//   020 $a ISBN
+//   100 $a 著者（個人名。「姓, 名」）
+//   245 $a タイトル、$b サブタイトル
+//   520 $a 概要
+//   650 $a 件名（ジャンル）
+
+// 末尾の区切り記号（ISBD）を取り除く。例: "The name of the wind /" → "The name of the wind"
+function trimPunctuation(value) {
+  return (value || "")
+    .trim()
+    .replace(/\s*[/:;,=]$/, "")
+    .replace(/\.$/, "")
+    .trim();
+}
+
+// MARCレコードを取り込み用の値（CSVの1行と同じ形）にする
+exports.recordToValues = (record) => {
+  // 020 $a は "9780306406157 (pbk.)" のように修飾語が付くことがある
+  const isbns = subfieldValues(record, "020", "a").map(
+    (value) => value.trim().split(/\s+/)[0]
+  );
+  const title = trimPunctuation(subfieldValues(record, "245", "a")[0]);
+  const subtitle = trimPunctuation(subfieldValues(record, "245", "b")[0]);
+  const subjects = subfieldValues(record, "650", "a").map(trimPunctuation);
+
+  return {
+    // 有効なISBNがなければ最初のものを使い、検証でエラーにする
+    isbn: isbns.find((isbn) => normalizeIsbn(isbn) !== null) || isbns[0] || "",
+    author: trimPunctuation(subfieldValues(record, "100", "a")[0]),
+    title: subtitle ? `${title} : ${subtitle}` : title,
+    summary: subfieldValues(record, "520", "a")
+      .map((value) => value.trim())
+      .join("\n\n"),
+    genres: [...new Set(subjects.filter((subject) => subject))].join("; "),
+  };
+};
+
+// 本（著者とジャンルをpopulate済み）をMARCレコードにする
+// 保存値はHTMLエスケープ済みなので元に戻す
+exports.bookToRecord = (book) => {
+  const datafield = (tag, ind1, ind2, subfields) => ({
+    tag: tag,
+    ind1: ind1,
+    ind2: ind2,
+    subfields: subfields.map(([code, value]) => ({
+      code: code,
+      value: unescapeStored(value),
+    })),
+  });
+
+  const datafields = [datafield("020", " ", " ", [["a", book.isbn]])];
+  if (book.author) {
+    // 第1指示子 1 は「姓, 名」の形
+    datafields.push(
+      datafield("100", "1", " ", [["a", book.author.inverted_name]])
+    );
+  }
+  // 245の第1指示子は、100（主記入）があれば1
+  datafields.push(
+    datafield("245", book.author ? "1" : "0", "0", [["a", book.title]])
+  );
+  datafields.push(datafield("520", " ", " ", [["a", book.summary]]));
+  for (const genre of book.genre) {
+    datafields.push(datafield("650", " ", "4", [["a", genre.name]]));
+  }
+
+  return {
+    leader: null,
+    controlfields: [{ tag: "001", value: book._id.toString() }],
+    datafields: datafields,
+  };
+};
@@ -0,0 +1,147 @@
+const client = require("prom-client");
+const mongoose = require("mongoose");
+
+const Author = require("../models/author");
+const Book = require("../models/book");
+const BookInstance = require("../models/bookinstance");
+const Genre = require("../models/genre");
+const logger = require("../helpers/logger");
+
+// Prometheus の形式で /metrics に公開する値
+// リクエストの件数と処理時間（ルートごと）、MongoDBのコマンドの処理時間、カタログの件数
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry }); // CPU・メモリ・イベントループなど
+
+exports.registry = registry;
+
+// 処理時間のヒストグラムの区切り（秒）
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const MONGO_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1];
+
+const httpRequests = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests by route, method and status code",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "Time to respond to HTTP requests, by route, method and status code",
+  labelNames: ["method", "route", "status"],
+  buckets: HTTP_BUCKETS,
+  registers: [registry],
+});
+
+const mongoDuration = new client.Histogram({
+  name: "mongodb_command_duration_seconds",
+  help: "Time for MongoDB commands, by command and collection",
+  labelNames: ["command", "collection"],
+  buckets: MONGO_BUCKETS,
+  registers: [registry],
+});
+
+const mongoFailures = new client.Counter({
+  name: "mongodb_command_failures_total",
+  help: "MongoDB commands that failed, by command and collection",
+  labelNames: ["command", "collection"],
+  registers: [registry],
+});
+
+// カタログの件数（/metrics を取得するたびにデータベースから数える。ゴミ箱のものは除く）
+// データベースに接続していないとき（待つと応答が遅れる）や数えられないときは前回の値のまま
+async function countSafely(gauge, count) {
+  if (mongoose.connection.readyState !== 1) return;
+  try {
+    await count();
+  } catch (err) {
+    logger.warn({ err, metric: gauge.name }, "could not update the metric");
+  }
+}
+
+new client.Gauge({
+  name: "catalog_books",
+  help: "Books in the catalog",
+  registers: [registry],
+  async collect() {
+    await countSafely(this, async () =>
+      this.set(await Book.countDocuments().exec())
+    );
+  },
+});
+
+new client.Gauge({
+  name: "catalog_authors",
+  help: "Authors in the catalog",
+  registers: [registry],
+  async collect() {
+    await countSafely(this, async () =>
+      this.set(await Author.countDocuments().exec())
+    );
+  },
+});
+
+new client.Gauge({
+  name: "catalog_genres",
+  help: "Genres in the catalog",
+  registers: [registry],
+  async collect() {
+    await countSafely(this, async () =>
+      this.set(await Genre.countDocuments().exec())
+    );
+  },
+});
+
+new client.Gauge({
+  name: "catalog_copies",
+  help: "Copies in the catalog, by status",
+  labelNames: ["status"],
+  registers: [registry],
+  async collect() {
+    await countSafely(this, async () => {
+      const counts = await BookInstance.aggregate([
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]).exec();
+      // 1冊もなくなった状態も 0 として出す
+      this.reset();
+      for (const status of BookInstance.schema.path("status").enumValues) {
+        this.set({ status: status }, 0);
+      }
+      for (const entry of counts) {
+        this.set({ status: entry._id }, entry.count);
+      }
+    });
+  },
+});
+
+// リクエスト1件の処理時間を記録する（route は "/catalog/book/:id" のようなルートのパターン）
+exports.observeRequest = (method, route, status, seconds) => {
+  const labels = { method: method, route: route, status: String(status) };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, seconds);
+};
+
+// MongoDBのドライバーのコマンド監視イベントから処理時間を記録する
+// （mongoose.connect の monitorCommands オプションを true にした接続の MongoClient を渡す）
+exports.watchMongoClient = (mongoClient) => {
+  // コマンドの完了イベントにはコレクション名がないので、開始イベントで覚えておく
+  const collections = new Map();
+
+  mongoClient.on("commandStarted", (event) => {
+    const target = event.command[event.commandName];
+    collections.set(event.requestId, typeof target === "string" ? target : "");
+  });
+
+  const finished = (counter) => (event) => {
+    const labels = {
+      command: event.commandName,
+      collection: collections.get(event.requestId) || "",
+    };
+    collections.delete(event.requestId);
+    mongoDuration.observe(labels, event.duration / 1000);
+    if (counter) counter.inc(labels);
+  };
+  mongoClient.on("commandSucceeded", finished(null));
+  mongoClient.on("commandFailed", finished(mongoFailures));
+};
@@ -0,0 +1,613 @@
+const fs = require("fs");
+const path = require("path");
+const { DateTime } = require("luxon");
+
+const Author = require("../models/author");
+const Book = require("../models/book");
+const BookInstance = require("../models/bookinstance");
+const Branch = require("../models/branch");
+const Genre = require("../models/genre");
+const Loan = require("../models/loan");
+const Hold = require("../models/hold");
+const Transfer = require("../models/transfer");
+const AccountEntry = require("../models/accountentry");
+const AuditEntry = require("../models/auditentry");
+const Counter = require("../models/counter");
+const {
+  authorRules,
+  bookImportRules,
+  bookInstanceRules,
+  branchRules,
+  genreRules,
+  runRules,
+} = require("../validators/catalog");
+const { t } = require("../helpers/i18n");
+const { isbn13CheckDigit } = require("../helpers/isbn");
+
+// populatedb.js で使う、データセットの読み込み・生成・投入
+// データセットは { branches, genres, authors, books, bookinstances } の形のJSON
+// 本は著者を「名 姓」、ジャンルを名前で、蔵書は本をISBN、分館を名前で参照する
+// （key を書くと、その値で参照できる）
+// 投入は何度実行しても同じ結果になる。分館・ジャンルは名前、著者は名前の組、
+// 本はISBN、蔵書はバーコードで既存のレコード（ゴミ箱のものを含む）と照合し、なければ追加する
+
+// --fixtures に名前だけを指定したときにデータセットを探すディレクトリ
+const DATASET_DIR = path.join(__dirname, "..", "fixtures");
+// --fixtures も --generate も指定しないときのデータセット
+const DEFAULT_DATASET = "sample";
+
+exports.DATASET_DIR = DATASET_DIR;
+exports.DEFAULT_DATASET = DEFAULT_DATASET;
+
+// 一度に照合・追加するレコード数
+const CHUNK_SIZE = 500;
+
+// ゴミ箱のレコードも含めて照合する
+const WITH_DELETED = { withDeleted: true };
+// 分館名・ジャンル名は大文字小文字を区別せずに照合する（作成フォームと同じ）
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+// --reset で空にするコレクション（利用者とセッションは残す）
+const RESET_MODELS = [
+  BookInstance,
+  Book,
+  Author,
+  Genre,
+  Branch,
+  Loan,
+  Hold,
+  Transfer,
+  AccountEntry,
+  AuditEntry,
+  Counter,
+];
+
+// 参照先がデータセットにないときは messages に追加する（label は項目名のメッセージキー）
+// 参照の値がなければ、必須の項目としてルールの検証でエラーになる
+function unknownRef(messages, label, key) {
+  if (key === undefined || key === null || key === "") return undefined;
+  messages.push(t("populate.unknown_ref", { field: t(label), key: key }));
+  return String(key);
+}
+
+// データセットの各セクション（投入する順）
+//   ref(record)              他のセクションから参照するときの値
+//   fields(record, refs, messages) 検証する値（参照はidに置き換える）
+//   match(values)            既存のレコードと照合する値（保存されている値からも同じように求める）
+//   find(list)               照合する値に一致する既存のレコード
+const SECTIONS = [
+  {
+    name: "branches",
+    model: Branch,
+    label: "trash.models.branch",
+    rules: branchRules,
+    ref: (record) => record.key || record.name,
+    fields: (record) => ({ name: record.name, address: record.address }),
+    match: (values) => String(values.name).toLowerCase(),
+    find: (list) =>
+      Branch.find({ name: { $in: list.map((values) => values.name) } })
+        .setOptions(WITH_DELETED)
+        .collation(CASE_INSENSITIVE),
+  },
+  {
+    name: "genres",
+    model: Genre,
+    label: "trash.models.genre",
+    rules: genreRules,
+    ref: (record) => record.key || record.name,
+    fields: (record) => ({ name: record.name }),
+    match: (values) => String(values.name).toLowerCase(),
+    find: (list) =>
+      Genre.find({ name: { $in: list.map((values) => values.name) } })
+        .setOptions(WITH_DELETED)
+        .collation(CASE_INSENSITIVE),
+  },
+  {
+    name: "authors",
+    model: Author,
+    label: "trash.models.author",
+    rules: authorRules,
+    ref: (record) =>
+      record.key || `${record.first_name || ""} ${record.family_name || ""}`,
+    fields: (record) => ({
+      first_name: record.first_name,
+      family_name: record.family_name,
+      first_name_kana: record.first_name_kana,
+      family_name_kana: record.family_name_kana,
+      name_order: record.name_order,
+      date_of_birth: record.date_of_birth,
+      date_of_death: record.date_of_death,
+    }),
+    match: (values) => `${values.family_name}, ${values.first_name}`,
+    find: (list) =>
+      Author.find({
+        $or: list.map((values) => ({
+          first_name: values.first_name,
+          family_name: values.family_name,
+        })),
+      }).setOptions(WITH_DELETED),
+  },
+  {
+    name: "books",
+    model: Book,
+    label: "trash.models.book",
+    rules: bookImportRules,
+    ref: (record) => record.key || record.isbn,
+    fields: (record, refs, messages) => ({
+      title: record.title,
+      summary: record.summary,
+      isbn: record.isbn,
+      author: refs.authors.has(record.author)
+        ? String(refs.authors.get(record.author))
+        : unknownRef(messages, "book.fields.author", record.author),
+      genre: (record.genre || []).map((name) =>
+        refs.genres.has(name)
+          ? refs.genres.get(name)
+          : unknownRef(messages, "book.fields.genre", name)
+      ),
+    }),
+    match: (values) => values.isbn,
+    find: (list) =>
+      Book.find({
+        isbn: { $in: list.map((values) => values.isbn) },
+      }).setOptions(WITH_DELETED),
+  },
+  {
+    name: "bookinstances",
+    model: BookInstance,
+    label: "trash.models.bookinstance",
+    rules: bookInstanceRules,
+    ref: (record) => record.key || record.barcode,
+    fields: (record, refs, messages) => {
+      // バーコードがないと、次に投入したときに同じ蔵書だとわからない
+      if (!record.barcode) {
+        messages.push(t("populate.barcode_required"));
+      }
+      return {
+        book: refs.books.has(record.book)
+          ? String(refs.books.get(record.book))
+          : unknownRef(messages, "bookinstance.fields.book", record.book),
+        imprint: record.imprint,
+        barcode: record.barcode,
+        branch: refs.branches.has(record.branch)
+          ? String(refs.branches.get(record.branch))
+          : unknownRef(messages, "bookinstance.fields.branch", record.branch),
+        shelf: record.shelf,
+        status: record.status || "Available",
+        due_back: record.due_back,
+        borrower_name: record.borrower_name,
+        borrower_card_number: record.borrower_card_number,
+      };
+    },
+    match: (values) => values.barcode,
+    find: (list) =>
+      BookInstance.find({
+        barcode: { $in: list.map((values) => values.barcode) },
+      }).setOptions(WITH_DELETED),
+  },
+];
+
+// データセットのファイルを読み込む
+// パスの代わりに名前（"sample" など）を指定すると DATASET_DIR から探す
+exports.readDataset = (nameOrPath) => {
+  const file =
+    path.extname(nameOrPath) === "" && !nameOrPath.includes(path.sep)
+      ? path.join(DATASET_DIR, nameOrPath + ".json")
+      : path.resolve(nameOrPath);
+
+  let dataset;
+  try {
+    dataset = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(t("populate.bad_file", { file: file, error: err.message }));
+  }
+
+  if (dataset === null || typeof dataset !== "object") {
+    throw new Error(t("populate.bad_dataset", { file: file }));
+  }
+  for (const section of SECTIONS) {
+    if (
+      dataset[section.name] !== undefined &&
+      !Array.isArray(dataset[section.name])
+    ) {
+      throw new Error(
+        t("populate.bad_section", { file: file, section: section.name })
+      );
+    }
+  }
+  return dataset;
+};
+
+// 生成するデータの材料
+const BRANCHES = [
+  { name: "Central Library", address: "1 Library Square" },
+  { name: "Riverside Branch", address: "25 River Road" },
+  { name: "Hillside Branch", address: "8 Hill Street" },
+];
+const GENRES = [
+  "Fantasy",
+  "Science Fiction",
+  "Mystery",
+  "Romance",
+  "History",
+  "Biography",
+  "Poetry",
+  "Travel",
+  "Horror",
+  "Young Adult",
+];
+const FIRST_NAMES = [
+  "Alice",
+  "Arthur",
+  "Clara",
+  "Daniel",
+  "Eleanor",
+  "Felix",
+  "Grace",
+  "Henry",
+  "Iris",
+  "James",
+  "Julia",
+  "Leo",
+  "Margaret",
+  "Nathan",
+  "Olivia",
+  "Peter",
+  "Rosa",
+  "Samuel",
+  "Tessa",
+  "Victor",
+];
+const FAMILY_NAMES = [
+  "Abbott",
+  "Barnes",
+  "Carver",
+  "Delgado",
+  "Ellison",
+  "Fletcher",
+  "Garner",
+  "Hartley",
+  "Ingram",
+  "Keller",
+  "Lawson",
+  "Moreau",
+  "Nakamura",
+  "Okafor",
+  "Prescott",
+  "Quinn",
+  "Ramsey",
+  "Sorensen",
+  "Thornton",
+  "Whitaker",
+];
+const INITIALS = "ABCDEFGHJKLMNPRSTW".split("");
+// 日本の著者（表記と読み）
+const JAPANESE_FIRST_NAMES = [
+  ["陽子", "ヨウコ"],
+  ["健一", "ケンイチ"],
+  ["美咲", "ミサキ"],
+  ["翔太", "ショウタ"],
+  ["直樹", "ナオキ"],
+  ["由美", "ユミ"],
+];
+const JAPANESE_FAMILY_NAMES = [
+  ["佐藤", "サトウ"],
+  ["鈴木", "スズキ"],
+  ["高橋", "タカハシ"],
+  ["田中", "タナカ"],
+  ["渡辺", "ワタナベ"],
+  ["伊藤", "イトウ"],
+];
+const ADJECTIVES = [
+  "Silent",
+  "Hidden",
+  "Last",
+  "Broken",
+  "Golden",
+  "Distant",
+  "Forgotten",
+  "Burning",
+  "Endless",
+  "Quiet",
+  "Crimson",
+  "Winter",
+  "Secret",
+  "Iron",
+  "Wandering",
+  "Northern",
+];
+const NOUNS = [
+  "River",
+  "Garden",
+  "Empire",
+  "Lighthouse",
+  "Orchard",
+  "Mirror",
+  "Harbour",
+  "Kingdom",
+  "Forest",
+  "Archive",
+  "Voyage",
+  "Clockmaker",
+  "Island",
+  "Frontier",
+  "Library",
+  "Storm",
+];
+const TITLES = [
+  (adjective, noun) => `The ${adjective} ${noun}`,
+  (adjective, noun, other) => `The ${noun} and the ${other}`,
+  (adjective, noun, other) => `${adjective} ${noun}s of the ${other}`,
+  (adjective, noun) => `A Guide to the ${adjective} ${noun}`,
+  (adjective, noun) => `Return to the ${noun}`,
+];
+const OPENINGS = [
+  "A young archivist discovers a letter that was never meant to be found.",
+  "Two rivals are forced to share a long journey north.",
+  "When the harbour freezes over, an old family secret surfaces.",
+  "A retired detective takes on one final, impossible case.",
+  "An expedition sets out to map the last uncharted island.",
+  "Three generations of one family keep the same small shop alive.",
+];
+const CLOSINGS = [
+  "A story about courage, memory and the price of the truth.",
+  "Told with warmth and a dry sense of humour.",
+  "Nothing will be the same once the storm has passed.",
+  "A page-turner that rewards patient readers.",
+  "Based on the author's own travels.",
+];
+const PUBLISHERS = [
+  "Harbour Press",
+  "Northlight Books",
+  "Old Mill Publishing",
+  "Lantern House",
+  "Meridian & Co.",
+];
+// 生成する蔵書の状態と割合
+const STATUS_WEIGHTS = [
+  ["Available", 0.8],
+  ["Loaned", 0.15],
+  ["Maintenance", 0.05],
+];
+// 著者1人あたりの本の数
+const BOOKS_PER_AUTHOR = 3;
+
+// 文字列から32ビットのハッシュ値（FNV-1a）
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+// シードから決まる乱数列（mulberry32）。同じシードと名前からは同じ値が出る
+function randomFor(seed, ...names) {
+  let state = hash([seed, ...names].join(":"));
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+  next.pick = (list) => list[Math.floor(next() * list.length)];
+  next.int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  return next;
+}
+
+// i番目の著者
+function generateAuthor(seed, index) {
+  const random = randomFor(seed, "author", index);
+  const born = random.int(1900, 1995);
+  const author = { key: `author-${index}` };
+  if (random() < 0.25) {
+    const [first, firstKana] = random.pick(JAPANESE_FIRST_NAMES);
+    const [family, familyKana] = random.pick(JAPANESE_FAMILY_NAMES);
+    Object.assign(author, {
+      first_name: first,
+      family_name: family,
+      first_name_kana: firstKana,
+      family_name_kana: familyKana,
+      name_order: "japanese",
+    });
+  } else {
+    // 同姓同名が増えすぎないよう、半分はミドルネームの頭文字を付ける
+    author.first_name = random.pick(FIRST_NAMES);
+    if (random() < 0.5) {
+      author.first_name += ` ${random.pick(INITIALS)}.`;
+    }
+    author.family_name = random.pick(FAMILY_NAMES);
+  }
+  author.date_of_birth = DateTime.local(
+    born,
+    random.int(1, 12),
+    random.int(1, 28)
+  ).toISODate();
+  if (born < 1950 && random() < 0.6) {
+    author.date_of_death = DateTime.local(
+      random.int(born + 50, 2023),
+      random.int(1, 12),
+      random.int(1, 28)
+    ).toISODate();
+  }
+  return author;
+}
+
+// i番目の本とその蔵書
+function generateBook(seed, index, today) {
+  const random = randomFor(seed, "book", index);
+  const isbnBody = "978" + String(random.int(0, 999999999)).padStart(9, "0");
+  const genres = [random.pick(GENRES)];
+  if (random() < 0.3) genres.push(random.pick(GENRES));
+
+  const book = {
+    title: random.pick(TITLES)(
+      random.pick(ADJECTIVES),
+      random.pick(NOUNS),
+      random.pick(NOUNS)
+    ),
+    summary: random.pick(OPENINGS) + " " + random.pick(CLOSINGS),
+    isbn: isbnBody + isbn13CheckDigit(isbnBody),
+    author: `author-${Math.floor(index / BOOKS_PER_AUTHOR)}`,
+    genre: [...new Set(genres)],
+  };
+
+  const imprint = `${random.pick(PUBLISHERS)}, ${random.int(1950, 2024)}.`;
+  const shelf =
+    book.genre[0].slice(0, 3).toUpperCase() + "-" + random.int(1, 20);
+  const copies = Array.from({ length: random.int(1, 3) }, (unused, number) => {
+    const copy = {
+      barcode: `G${seed}-${index + 1}-${number + 1}`,
+      book: book.isbn,
+      imprint: imprint,
+      branch: random.pick(BRANCHES).name,
+      shelf: shelf,
+      status: "Available",
+    };
+    let roll = random();
+    for (const [status, weight] of STATUS_WEIGHTS) {
+      if (roll < weight) {
+        copy.status = status;
+        break;
+      }
+      roll -= weight;
+    }
+    if (copy.status === "Loaned") {
+      // 一部は延滞中になるよう、返却期限を今日の前後に散らす
+      copy.due_back = today.plus({ days: random.int(-10, 21) }).toISODate();
+      copy.borrower_name = `${random.pick(FIRST_NAMES)} ${random.pick(
+        FAMILY_NAMES
+      )}`;
+      copy.borrower_card_number =
+        "CARD-" + String(random.int(1, 200)).padStart(4, "0");
+    }
+    return copy;
+  });
+
+  return { book, copies };
+}
+
+// count冊の本と、その著者・蔵書、ジャンル・分館のデータセットを生成する
+// 同じシードなら同じ内容になり、i番目の本は count によらず同じ（件数を増やして再実行すると差分だけ追加される）
+exports.generateDataset = (count, seed = 1, today = DateTime.now()) => {
+  const books = [];
+  const bookinstances = [];
+  for (let index = 0; index < count; index++) {
+    const { book, copies } = generateBook(seed, index, today);
+    books.push(book);
+    bookinstances.push(...copies);
+  }
+  return {
+    branches: BRANCHES,
+    genres: GENRES.map((name) => ({ name: name })),
+    authors: Array.from(
+      { length: Math.ceil(count / BOOKS_PER_AUTHOR) },
+      (unused, index) => generateAuthor(seed, index)
+    ),
+    books: books,
+    bookinstances: bookinstances,
+  };
+};
+
+// 投入するコレクションを空にする（インデックスは残す）
+// モデルのフックを通さないので、変更履歴には残らない
+// 空にした（dryRun なら空にする）コレクションと件数を返す
+exports.reset = async ({ dryRun = false } = {}) => {
+  const results = [];
+  for (const model of RESET_MODELS) {
+    const count = await model.collection.countDocuments();
+    if (!dryRun && count > 0) {
+      await model.collection.deleteMany({});
+    }
+    results.push({ collection: model.collection.collectionName, count: count });
+  }
+  return results;
+};
+
+// 1つのセクションを投入する。refs[セクション名] に参照の値からidへの Map を作る
+async function loadSection(section, records, refs, { dryRun, empty }) {
+  const result = {
+    name: section.name,
+    label: section.label,
+    created: 0,
+    existing: 0,
+    invalid: [],
+  };
+  const ids = new Map(); // 照合する値 → id
+  refs[section.name] = new Map();
+
+  // 検証とサニタイズ（フォームと同じルール）
+  const valid = [];
+  for (const [index, record] of records.entries()) {
+    const ref = String(section.ref(record || {}) || "");
+    const messages = [];
+    if (record === null || typeof record !== "object") {
+      messages.push(t("populate.not_an_object"));
+    } else {
+      const checked = await runRules(
+        section.rules,
+        section.fields(record, refs, messages)
+      );
+      messages.push(...checked.messages);
+      if (messages.length === 0) {
+        valid.push({ ref: ref, values: checked.values });
+        continue;
+      }
+    }
+    result.invalid.push({ record: ref.trim() || `#${index + 1}`, messages });
+  }
+
+  for (let start = 0; start < valid.length; start += CHUNK_SIZE) {
+    const chunk = valid.slice(start, start + CHUNK_SIZE);
+
+    // まだ照合していない値だけデータベースで探す
+    const unknown = chunk.filter(
+      ({ values }) => !ids.has(section.match(values))
+    );
+    if (unknown.length > 0 && !empty) {
+      const existing = await section.find(unknown.map(({ values }) => values));
+      for (const doc of existing) {
+        ids.set(section.match(doc), doc._id);
+      }
+    }
+
+    const docs = [];
+    for (const { ref, values } of chunk) {
+      const match = section.match(values);
+      if (ids.has(match)) {
+        result.existing++;
+      } else {
+        // データセットの中で同じレコードが2回出てきても、追加するのは1回
+        const doc = new section.model(values);
+        ids.set(match, doc._id);
+        docs.push(doc);
+        result.created++;
+      }
+      refs[section.name].set(ref, ids.get(match));
+    }
+
+    if (!dryRun && docs.length > 0) {
+      await section.model.insertMany(docs);
+    }
+  }
+  return result;
+}
+
+// データセットを投入する。dryRun なら照合だけして書き込まない
+// empty なら既存のレコードと照合しない（reset をドライランしたときの見積もりに使う）
+// セクションごとの { name, label, created, existing, invalid: [{ record, messages }] } を返す
+exports.load = async (dataset, { dryRun = false, empty = false } = {}) => {
+  const refs = {};
+  const results = [];
+  for (const section of SECTIONS) {
+    results.push(
+      await loadSection(section, dataset[section.name] || [], refs, {
+        dryRun,
+        empty,
+      })
+    );
+  }
+  return results;
+};
@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const logger = require("../helpers/logger").child({ component: "scheduler" });
+
+const Author = require("../models/author");
+const Book = require("../models/book");
+const BookInstance = require("../models/bookinstance");
+const fines = require("./fines");
+const holds = require("./holds");
+
+// プロセス内で定期実行するジョブ
+// intervalMs が null のジョブ（一度きりのデータの移行）は、起動時に1回だけ実行する
+const JOBS = [
+  {
+    // 読みによる並べ替えのキーがない（以前に保存された）著者を補う
+    name: "fill-author-sort-names",
+    intervalMs: 24 * 60 * 60 * 1000, // 1 day
+    run: async (log) => {
+      const filled = await Author.fillSortNames();
+      if (filled > 0) log.info("filled sort names for %d authors", filled);
+    },
+  },
+  {
+    // 以前の形式で保存されたISBNをハイフンなしのISBN-13に揃え、isbn の一意インデックスを作る
+    // 変換できないISBNと、揃えると重複するISBNは変更せずに警告する（重複があるとインデックスは作れない）
+    name: "normalize-isbns",
+    intervalMs: null, // once, at startup
+    run: async (log) => {
+      const { normalized, invalid, duplicates } = await Book.normalizeIsbns();
+      if (normalized > 0) log.info("normalized ISBNs of %d books", normalized);
+      for (const book of invalid) {
+        log.warn(
+          { book: book._id, title: book.title, isbn: book.isbn },
+          "book has an ISBN that can't be converted to ISBN-13"
+        );
+      }
+      for (const { isbn, books } of duplicates) {
+        log.warn(
+          { isbn: isbn, books: books.map((book) => book._id) },
+          "books share an ISBN"
+        );
+      }
+      if (duplicates.length === 0) {
+        await Book.createIndexes();
+      }
+    },
+  },
+  {
+    // バーコードのない（以前に保存された）蔵書に割り当てる
+    name: "fill-barcodes",
+    intervalMs: 24 * 60 * 60 * 1000, // 1 day
+    run: async (log) => {
+      const filled = await BookInstance.fillBarcodes();
+      if (filled > 0) log.info("generated barcodes for %d copies", filled);
+    },
+  },
+  {
+    // 登録番号のない（以前に保存された）蔵書に、古い順に割り当てる
+    name: "fill-accession-numbers",
+    intervalMs: 24 * 60 * 60 * 1000, // 1 day
+    run: async (log) => {
+      const filled = await BookInstance.fillAccessionNumbers();
+      if (filled > 0)
+        log.info("assigned accession numbers to %d copies", filled);
+    },
+  },
+  {
+    name: "expire-holds",
+    intervalMs: 15 * 60 * 1000, // 15 minutes
+    run: async (log) => {
+      const expired = await holds.expireReadyHolds();
+      if (expired > 0) log.info("expired %d holds", expired);
+    },
+  },
+  {
+    name: "assess-fines",
+    intervalMs: 60 * 60 * 1000, // 1 hour
+    run: async (log) => {
+      const assessed = await fines.assessOverdueFines();
+      if (assessed > 0)
+        log.info("assessed fines for %d overdue copies", assessed);
+    },
+  },
+];
+
+const timers = [];
+
+// ジョブを1回実行する。失敗してもタイマーは止めない
+// ジョブには、ジョブ名を付けて出力するロガーを渡す
+// 起動直後はデータベースへの接続を待つ（接続前はコレクションを直接読めず、一度きりのジョブが失敗する）
+async function runJob(job) {
+  const log = logger.child({ job: job.name });
+  try {
+    await mongoose.connection.asPromise();
+    await job.run(log);
+  } catch (err) {
+    log.error({ err }, "job failed");
+  }
+}
+
+// すべてのジョブを開始する（起動時に1回実行し、以降は一定間隔で実行）
+exports.start = () => {
+  for (const job of JOBS) {
+    runJob(job);
+    if (job.intervalMs === null) continue;
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref(); // タイマーだけでプロセスを生かし続けない
+    timers.push(timer);
+  }
+};
+
+// すべてのジョブを停止する
+exports.stop = () => {
+  timers.splice(0).forEach((timer) => clearInterval(timer));
+};
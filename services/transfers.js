@@ -0,0 +1,104 @@
+const BookInstance = require("../models/bookinstance");
+const Branch = require("../models/branch");
+const Transfer = require("../models/transfer");
+const holds = require("./holds");
+
+const { t } = require("../helpers/i18n");
+
+// HTTPステータス付きのエラーを作成
+function transferError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// 蔵書を別の分館に送る（利用可能 → 移送中）
+// 分館は受け取るまで送り元のまま。状態の遷移は条件付き更新で行うため、二重に送ることはない
+exports.send = async (bookInstanceId, toBranchId, user, now = new Date()) => {
+  if (!(await Branch.exists({ _id: toBranchId }))) {
+    throw transferError(t("branch.not_found"), 404);
+  }
+
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    {
+      _id: bookInstanceId,
+      status: "Available",
+      branch: { $nin: [null, toBranchId] },
+    },
+    { status: "InTransit", due_back: now }
+  ).exec();
+
+  if (bookInstance === null) {
+    const current = await BookInstance.findById(bookInstanceId).exec();
+    if (current === null) {
+      throw transferError(t("bookinstance.not_found"), 404);
+    }
+    throw transferError(
+      current.branch && current.branch.equals(toBranchId)
+        ? t("transfer.same_branch")
+        : t("transfer.not_available"),
+      409
+    );
+  }
+
+  try {
+    return await Transfer.create({
+      book_instance: bookInstance._id,
+      from_branch: bookInstance.branch,
+      to_branch: toBranchId,
+      sent_at: now,
+      sent_by: user ? user._id : null,
+    });
+  } catch (err) {
+    // 移送の記録が作れなければ蔵書の状態を元に戻す
+    await BookInstance.updateOne(
+      { _id: bookInstance._id, status: "InTransit" },
+      { status: bookInstance.status, due_back: bookInstance.due_back }
+    ).exec();
+    throw err;
+  }
+};
+
+// 移送中の蔵書を受け取る（移送中 → 利用可能、予約待ちがあれば予約済み）
+// 蔵書の分館を送り先に変える。棚の位置は受け取った分館で指定できる（省略すると元のまま）
+exports.receive = async (transferId, user, shelf, now = new Date()) => {
+  const transfer = await Transfer.findOneAndUpdate(
+    { _id: transferId, received_at: null },
+    { received_at: now, received_by: user ? user._id : null },
+    { new: true }
+  ).exec();
+
+  if (transfer === null) {
+    throw (await Transfer.exists({ _id: transferId }))
+      ? transferError(t("transfer.already_received"), 409)
+      : transferError(t("transfer.not_found"), 404);
+  }
+
+  const update = { status: "Available", branch: transfer.to_branch };
+  if (shelf) update.shelf = shelf;
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: transfer.book_instance, status: "InTransit" },
+    update,
+    { new: true }
+  ).exec();
+
+  if (bookInstance === null) {
+    // 蔵書が移送中でなくなっていた（削除された、手で状態を変えられたなど）
+    await Transfer.updateOne(
+      { _id: transfer._id },
+      { received_at: null, $unset: { received_by: 1 } }
+    ).exec();
+    throw transferError(t("transfer.copy_not_in_transit"), 409);
+  }
+
+  // 予約待ちの先頭の利用者に取り置く
+  const hold = await holds.offerCopy(bookInstance, now);
+
+  return { transfer, bookInstance, hold };
+};
+
+// 蔵書の移送中の記録を返す。移送中でなければ null
+exports.openTransferFor = (bookInstanceId) =>
+  Transfer.findOne({ book_instance: bookInstanceId, received_at: null })
+    .populate("from_branch to_branch")
+    .exec();
@@ -0,0 +1,188 @@
+const Author = require("../models/author");
+const Book = require("../models/book");
+const BookInstance = require("../models/bookinstance");
+const Branch = require("../models/branch");
+const Genre = require("../models/genre");
+const covers = require("./covers");
+const { t } = require("../helpers/i18n");
+
+// ゴミ箱に入っているレコードも含めて検索するオプション
+const WITH_DELETED = { withDeleted: true };
+
+// ゴミ箱で扱うモデル（キーはURLで使う名前。label はメッセージのキー）
+const TRASH_MODELS = {
+  book: { model: Book, label: "trash.models.book" },
+  author: { model: Author, label: "trash.models.author" },
+  genre: { model: Genre, label: "trash.models.genre" },
+  bookinstance: { model: BookInstance, label: "trash.models.bookinstance" },
+  branch: { model: Branch, label: "trash.models.branch" },
+};
+
+exports.TRASH_MODELS = TRASH_MODELS;
+
+// 409エラーを作成
+function trashError(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+// 404エラーを作成
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+// レコードをゴミ箱に移動する（参照の確認は呼び出し側で行う）
+// 移動したレコードを返す。見つからない（すでにゴミ箱にある）場合は null
+exports.moveToTrash = (Model, id, user) =>
+  Model.findOneAndUpdate(
+    { _id: id },
+    { deleted_at: new Date(), deleted_by: user ? user._id : null },
+    { new: true }
+  ).exec();
+
+// 蔵書をゴミ箱に移動する。貸出中・取り置き中・移送中の蔵書は移動できない
+exports.moveCopyToTrash = async (id, user) => {
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: id, status: { $nin: ["Loaned", "Reserved", "InTransit"] } },
+    { deleted_at: new Date(), deleted_by: user ? user._id : null },
+    { new: true }
+  ).exec();
+
+  if (bookInstance === null && (await BookInstance.exists({ _id: id }))) {
+    throw trashError(t("trash.copy_in_use"));
+  }
+  return bookInstance;
+};
+
+// ゴミ箱の中身をモデルごとに、削除日時の新しい順で返す
+exports.list = async () => {
+  const types = Object.keys(TRASH_MODELS);
+  const results = await Promise.all(
+    types.map((type) => {
+      const query = TRASH_MODELS[type].model
+        .find({ deleted_at: { $ne: null } })
+        .sort({ deleted_at: -1, _id: -1 })
+        .populate("deleted_by");
+      if (type === "book") {
+        query.populate({ path: "author", options: WITH_DELETED });
+      }
+      if (type === "bookinstance") {
+        query.populate({ path: "book", options: WITH_DELETED });
+        query.populate({ path: "branch", options: WITH_DELETED });
+      }
+      return query.exec();
+    })
+  );
+  return types.map((type, index) => ({
+    type: type,
+    label: TRASH_MODELS[type].label,
+    records: results[index],
+  }));
+};
+
+// ゴミ箱にあるレコードを1件取得
+async function findTrashed(type, id) {
+  const entry = Object.hasOwn(TRASH_MODELS, type) ? TRASH_MODELS[type] : null;
+  const doc = entry
+    ? await entry.model.findOne({ _id: id, deleted_at: { $ne: null } }).exec()
+    : null;
+  if (doc === null) {
+    throw notFound(t("trash.not_found"));
+  }
+  return doc;
+}
+
+// 復元を妨げる理由（参照先がゴミ箱にある）を返す。なければ null
+async function restoreBlocker(type, doc) {
+  if (type === "book") {
+    const [author, trashedGenres] = await Promise.all([
+      Author.exists({ _id: doc.author, deleted_at: { $ne: null } }),
+      Genre.countDocuments({
+        _id: { $in: doc.genre },
+        deleted_at: { $ne: null },
+      }),
+    ]);
+    if (author) {
+      return t("trash.restore_author_first");
+    }
+    if (trashedGenres > 0) {
+      return t("trash.restore_genre_first");
+    }
+  }
+  if (type === "bookinstance") {
+    const [book, branch] = await Promise.all([
+      Book.exists({ _id: doc.book, deleted_at: { $ne: null } }),
+      Branch.exists({ _id: doc.branch, deleted_at: { $ne: null } }),
+    ]);
+    if (book) {
+      return t("trash.restore_book_first");
+    }
+    if (branch) {
+      return t("trash.restore_branch_first");
+    }
+  }
+  return null;
+}
+
+// 完全削除を妨げる理由（ゴミ箱のものも含め、参照しているレコードがある）を返す。なければ null
+async function purgeBlocker(type, doc) {
+  if (type === "author") {
+    if (await Book.exists({ author: doc._id }).setOptions(WITH_DELETED)) {
+      return t("trash.author_has_books");
+    }
+  }
+  if (type === "genre") {
+    if (await Book.exists({ genre: doc._id }).setOptions(WITH_DELETED)) {
+      return t("trash.genre_has_books");
+    }
+  }
+  if (type === "book") {
+    if (await BookInstance.exists({ book: doc._id }).setOptions(WITH_DELETED)) {
+      return t("trash.book_has_copies");
+    }
+  }
+  if (type === "branch") {
+    if (
+      await BookInstance.exists({ branch: doc._id }).setOptions(WITH_DELETED)
+    ) {
+      return t("trash.branch_has_copies");
+    }
+  }
+  return null;
+}
+
+// ゴミ箱から元に戻す。戻したレコードを返す
+exports.restore = async (type, id) => {
+  const doc = await findTrashed(type, id);
+  const blocker = await restoreBlocker(type, doc);
+  if (blocker) {
+    throw trashError(blocker);
+  }
+  return TRASH_MODELS[type].model
+    .findOneAndUpdate(
+      { _id: doc._id, deleted_at: { $ne: null } },
+      { $unset: { deleted_at: 1, deleted_by: 1 } },
+      { new: true }
+    )
+    .exec();
+};
+
+// ゴミ箱から完全に削除する。削除したレコードを返す
+// 本の表紙画像はここで削除する（ゴミ箱にある間は復元に備えて残す）
+exports.purge = async (type, id) => {
+  const doc = await findTrashed(type, id);
+  const blocker = await purgeBlocker(type, doc);
+  if (blocker) {
+    throw trashError(blocker);
+  }
+  const purged = await TRASH_MODELS[type].model
+    .findOneAndDelete({ _id: doc._id, deleted_at: { $ne: null } })
+    .exec();
+  if (purged && purged.cover) {
+    await covers.remove(purged.cover);
+  }
+  return purged;
+};
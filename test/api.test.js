@@ -0,0 +1,33 @@
+// JSON API のエラー（本文の解析の失敗も JSON で返す）
+const request = require("supertest");
+const { app, useDatabase, t } = require("./helpers");
+
+useDatabase();
+
+describe("JSON API errors", () => {
+  test("respond 400 with JSON for a malformed body", async () => {
+    const res = await request(app)
+      .post("/api/v1/books")
+      .set("Content-Type", "application/json")
+      .send('{"title":')
+      .expect(400)
+      .expect("Content-Type", /json/);
+    expect(res.body.error.status).toBe(400);
+    expect(res.body.error.message).toBe(t("error.invalid_body"));
+  });
+
+  test("respond 413 with JSON for a body that is too large", async () => {
+    const res = await request(app)
+      .post("/api/v1/books")
+      .set("Content-Type", "application/json")
+      .send(JSON.stringify({ summary: "x".repeat(200 * 1024) }))
+      .expect(413)
+      .expect("Content-Type", /json/);
+    expect(res.body.error.message).toBe(t("error.too_large"));
+  });
+
+  test("translate the message for an unknown id", async () => {
+    const res = await request(app).get("/api/v1/books/nope").expect(404);
+    expect(res.body.error.message).toBe(t("error.not_found"));
+  });
+});
@@ -0,0 +1,315 @@
+const Author = require("../../models/author");
+const Book = require("../../models/book");
+const BookInstance = require("../../models/bookinstance");
+const {
+  useDatabase,
+  login,
+  t,
+  findWithDeleted,
+  createAuthor,
+  createBook,
+  createCopy,
+  createLoanedCopy,
+} = require("../helpers");
+
+useDatabase();
+
+// 存在しない著者のid
+const MISSING_ID = "000000000000000000000000";
+
+describe("GET /catalog/authors", () => {
+  test("lists authors", async () => {
+    await createAuthor({ first_name: "Jane", family_name: "Austen" });
+    const agent = await login();
+    const res = await agent.get("/catalog/authors").expect(200);
+    expect(res.text).toContain("Jane Austen");
+  });
+
+  test("filters by living or deceased", async () => {
+    await createAuthor({ first_name: "Jane", family_name: "Austen" });
+    await createAuthor({
+      first_name: "Frank",
+      family_name: "Herbert",
+      date_of_death: new Date(1986, 1, 11),
+    });
+    const agent = await login();
+    const res = await agent.get("/catalog/authors?life=deceased").expect(200);
+    expect(res.text).toContain("Frank Herbert");
+    expect(res.text).not.toContain("Jane Austen");
+  });
+});
+
+describe("GET /catalog/author/:id", () => {
+  test("shows the author and their books", async () => {
+    const book = await createBook({ title: "Dune" });
+    const agent = await login();
+    const res = await agent.get("/catalog/author/" + book.author).expect(200);
+    expect(res.text).toContain("Frank Herbert");
+    expect(res.text).toContain("Dune");
+  });
+
+  test("responds 404 for a missing author", async () => {
+    const agent = await login();
+    await agent.get("/catalog/author/" + MISSING_ID).expect(404);
+  });
+});
+
+describe("GET /catalog/author/create", () => {
+  test("forbids patrons", async () => {
+    const agent = await login("patron");
+    await agent.get("/catalog/author/create").expect(403);
+  });
+
+  test("shows the form to librarians", async () => {
+    const agent = await login("librarian");
+    await agent.get("/catalog/author/create").expect(200);
+  });
+});
+
+describe("POST /catalog/author/create", () => {
+  test("creates the author with the reading in katakana", async () => {
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/author/create")
+      .type("form")
+      .send({
+        first_name: "春樹",
+        family_name: "村上",
+        first_name_kana: "はるき",
+        family_name_kana: "むらかみ",
+        name_order: "japanese",
+        date_of_birth: "1949-01-12",
+      })
+      .expect(302);
+
+    const author = await Author.findOne({ family_name: "村上" }).exec();
+    expect(res.headers.location).toBe(author.url);
+    expect(author.name).toBe("村上 春樹");
+    expect(author.name_kana).toBe("ムラカミ ハルキ");
+    expect(author.date_of_birth_yyyy_mm_dd).toBe("1949-01-12");
+  });
+
+  test("shows validation errors and saves nothing", async () => {
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/author/create")
+      .type("form")
+      .send({ first_name: "123", family_name: "", date_of_birth: "someday" })
+      .expect(200);
+
+    expect(res.text).toContain(
+      t("validation.name_pattern", {
+        label: t("author.fields.first_name"),
+      })
+    );
+    expect(res.text).toContain(
+      t("validation.name_required", {
+        label: t("author.fields.family_name"),
+      })
+    );
+    expect(res.text).toContain(t("validation.date_of_birth_invalid"));
+    expect(await Author.countDocuments()).toBe(0);
+  });
+});
+
+describe("GET /catalog/author/:id/update", () => {
+  test("shows the form with the author", async () => {
+    const author = await createAuthor();
+    const agent = await login("librarian");
+    const res = await agent.get(author.url + "/update").expect(200);
+    expect(res.text).toContain("Herbert");
+  });
+
+  test("responds 404 for a missing author", async () => {
+    const agent = await login("librarian");
+    await agent.get("/catalog/author/" + MISSING_ID + "/update").expect(404);
+  });
+});
+
+describe("POST /catalog/author/:id/update", () => {
+  const fields = (author, changes) => ({
+    first_name: author.first_name,
+    family_name: author.family_name,
+    version: author.__v,
+    ...changes,
+  });
+
+  test("updates the author", async () => {
+    const author = await createAuthor();
+    const agent = await login("librarian");
+    await agent
+      .post(author.url + "/update")
+      .type("form")
+      .send(fields(author, { first_name: "Brian" }))
+      .expect(302)
+      .expect("Location", author.url);
+
+    expect((await Author.findById(author._id).exec()).name).toBe(
+      "Brian Herbert"
+    );
+  });
+
+  test("shows validation errors and keeps the author", async () => {
+    const author = await createAuthor();
+    const agent = await login("librarian");
+    await agent
+      .post(author.url + "/update")
+      .type("form")
+      .send(fields(author, { first_name: "" }))
+      .expect(200);
+
+    expect((await Author.findById(author._id).exec()).first_name).toBe("Frank");
+  });
+
+  test("responds 409 when someone else changed the author first", async () => {
+    const author = await createAuthor();
+    await Author.updateOne(
+      { _id: author._id },
+      { first_name: "Changed", family_name: "Herbert" }
+    ).exec();
+
+    const agent = await login("librarian");
+    await agent
+      .post(author.url + "/update")
+      .type("form")
+      .send(fields(author, { first_name: "Mine" }))
+      .expect(409);
+
+    expect((await Author.findById(author._id).exec()).first_name).toBe(
+      "Changed"
+    );
+  });
+
+  test("rejects a missing version", async () => {
+    const author = await createAuthor();
+    const agent = await login("librarian");
+    const res = await agent
+      .post(author.url + "/update")
+      .type("form")
+      .send(fields(author, { version: "" }))
+      .expect(200);
+    expect(res.text).toContain(t("validation.version_missing"));
+  });
+
+  test("responds 404 for a missing author", async () => {
+    const author = await createAuthor();
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/author/" + MISSING_ID + "/update")
+      .type("form")
+      .send(fields(author, {}))
+      .expect(404);
+  });
+});
+
+describe("GET /catalog/author/:id/delete", () => {
+  test("shows the books and copies that depend on the author", async () => {
+    const copy = await createCopy();
+    const book = await Book.findById(copy.book).exec();
+    const agent = await login("librarian");
+    const res = await agent
+      .get("/catalog/author/" + book.author + "/delete")
+      .expect(200);
+    expect(res.text).toContain(t("author.delete_has_books"));
+    expect(res.text).toContain(book.url);
+    expect(res.text).toContain(copy.url);
+  });
+
+  test("redirects to the author list for a missing author", async () => {
+    const agent = await login("librarian");
+    await agent
+      .get("/catalog/author/" + MISSING_ID + "/delete")
+      .expect(302)
+      .expect("Location", "/catalog/authors");
+  });
+});
+
+describe("POST /catalog/author/:id/delete", () => {
+  test("moves an author without books to the trash", async () => {
+    const author = await createAuthor();
+    const agent = await login("librarian");
+    await agent
+      .post(author.url + "/delete")
+      .type("form")
+      .send({ authorid: author.id })
+      .expect(302)
+      .expect("Location", "/catalog/authors");
+
+    expect(await Author.findById(author._id).exec()).toBeNull();
+    expect(await findWithDeleted(Author, author._id)).not.toBeNull();
+  });
+
+  test("keeps an author with books unless an option is chosen", async () => {
+    const book = await createBook();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/author/" + book.author + "/delete")
+      .type("form")
+      .send({ authorid: book.author.toString() })
+      .expect(409);
+
+    expect(res.text).toContain(t("cascade.choose_action"));
+    expect(await Author.findById(book.author).exec()).not.toBeNull();
+  });
+
+  test("moves the books to another author", async () => {
+    const [book, target] = await Promise.all([
+      createBook(),
+      createAuthor({ first_name: "Brian" }),
+    ]);
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/author/" + book.author + "/delete")
+      .type("form")
+      .send({ action: "reassign", target: target.id })
+      .expect(302)
+      .expect("Location", target.url);
+
+    expect(await Author.findById(book.author).exec()).toBeNull();
+    expect((await Book.findById(book._id).exec()).author).toEqual(target._id);
+  });
+
+  test("asks for an author to move the books to", async () => {
+    const book = await createBook();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/author/" + book.author + "/delete")
+      .type("form")
+      .send({ action: "reassign", target: "" })
+      .expect(409);
+
+    expect(res.text).toContain(t("cascade.target_invalid"));
+    expect(await Author.findById(book.author).exec()).not.toBeNull();
+  });
+
+  test("moves the author, books and copies to the trash", async () => {
+    const copy = await createCopy();
+    const book = await Book.findById(copy.book).exec();
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/author/" + book.author + "/delete")
+      .type("form")
+      .send({ action: "cascade" })
+      .expect(302)
+      .expect("Location", "/catalog/authors");
+
+    expect(await Author.findById(book.author).exec()).toBeNull();
+    expect(await Book.findById(book._id).exec()).toBeNull();
+    expect(await BookInstance.findById(copy._id).exec()).toBeNull();
+  });
+
+  test("moves nothing while a copy is on loan", async () => {
+    const copy = await createLoanedCopy();
+    const book = await Book.findById(copy.book).exec();
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/author/" + book.author + "/delete")
+      .type("form")
+      .send({ action: "cascade" })
+      .expect(409);
+
+    expect(await Author.findById(book.author).exec()).not.toBeNull();
+    expect(await Book.findById(book._id).exec()).not.toBeNull();
+    expect(await BookInstance.findById(copy._id).exec()).not.toBeNull();
+  });
+});
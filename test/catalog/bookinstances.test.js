@@ -0,0 +1,280 @@
+const Book = require("../../models/book");
+const BookInstance = require("../../models/bookinstance");
+const {
+  useDatabase,
+  login,
+  t,
+  findWithDeleted,
+  createBook,
+  createBranch,
+  createCopy,
+  createLoanedCopy,
+} = require("../helpers");
+
+useDatabase();
+
+// 存在しない蔵書のid
+const MISSING_ID = "000000000000000000000000";
+
+describe("GET /catalog/bookinstances", () => {
+  test("lists copies", async () => {
+    await createCopy({ imprint: "Chilton, 1965" });
+    const agent = await login();
+    const res = await agent.get("/catalog/bookinstances").expect(200);
+    expect(res.text).toContain("Chilton, 1965");
+  });
+
+  test("filters by status", async () => {
+    await createCopy({ imprint: "On the shelf" });
+    await createLoanedCopy({ imprint: "Out on loan" });
+    const agent = await login();
+    const res = await agent
+      .get("/catalog/bookinstances?status=Loaned")
+      .expect(200);
+    expect(res.text).toContain("Out on loan");
+    expect(res.text).not.toContain("On the shelf");
+  });
+});
+
+describe("GET /catalog/bookinstance/:id", () => {
+  test("shows the copy", async () => {
+    const copy = await createCopy();
+    const agent = await login();
+    const res = await agent.get(copy.url).expect(200);
+    expect(res.text).toContain("Dune");
+    expect(res.text).toContain(copy.accession);
+  });
+
+  test("responds 404 for a missing copy", async () => {
+    const agent = await login();
+    await agent.get("/catalog/bookinstance/" + MISSING_ID).expect(404);
+  });
+});
+
+describe("GET /catalog/bookinstance/create", () => {
+  test("forbids patrons", async () => {
+    const agent = await login("patron");
+    await agent.get("/catalog/bookinstance/create").expect(403);
+  });
+
+  test("shows the form with books and branches", async () => {
+    await createBook({ title: "Dune" });
+    await createBranch({ name: "Central" });
+    const agent = await login("librarian");
+    const res = await agent.get("/catalog/bookinstance/create").expect(200);
+    expect(res.text).toContain("Dune");
+    expect(res.text).toContain("Central");
+  });
+});
+
+describe("POST /catalog/bookinstance/create", () => {
+  const fields = (book, branch, changes) => ({
+    book: book.id,
+    imprint: "Chilton, 1965",
+    branch: branch.id,
+    shelf: "SF-1",
+    status: "Available",
+    ...changes,
+  });
+
+  test("creates the copy with a barcode and accession number", async () => {
+    const [book, branch] = await Promise.all([createBook(), createBranch()]);
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/bookinstance/create")
+      .type("form")
+      .send(fields(book, branch))
+      .expect(302);
+
+    const copy = await BookInstance.findOne({ book: book._id }).exec();
+    expect(res.headers.location).toBe(copy.url);
+    expect(copy.barcode).toMatch(/^\d{12}$/);
+    expect(copy.accession_number).toBe(1);
+    expect(copy.branch).toEqual(branch._id);
+  });
+
+  test("keeps a barcode that was entered", async () => {
+    const [book, branch] = await Promise.all([createBook(), createBranch()]);
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/bookinstance/create")
+      .type("form")
+      .send(fields(book, branch, { barcode: " lib-0001 " }))
+      .expect(302);
+
+    expect((await BookInstance.findOne().exec()).barcode).toBe("LIB-0001");
+  });
+
+  test("rejects a barcode used by a copy in the trash", async () => {
+    const copy = await createCopy({
+      barcode: "LIB-0001",
+      deleted_at: new Date(),
+    });
+    const [book, branch] = await Promise.all([
+      Book.findById(copy.book).exec(),
+      createBranch(),
+    ]);
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/bookinstance/create")
+      .type("form")
+      .send(fields(book, branch, { barcode: "LIB-0001" }))
+      .expect(200);
+
+    expect(res.text).toContain(t("validation.barcode_taken"));
+    expect(await BookInstance.countDocuments({ book: book._id })).toBe(0);
+  });
+
+  test("shows validation errors and saves nothing", async () => {
+    const book = await createBook();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/bookinstance/create")
+      .type("form")
+      .send({
+        book: book.id,
+        imprint: "Chilton, 1965",
+        branch: "nowhere",
+        shelf: "SF-1",
+        status: "Loaned",
+      })
+      .expect(200);
+
+    expect(res.text).toContain(t("validation.branch_required"));
+    expect(res.text).toContain(t("validation.borrower_name_required"));
+    expect(await BookInstance.countDocuments()).toBe(0);
+  });
+});
+
+describe("GET /catalog/bookinstance/:id/update", () => {
+  test("shows the form with the copy", async () => {
+    const copy = await createCopy({ imprint: "Chilton, 1965" });
+    const agent = await login("librarian");
+    const res = await agent.get(copy.url + "/update").expect(200);
+    expect(res.text).toContain("Chilton, 1965");
+  });
+
+  test("responds 404 for a missing copy", async () => {
+    const agent = await login("librarian");
+    await agent
+      .get("/catalog/bookinstance/" + MISSING_ID + "/update")
+      .expect(404);
+  });
+
+  test("responds 409 for a copy in transit", async () => {
+    const copy = await createCopy({ status: "InTransit" });
+    const agent = await login("librarian");
+    await agent.get(copy.url + "/update").expect(409);
+  });
+});
+
+describe("POST /catalog/bookinstance/:id/update", () => {
+  const fields = (copy, changes) => ({
+    book: copy.book.toString(),
+    imprint: copy.imprint,
+    branch: copy.branch.toString(),
+    shelf: copy.shelf,
+    status: copy.status,
+    version: copy.__v,
+    ...changes,
+  });
+
+  test("updates the copy and keeps its barcode", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/update")
+      .type("form")
+      .send(fields(copy, { shelf: "SF-2" }))
+      .expect(302)
+      .expect("Location", copy.url);
+
+    const updated = await BookInstance.findById(copy._id).exec();
+    expect(updated.shelf).toBe("SF-2");
+    expect(updated.barcode).toBe(copy.barcode);
+  });
+
+  test("shows validation errors and keeps the copy", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .post(copy.url + "/update")
+      .type("form")
+      .send(fields(copy, { shelf: "" }))
+      .expect(200);
+
+    expect(res.text).toContain(t("validation.shelf_required"));
+    expect((await BookInstance.findById(copy._id).exec()).shelf).toBe("SF-1");
+  });
+
+  test("responds 409 when the copy changed after the form was opened", async () => {
+    const copy = await createCopy();
+    await BookInstance.updateOne({ _id: copy._id }, { shelf: "SF-9" }).exec();
+
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/update")
+      .type("form")
+      .send(fields(copy, { shelf: "SF-2" }))
+      .expect(409);
+
+    expect((await BookInstance.findById(copy._id).exec()).shelf).toBe("SF-9");
+  });
+
+  test("responds 404 for a missing copy", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/bookinstance/" + MISSING_ID + "/update")
+      .type("form")
+      .send(fields(copy, {}))
+      .expect(404);
+  });
+});
+
+describe("GET /catalog/bookinstance/:id/delete", () => {
+  test("shows the copy to delete", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent.get(copy.url + "/delete").expect(200);
+    expect(res.text).toContain("Dune");
+  });
+
+  test("redirects to the copy list for a missing copy", async () => {
+    const agent = await login("librarian");
+    await agent
+      .get("/catalog/bookinstance/" + MISSING_ID + "/delete")
+      .expect(302)
+      .expect("Location", "/catalog/bookinstances");
+  });
+});
+
+describe("POST /catalog/bookinstance/:id/delete", () => {
+  test("moves the copy in the URL to the trash", async () => {
+    const [copy, other] = await Promise.all([createCopy(), createCopy()]);
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/delete")
+      .type("form")
+      .send({ id: other.id })
+      .expect(302)
+      .expect("Location", "/catalog/bookinstances");
+
+    expect(await BookInstance.findById(copy._id).exec()).toBeNull();
+    expect(await findWithDeleted(BookInstance, copy._id)).not.toBeNull();
+    expect(await BookInstance.findById(other._id).exec()).not.toBeNull();
+  });
+
+  test("keeps a copy that is on loan", async () => {
+    const copy = await createLoanedCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .post(copy.url + "/delete")
+      .type("form")
+      .send({})
+      .expect(409);
+
+    expect(res.text).toContain(t("trash.copy_in_use"));
+    expect(await BookInstance.findById(copy._id).exec()).not.toBeNull();
+  });
+});
@@ -0,0 +1,435 @@
+const Book = require("../../models/book");
+const BookInstance = require("../../models/bookinstance");
+const {
+  useDatabase,
+  login,
+  t,
+  findWithDeleted,
+  createAuthor,
+  createGenre,
+  createBook,
+  createCopy,
+  createLoanedCopy,
+  isbn,
+} = require("../helpers");
+
+useDatabase();
+
+// 存在しない本のid
+const MISSING_ID = "000000000000000000000000";
+
+describe("GET /catalog", () => {
+  test("shows the catalog counts", async () => {
+    await createCopy();
+    const agent = await login();
+    const res = await agent.get("/catalog").expect(200);
+    expect(res.text).toContain(t("home.title"));
+  });
+});
+
+describe("GET /catalog/books", () => {
+  test("lists books", async () => {
+    await createBook({ title: "Dune" });
+    const agent = await login();
+    const res = await agent.get("/catalog/books").expect(200);
+    expect(res.text).toContain("Dune");
+  });
+
+  test("uses the punctuation of the chosen language", async () => {
+    await createBook({ title: "Dune" });
+    const agent = await login();
+    const res = await agent
+      .get("/catalog/books")
+      .set("Cookie", "locale=en")
+      .expect(200);
+    expect(res.text).toContain("</a> (Frank Herbert)");
+    expect(res.text).not.toContain("（");
+  });
+
+  test("filters by genre", async () => {
+    const genre = await createGenre();
+    await createBook({ title: "Dune", genre: [genre._id] });
+    await createBook({ title: "Emma" });
+    const agent = await login();
+    const res = await agent
+      .get("/catalog/books?genre=" + genre._id)
+      .expect(200);
+    expect(res.text).toContain("Dune");
+    expect(res.text).not.toContain("Emma");
+  });
+});
+
+describe("GET /catalog/book/:id", () => {
+  test("shows the book and its copies", async () => {
+    const copy = await createCopy();
+    const agent = await login();
+    const res = await agent.get("/catalog/book/" + copy.book).expect(200);
+    expect(res.text).toContain("Dune");
+    expect(res.text).toContain(copy.url);
+  });
+
+  test("responds 404 for a missing book", async () => {
+    const agent = await login();
+    await agent.get("/catalog/book/" + MISSING_ID).expect(404);
+  });
+
+  test("responds 404 for a book in the trash", async () => {
+    const book = await createBook({ deleted_at: new Date() });
+    const agent = await login();
+    await agent.get(book.url).expect(404);
+  });
+});
+
+describe("GET /catalog/book/:id/marcxml", () => {
+  test("downloads the book as MARCXML", async () => {
+    const book = await createBook();
+    const agent = await login();
+    const res = await agent
+      .get(book.url + "/marcxml")
+      .expect(200)
+      .expect("Content-Type", /application\/marcxml\+xml/);
+    expect(res.text).toContain(book.isbn);
+  });
+
+  test("responds 404 for a missing book", async () => {
+    const agent = await login();
+    await agent.get("/catalog/book/" + MISSING_ID + "/marcxml").expect(404);
+  });
+});
+
+describe("GET /catalog/book/create", () => {
+  test("sends visitors to the login page", async () => {
+    const agent = await login();
+    await agent
+      .get("/catalog/book/create")
+      .expect(302)
+      .expect("Location", /^\/users\/login\?next=/);
+  });
+
+  test("forbids patrons", async () => {
+    const agent = await login("patron");
+    await agent.get("/catalog/book/create").expect(403);
+  });
+
+  test("shows the form to librarians", async () => {
+    await createAuthor();
+    const agent = await login("librarian");
+    const res = await agent.get("/catalog/book/create").expect(200);
+    expect(res.text).toContain("Frank Herbert");
+  });
+});
+
+describe("POST /catalog/book/create", () => {
+  test("creates the book with a normalised ISBN", async () => {
+    const [author, genre] = await Promise.all([createAuthor(), createGenre()]);
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/book/create")
+      .type("form")
+      .send({
+        title: "Dune",
+        author: author.id,
+        summary: "A desert planet.",
+        isbn: "0-306-40615-2",
+        genre: genre.id,
+      })
+      .expect(302);
+
+    const book = await Book.findOne({ title: "Dune" }).exec();
+    expect(res.headers.location).toBe(book.url);
+    expect(book.isbn).toBe("9780306406157");
+    expect(book.author).toEqual(author._id);
+    expect(book.genre).toEqual([genre._id]);
+  });
+
+  test("shows validation errors and saves nothing", async () => {
+    const author = await createAuthor();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/book/create")
+      .type("form")
+      .send({ title: "", author: author.id, summary: "S", isbn: "12345" })
+      .expect(200);
+
+    expect(res.text).toContain(t("validation.title_required"));
+    expect(res.text).toContain(t("validation.isbn_invalid"));
+    expect(await Book.countDocuments()).toBe(0);
+  });
+
+  test("rejects an ISBN that is already in the catalog", async () => {
+    const existing = await createBook();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/book/create")
+      .type("form")
+      .send({
+        title: "Another",
+        author: existing.author.toString(),
+        summary: "S",
+        isbn: existing.isbn,
+      })
+      .expect(200);
+
+    expect(res.text).toContain(t("book.duplicate"));
+    expect(await Book.countDocuments()).toBe(1);
+  });
+});
+
+describe("GET /catalog/book/:id/update", () => {
+  test("shows the form with the book", async () => {
+    const book = await createBook({ title: "Dune" });
+    const agent = await login("librarian");
+    const res = await agent.get(book.url + "/update").expect(200);
+    expect(res.text).toContain("Dune");
+  });
+
+  test("responds 404 for a missing book", async () => {
+    const agent = await login("librarian");
+    await agent.get("/catalog/book/" + MISSING_ID + "/update").expect(404);
+  });
+});
+
+describe("POST /catalog/book/:id/update", () => {
+  const fields = (book, changes) => ({
+    title: book.title,
+    author: book.author.toString(),
+    summary: book.summary,
+    isbn: book.isbn,
+    version: book.__v,
+    ...changes,
+  });
+
+  test("updates the book", async () => {
+    const book = await createBook();
+    const agent = await login("librarian");
+    await agent
+      .post(book.url + "/update")
+      .type("form")
+      .send(fields(book, { title: "Dune Messiah" }))
+      .expect(302)
+      .expect("Location", book.url);
+
+    const updated = await Book.findById(book._id).exec();
+    expect(updated.title).toBe("Dune Messiah");
+    expect(updated.__v).toBe(book.__v + 1);
+  });
+
+  test("shows validation errors and keeps the book", async () => {
+    const book = await createBook();
+    const agent = await login("librarian");
+    const res = await agent
+      .post(book.url + "/update")
+      .type("form")
+      .send(fields(book, { summary: "" }))
+      .expect(200);
+
+    expect(res.text).toContain(t("validation.summary_required"));
+    expect((await Book.findById(book._id).exec()).summary).toBe(book.summary);
+  });
+
+  test("responds 409 when someone else changed the book first", async () => {
+    const book = await createBook();
+    await Book.updateOne({ _id: book._id }, { title: "Changed" }).exec();
+
+    const agent = await login("librarian");
+    await agent
+      .post(book.url + "/update")
+      .type("form")
+      .send(fields(book, { title: "Mine" }))
+      .expect(409);
+
+    expect((await Book.findById(book._id).exec()).title).toBe("Changed");
+  });
+
+  test("responds 404 for a missing book", async () => {
+    const book = await createBook();
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/book/" + MISSING_ID + "/update")
+      .type("form")
+      .send(fields(book, { isbn: "9780306406157" }))
+      .expect(404);
+  });
+});
+
+describe("GET /catalog/book/:id/delete", () => {
+  test("shows the copies that depend on the book", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .get("/catalog/book/" + copy.book + "/delete")
+      .expect(200);
+    expect(res.text).toContain(t("book.delete_has_copies"));
+    expect(res.text).toContain(copy.accession);
+  });
+
+  test("redirects to the book list for a missing book", async () => {
+    const agent = await login("librarian");
+    await agent
+      .get("/catalog/book/" + MISSING_ID + "/delete")
+      .expect(302)
+      .expect("Location", "/catalog/books");
+  });
+});
+
+describe("POST /catalog/book/:id/delete", () => {
+  test("moves a book without copies to the trash", async () => {
+    const book = await createBook();
+    const agent = await login("librarian");
+    await agent
+      .post(book.url + "/delete")
+      .type("form")
+      .send({ id: book.id })
+      .expect(302)
+      .expect("Location", "/catalog/books");
+
+    expect(await Book.findById(book._id).exec()).toBeNull();
+    expect((await findWithDeleted(Book, book._id)).deleted_at).toBeInstanceOf(
+      Date
+    );
+  });
+
+  test("deletes the book in the URL, not the id in the form", async () => {
+    const [book, other] = await Promise.all([createBook(), createBook()]);
+    const agent = await login("librarian");
+    await agent
+      .post(book.url + "/delete")
+      .type("form")
+      .send({ id: other.id })
+      .expect(302);
+
+    expect(await Book.findById(book._id).exec()).toBeNull();
+    expect(await Book.findById(other._id).exec()).not.toBeNull();
+  });
+
+  test("redirects once for a missing book", async () => {
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/book/" + MISSING_ID + "/delete")
+      .type("form")
+      .send({ id: MISSING_ID })
+      .expect(302)
+      .expect("Location", "/catalog/books");
+  });
+
+  test("keeps a book with copies unless an option is chosen", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/book/" + copy.book + "/delete")
+      .type("form")
+      .send({ id: copy.book.toString() })
+      .expect(409);
+
+    expect(res.text).toContain(t("cascade.choose_action"));
+    expect(await Book.findById(copy.book).exec()).not.toBeNull();
+  });
+
+  test("moves the book and its copies to the trash", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/book/" + copy.book + "/delete")
+      .type("form")
+      .send({ action: "cascade" })
+      .expect(302)
+      .expect("Location", "/catalog/books");
+
+    expect(await Book.findById(copy.book).exec()).toBeNull();
+    expect(await BookInstance.findById(copy._id).exec()).toBeNull();
+  });
+
+  test("moves nothing while a copy is on loan", async () => {
+    const copy = await createCopy();
+    await createLoanedCopy({ book: copy.book, branch: copy.branch });
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/book/" + copy.book + "/delete")
+      .type("form")
+      .send({ action: "cascade" })
+      .expect(409);
+
+    expect(res.text).toContain(t("cascade.copies_in_use"));
+    expect(await Book.findById(copy.book).exec()).not.toBeNull();
+    // 利用可能な蔵書の移動もトランザクションごと取り消される
+    expect(await BookInstance.countDocuments({ book: copy.book })).toBe(2);
+  });
+
+  test("moves the copies to another book", async () => {
+    const [copy, target] = await Promise.all([createCopy(), createBook()]);
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/book/" + copy.book + "/delete")
+      .type("form")
+      .send({ action: "reassign", target: target.id })
+      .expect(302)
+      .expect("Location", target.url);
+
+    expect(await Book.findById(copy.book).exec()).toBeNull();
+    expect((await BookInstance.findById(copy._id).exec()).book).toEqual(
+      target._id
+    );
+  });
+
+  test("asks for another book to move the copies to", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/book/" + copy.book + "/delete")
+      .type("form")
+      .send({ action: "reassign", target: copy.book.toString() })
+      .expect(409);
+
+    expect(res.text).toContain(t("cascade.target_invalid"));
+    expect(await Book.findById(copy.book).exec()).not.toBeNull();
+  });
+});
+
+describe("Book.normalizeIsbns", () => {
+  // 正規化する前の形式の本（保存時の変換と検証を通さずに書き込む）
+  const insertLegacyBooks = async (isbns) => {
+    const author = await createAuthor();
+    const { insertedIds } = await Book.collection.insertMany(
+      isbns.map((value, i) => ({
+        title: `Legacy ${i}`,
+        summary: "Saved before ISBNs were normalised",
+        author: author._id,
+        isbn: value,
+        genre: [],
+      }))
+    );
+    return Object.values(insertedIds);
+  };
+
+  test("rewrites ISBNs as bare ISBN-13s and reports the rest", async () => {
+    const hyphenated = isbn(1).replace(/^(\d{3})(\d)/, "$1-$2-");
+    const [converted, tenDigit, unreadable, first, second] =
+      await insertLegacyBooks([
+        hyphenated,
+        "0-306-40615-2",
+        "ISBN111111",
+        isbn(2),
+        "978-" + isbn(2).slice(3),
+      ]);
+
+    const result = await Book.normalizeIsbns();
+
+    expect(result.normalized).toBe(2);
+    const isbnOf = async (id) =>
+      (await Book.collection.findOne({ _id: id })).isbn;
+    expect(await isbnOf(converted)).toBe(isbn(1));
+    expect(await isbnOf(tenDigit)).toBe("9780306406157");
+    expect(await isbnOf(unreadable)).toBe("ISBN111111");
+    expect(await isbnOf(second)).toBe("978-" + isbn(2).slice(3));
+
+    expect(result.invalid.map((book) => book._id)).toEqual([unreadable]);
+    expect(result.duplicates).toHaveLength(1);
+    expect(result.duplicates[0].isbn).toBe(isbn(2));
+    expect(result.duplicates[0].books.map((book) => book._id)).toEqual([
+      first,
+      second,
+    ]);
+
+    expect((await Book.normalizeIsbns()).normalized).toBe(0);
+  });
+});
@@ -0,0 +1,199 @@
+const Branch = require("../../models/branch");
+const {
+  useDatabase,
+  login,
+  t,
+  findWithDeleted,
+  createBranch,
+  createCopy,
+} = require("../helpers");
+
+useDatabase();
+
+// 存在しない分館のid
+const MISSING_ID = "000000000000000000000000";
+
+describe("GET /catalog/branches", () => {
+  test("lists branches", async () => {
+    await createBranch({ name: "Central" });
+    const agent = await login();
+    const res = await agent.get("/catalog/branches").expect(200);
+    expect(res.text).toContain("Central");
+  });
+});
+
+describe("GET /catalog/branch/:id", () => {
+  test("shows the branch and its copies", async () => {
+    const copy = await createCopy();
+    const agent = await login();
+    const res = await agent.get("/catalog/branch/" + copy.branch).expect(200);
+    expect(res.text).toContain("Dune");
+  });
+
+  test("responds 404 for a missing branch", async () => {
+    const agent = await login();
+    await agent.get("/catalog/branch/" + MISSING_ID).expect(404);
+  });
+});
+
+describe("GET /catalog/branch/create", () => {
+  test("forbids patrons", async () => {
+    const agent = await login("patron");
+    await agent.get("/catalog/branch/create").expect(403);
+  });
+
+  test("shows the form to librarians", async () => {
+    const agent = await login("librarian");
+    await agent.get("/catalog/branch/create").expect(200);
+  });
+});
+
+describe("POST /catalog/branch/create", () => {
+  test("creates the branch", async () => {
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/branch/create")
+      .type("form")
+      .send({ name: "Central", address: "1 Main Street" })
+      .expect(302);
+
+    const branch = await Branch.findOne({ name: "Central" }).exec();
+    expect(res.headers.location).toBe(branch.url);
+    expect(branch.address).toBe("1 Main Street");
+  });
+
+  test("goes to the existing branch with the same name", async () => {
+    const branch = await createBranch({ name: "Central" });
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/branch/create")
+      .type("form")
+      .send({ name: "CENTRAL" })
+      .expect(302)
+      .expect("Location", branch.url);
+
+    expect(await Branch.countDocuments()).toBe(1);
+  });
+
+  test("shows validation errors and saves nothing", async () => {
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/branch/create")
+      .type("form")
+      .send({ name: "" })
+      .expect(200);
+
+    expect(res.text).toContain(t("validation.branch_name_length"));
+    expect(await Branch.countDocuments()).toBe(0);
+  });
+});
+
+describe("GET /catalog/branch/:id/update", () => {
+  test("shows the form with the branch", async () => {
+    const branch = await createBranch({ name: "Central" });
+    const agent = await login("librarian");
+    const res = await agent.get(branch.url + "/update").expect(200);
+    expect(res.text).toContain("Central");
+  });
+
+  test("responds 404 for a missing branch", async () => {
+    const agent = await login("librarian");
+    await agent.get("/catalog/branch/" + MISSING_ID + "/update").expect(404);
+  });
+});
+
+describe("POST /catalog/branch/:id/update", () => {
+  test("updates the branch", async () => {
+    const branch = await createBranch({ name: "Central" });
+    const agent = await login("librarian");
+    await agent
+      .post(branch.url + "/update")
+      .type("form")
+      .send({ name: "Main", version: branch.__v })
+      .expect(302)
+      .expect("Location", branch.url);
+
+    expect((await Branch.findById(branch._id).exec()).name).toBe("Main");
+  });
+
+  test("responds 409 when someone else changed the branch first", async () => {
+    const branch = await createBranch({ name: "Central" });
+    await Branch.updateOne({ _id: branch._id }, { name: "Changed" }).exec();
+
+    const agent = await login("librarian");
+    await agent
+      .post(branch.url + "/update")
+      .type("form")
+      .send({ name: "Mine", version: branch.__v })
+      .expect(409);
+
+    expect((await Branch.findById(branch._id).exec()).name).toBe("Changed");
+  });
+
+  test("responds 404 for a missing branch", async () => {
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/branch/" + MISSING_ID + "/update")
+      .type("form")
+      .send({ name: "Central", version: 0 })
+      .expect(404);
+  });
+});
+
+describe("GET /catalog/branch/:id/delete", () => {
+  test("shows the copies that must move first", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .get("/catalog/branch/" + copy.branch + "/delete")
+      .expect(200);
+    expect(res.text).toContain(t("branch.delete_copies_first"));
+  });
+
+  test("redirects to the branch list for a missing branch", async () => {
+    const agent = await login("librarian");
+    await agent
+      .get("/catalog/branch/" + MISSING_ID + "/delete")
+      .expect(302)
+      .expect("Location", "/catalog/branches");
+  });
+});
+
+describe("POST /catalog/branch/:id/delete", () => {
+  test("moves an empty branch to the trash", async () => {
+    const branch = await createBranch();
+    const agent = await login("librarian");
+    await agent
+      .post(branch.url + "/delete")
+      .type("form")
+      .send({})
+      .expect(302)
+      .expect("Location", "/catalog/branches");
+
+    expect(await Branch.findById(branch._id).exec()).toBeNull();
+    expect(await findWithDeleted(Branch, branch._id)).not.toBeNull();
+  });
+
+  test("keeps a branch with copies", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/branch/" + copy.branch + "/delete")
+      .type("form")
+      .send({})
+      .expect(200);
+
+    expect(res.text).toContain(t("branch.delete_copies_first"));
+    expect(await Branch.findById(copy.branch).exec()).not.toBeNull();
+  });
+
+  test("redirects to the branch list for a missing branch", async () => {
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/branch/" + MISSING_ID + "/delete")
+      .type("form")
+      .send({})
+      .expect(302)
+      .expect("Location", "/catalog/branches");
+  });
+});
@@ -0,0 +1,520 @@
+// 貸出・返却、分館間の移送、貸出デスク、利用者の勘定、予約
+const AccountEntry = require("../../models/accountentry");
+const BookInstance = require("../../models/bookinstance");
+const Hold = require("../../models/hold");
+const Loan = require("../../models/loan");
+const Transfer = require("../../models/transfer");
+const {
+  useDatabase,
+  login,
+  t,
+  createUser,
+  createBook,
+  createBranch,
+  createCopy,
+  createLoanedCopy,
+} = require("../helpers");
+
+useDatabase();
+
+// 存在しないレコードのid
+const MISSING_ID = "000000000000000000000000";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("POST /catalog/bookinstance/:id/checkout", () => {
+  test("lends the copy and records the loan", async () => {
+    const [copy, borrower] = await Promise.all([
+      createCopy(),
+      createUser("patron"),
+    ]);
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/checkout")
+      .type("form")
+      .send({ borrower: borrower.id })
+      .expect(302)
+      .expect("Location", copy.url);
+
+    const loaned = await BookInstance.findById(copy._id).exec();
+    expect(loaned.status).toBe("Loaned");
+    expect(loaned.borrower_card_number).toBe(borrower.card_number);
+    expect(loaned.due_back.getTime()).toBeGreaterThan(Date.now());
+    expect(
+      await Loan.countDocuments({
+        book_instance: copy._id,
+        borrower: borrower._id,
+        returned_at: null,
+      })
+    ).toBe(1);
+  });
+
+  test("forbids patrons", async () => {
+    const copy = await createCopy();
+    const agent = await login("patron");
+    await agent
+      .post(copy.url + "/checkout")
+      .type("form")
+      .send({ borrower: agent.user.id })
+      .expect(403);
+  });
+
+  test("responds 400 without a borrower", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/checkout")
+      .type("form")
+      .send({ borrower: "" })
+      .expect(400);
+  });
+
+  test("responds 404 for a missing borrower or copy", async () => {
+    const [copy, borrower] = await Promise.all([
+      createCopy(),
+      createUser("patron"),
+    ]);
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/checkout")
+      .type("form")
+      .send({ borrower: MISSING_ID })
+      .expect(404);
+    await agent
+      .post("/catalog/bookinstance/" + MISSING_ID + "/checkout")
+      .type("form")
+      .send({ borrower: borrower.id })
+      .expect(404);
+  });
+
+  test("responds 409 for a copy that is already on loan", async () => {
+    const [copy, borrower] = await Promise.all([
+      createLoanedCopy(),
+      createUser("patron"),
+    ]);
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/checkout")
+      .type("form")
+      .send({ borrower: borrower.id })
+      .expect(409);
+
+    expect(await Loan.countDocuments()).toBe(0);
+  });
+});
+
+describe("POST /catalog/bookinstance/:id/return", () => {
+  test("puts the copy back on the shelf", async () => {
+    const copy = await createLoanedCopy();
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/return")
+      .expect(302)
+      .expect("Location", copy.url);
+
+    const returned = await BookInstance.findById(copy._id).exec();
+    expect(returned.status).toBe("Available");
+    expect(returned.borrower_card_number).toBeUndefined();
+  });
+
+  test("records a fine for an overdue copy", async () => {
+    const copy = await createLoanedCopy({
+      due_back: new Date(Date.now() - 3 * DAY),
+    });
+    const agent = await login("librarian");
+    await agent.post(copy.url + "/return").expect(302);
+
+    const fine = await AccountEntry.findOne({ kind: "Fine" }).exec();
+    expect(fine.card_number).toBe("CARD-0001");
+    expect(fine.days_overdue).toBe(3);
+  });
+
+  test("responds 409 for a copy that is not on loan", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    await agent.post(copy.url + "/return").expect(409);
+  });
+});
+
+describe("transfers between branches", () => {
+  test("sends the copy and receives it at the other branch", async () => {
+    const [copy, branch] = await Promise.all([
+      createCopy(),
+      createBranch({ name: "Eastside" }),
+    ]);
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/transfer")
+      .type("form")
+      .send({ to_branch: branch.id })
+      .expect(302)
+      .expect("Location", copy.url);
+
+    expect((await BookInstance.findById(copy._id).exec()).status).toBe(
+      "InTransit"
+    );
+    const list = await agent.get("/catalog/transfers").expect(200);
+    expect(list.text).toContain("Eastside");
+
+    const transfer = await Transfer.findOne({ book_instance: copy._id }).exec();
+    await agent
+      .post(transfer.url + "/receive")
+      .type("form")
+      .send({ shelf: "SF-9" })
+      .expect(302)
+      .expect("Location", copy.url);
+
+    const received = await BookInstance.findById(copy._id).exec();
+    expect(received.status).toBe("Available");
+    expect(received.branch).toEqual(branch._id);
+    expect(received.shelf).toBe("SF-9");
+
+    // 2回目の受け取り
+    await agent.post(transfer.url + "/receive").expect(409);
+  });
+
+  test("responds 400 without a branch to send to", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/transfer")
+      .type("form")
+      .send({ to_branch: "" })
+      .expect(400);
+  });
+
+  test("responds 409 when sending to the copy's own branch", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/transfer")
+      .type("form")
+      .send({ to_branch: copy.branch.toString() })
+      .expect(409);
+
+    expect((await BookInstance.findById(copy._id).exec()).status).toBe(
+      "Available"
+    );
+  });
+
+  test("responds 404 when receiving a missing transfer", async () => {
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/transfer/" + MISSING_ID + "/receive")
+      .expect(404);
+  });
+});
+
+describe("circulation desk", () => {
+  test("shows the scanned copy", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .get("/catalog/desk?barcode=" + copy.barcode)
+      .expect(200);
+    expect(res.text).toContain("Dune");
+  });
+
+  test("finds a copy by its accession number", async () => {
+    const copy = await createCopy();
+    expect(copy.accession).toBe("000001");
+    const agent = await login("librarian");
+    const res = await agent.get("/catalog/desk?barcode=000001").expect(200);
+    expect(res.text).toContain(copy.url);
+  });
+
+  test("says when no copy has the barcode", async () => {
+    const agent = await login("librarian");
+    const res = await agent.get("/catalog/desk?barcode=NOPE-1").expect(200);
+    expect(res.text).toContain(t("desk.not_found", { barcode: "NOPE-1" }));
+  });
+
+  test("checks out to a card number", async () => {
+    const [copy, borrower] = await Promise.all([
+      createCopy(),
+      createUser("patron", { card_number: "CARD-0002" }),
+    ]);
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/desk/checkout")
+      .type("form")
+      .send({ barcode: copy.barcode, card_number: "CARD-0002" })
+      .expect(302)
+      .expect(
+        "Location",
+        "/catalog/desk?barcode=" + copy.barcode + "&done=checkout"
+      );
+
+    const loaned = await BookInstance.findById(copy._id).exec();
+    expect(loaned.status).toBe("Loaned");
+    expect(loaned.borrower_name).toBe(borrower.display_name);
+  });
+
+  test("responds 404 for an unknown card number", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/desk/checkout")
+      .type("form")
+      .send({ barcode: copy.barcode, card_number: "CARD-9999" })
+      .expect(404);
+
+    expect(res.text).toContain(t("desk.patron_not_found"));
+    expect((await BookInstance.findById(copy._id).exec()).status).toBe(
+      "Available"
+    );
+  });
+
+  test("responds 400 for an invalid barcode", async () => {
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/desk/checkin")
+      .type("form")
+      .send({ barcode: "!" })
+      .expect(400);
+  });
+
+  test("sends a copy to maintenance and shelves it again", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/desk/maintenance")
+      .type("form")
+      .send({ barcode: copy.barcode })
+      .expect(302);
+    expect((await BookInstance.findById(copy._id).exec()).status).toBe(
+      "Maintenance"
+    );
+
+    await agent
+      .post("/catalog/desk/checkin")
+      .type("form")
+      .send({ barcode: copy.barcode })
+      .expect(302)
+      .expect(
+        "Location",
+        "/catalog/desk?barcode=" + copy.barcode + "&done=shelved"
+      );
+    expect((await BookInstance.findById(copy._id).exec()).status).toBe(
+      "Available"
+    );
+  });
+
+  test("responds 409 when checking in a copy on the shelf", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/desk/checkin")
+      .type("form")
+      .send({ barcode: copy.barcode })
+      .expect(409);
+    expect(res.text).toContain(t("circulation.not_loaned"));
+  });
+});
+
+describe("GET /catalog/loans", () => {
+  test("lists loans, or only current ones", async () => {
+    const [copy, borrower] = await Promise.all([
+      createCopy(),
+      createUser("patron"),
+    ]);
+    await Loan.create({
+      book_instance: copy._id,
+      borrower: borrower._id,
+      checked_out_at: new Date(Date.now() - 20 * DAY),
+      due_back: new Date(Date.now() - 6 * DAY),
+      returned_at: new Date(Date.now() - 7 * DAY),
+    });
+
+    const agent = await login("librarian");
+    const all = await agent.get("/catalog/loans").expect(200);
+    expect(all.text).toContain(borrower.display_name);
+    const active = await agent.get("/catalog/loans?active=1").expect(200);
+    expect(active.text).not.toContain(borrower.display_name);
+  });
+
+  test("forbids patrons", async () => {
+    const agent = await login("patron");
+    await agent.get("/catalog/loans").expect(403);
+  });
+});
+
+describe("GET /catalog/overdue", () => {
+  test("lists overdue copies by borrower", async () => {
+    await createLoanedCopy({
+      due_back: new Date(Date.now() - 3 * DAY),
+      borrower_name: "Late Reader",
+    });
+    await createLoanedCopy({ borrower_name: "Prompt Reader" });
+    // 期限当日（期限の時刻は過ぎている）はまだ延滞ではない
+    await createLoanedCopy({
+      due_back: new Date(new Date().setHours(0, 0, 0, 0)),
+      borrower_name: "Today Reader",
+    });
+    const agent = await login("librarian");
+    const res = await agent.get("/catalog/overdue").expect(200);
+    expect(res.text).toContain("Late Reader");
+    expect(res.text).not.toContain("Prompt Reader");
+    expect(res.text).not.toContain("Today Reader");
+  });
+});
+
+describe("borrower accounts", () => {
+  test("shows the account", async () => {
+    await createLoanedCopy();
+    const agent = await login("librarian");
+    const res = await agent.get("/catalog/account/CARD-0001").expect(200);
+    expect(res.text).toContain("Paul Atreides");
+  });
+
+  test("responds 404 for an invalid card number", async () => {
+    const agent = await login("librarian");
+    await agent.get("/catalog/account/x").expect(404);
+  });
+
+  test("records a payment", async () => {
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/account/CARD-0001/entry")
+      .type("form")
+      .send({ kind: "Payment", amount: "30", note: "Cash" })
+      .expect(302)
+      .expect("Location", "/catalog/account/CARD-0001");
+
+    const entry = await AccountEntry.findOne({ kind: "Payment" }).exec();
+    expect(entry.card_number).toBe("CARD-0001");
+    expect(entry.amount).toBe(30);
+    expect(entry.recorded_by).toEqual(agent.user._id);
+  });
+
+  test("rejects an invalid amount", async () => {
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/account/CARD-0001/entry")
+      .type("form")
+      .send({ kind: "Payment", amount: "0" })
+      .expect(400);
+
+    expect(res.text).toContain(t("account.amount_invalid"));
+    expect(await AccountEntry.countDocuments()).toBe(0);
+  });
+});
+
+describe("holds", () => {
+  const placeHold = (agent, book, cardNumber = "CARD-0001") =>
+    agent
+      .post(book.url + "/hold")
+      .type("form")
+      .send({ patron_name: "Paul Atreides", card_number: cardNumber });
+
+  test("shows the hold form", async () => {
+    const book = await createBook({ title: "Dune" });
+    const agent = await login();
+    const res = await agent.get(book.url + "/hold").expect(200);
+    expect(res.text).toContain("Dune");
+  });
+
+  test("responds 404 for a missing book", async () => {
+    const agent = await login();
+    await agent.get("/catalog/book/" + MISSING_ID + "/hold").expect(404);
+  });
+
+  test("waits in the queue while no copy is available", async () => {
+    const book = await createBook();
+    await createLoanedCopy({ book: book });
+    const res = await placeHold(await login(), book).expect(302);
+
+    const hold = await Hold.findOne({ book: book._id }).exec();
+    expect(res.headers.location).toBe(hold.url);
+    expect(hold.status).toBe("Waiting");
+  });
+
+  test("reserves an available copy straight away", async () => {
+    const book = await createBook();
+    const copy = await createCopy({ book: book });
+    await placeHold(await login(), book).expect(302);
+
+    const hold = await Hold.findOne({ book: book._id }).exec();
+    expect(hold.status).toBe("Ready");
+    expect(hold.book_instance).toEqual(copy._id);
+    expect((await BookInstance.findById(copy._id).exec()).status).toBe(
+      "Reserved"
+    );
+  });
+
+  test("rejects a second hold on the same card", async () => {
+    const book = await createBook();
+    const agent = await login();
+    await placeHold(agent, book).expect(302);
+    const res = await placeHold(agent, book).expect(200);
+
+    expect(res.text).toContain(t("hold.duplicate"));
+    expect(await Hold.countDocuments()).toBe(1);
+  });
+
+  test("lends a reserved copy only to the patron it is held for", async () => {
+    const book = await createBook();
+    const copy = await createCopy({ book: book });
+    const [holder, other] = await Promise.all([
+      createUser("patron", { card_number: "CARD-0001" }),
+      createUser("patron", { card_number: "CARD-0002" }),
+    ]);
+    await placeHold(await login(), book).expect(302);
+
+    const agent = await login("librarian");
+    await agent
+      .post(copy.url + "/checkout")
+      .type("form")
+      .send({ borrower: other.id })
+      .expect(409);
+    const res = await agent
+      .post("/catalog/desk/checkout")
+      .type("form")
+      .send({ barcode: copy.barcode, card_number: "CARD-0002" })
+      .expect(409);
+    expect(res.text).toContain(t("circulation.reserved_for_other"));
+    expect((await BookInstance.findById(copy._id).exec()).status).toBe(
+      "Reserved"
+    );
+    expect((await Hold.findOne().exec()).status).toBe("Ready");
+
+    await agent
+      .post(copy.url + "/checkout")
+      .type("form")
+      .send({ borrower: holder.id })
+      .expect(302);
+    expect((await BookInstance.findById(copy._id).exec()).borrower_name).toBe(
+      holder.display_name
+    );
+    expect((await Hold.findOne().exec()).status).toBe("Fulfilled");
+  });
+
+  test("rejects an invalid card number", async () => {
+    const book = await createBook();
+    const res = await placeHold(await login(), book, "x").expect(200);
+
+    expect(res.text).toContain(t("hold.card_number_invalid"));
+    expect(await Hold.countDocuments()).toBe(0);
+  });
+
+  test("shows the hold and cancels it once", async () => {
+    const book = await createBook();
+    await placeHold(await login(), book).expect(302);
+    const hold = await Hold.findOne().exec();
+
+    const agent = await login("librarian");
+    await agent.get(hold.url).expect(200);
+    await agent
+      .post(hold.url + "/cancel")
+      .expect(302)
+      .expect("Location", hold.url);
+    expect((await Hold.findById(hold._id).exec()).status).toBe("Cancelled");
+
+    await agent.post(hold.url + "/cancel").expect(409);
+  });
+
+  test("responds 404 for a missing hold", async () => {
+    const agent = await login();
+    await agent.get("/catalog/hold/" + MISSING_ID).expect(404);
+  });
+});
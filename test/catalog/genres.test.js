@@ -0,0 +1,274 @@
+const Book = require("../../models/book");
+const BookInstance = require("../../models/bookinstance");
+const Genre = require("../../models/genre");
+const {
+  useDatabase,
+  login,
+  t,
+  findWithDeleted,
+  createGenre,
+  createBook,
+  createCopy,
+} = require("../helpers");
+
+useDatabase();
+
+// 存在しないジャンルのid
+const MISSING_ID = "000000000000000000000000";
+
+describe("GET /catalog/genres", () => {
+  test("lists genres", async () => {
+    await createGenre({ name: "Fantasy" });
+    const agent = await login();
+    const res = await agent.get("/catalog/genres").expect(200);
+    expect(res.text).toContain("Fantasy");
+  });
+
+  test("filters by part of the name", async () => {
+    await createGenre({ name: "Fantasy" });
+    await createGenre({ name: "Poetry" });
+    const agent = await login();
+    const res = await agent.get("/catalog/genres?name=fant").expect(200);
+    expect(res.text).toContain("Fantasy");
+    expect(res.text).not.toContain("Poetry");
+  });
+});
+
+describe("GET /catalog/genre/:id", () => {
+  test("shows the genre and its books", async () => {
+    const genre = await createGenre({ name: "Science Fiction" });
+    await createBook({ title: "Dune", genre: [genre._id] });
+    const agent = await login();
+    const res = await agent.get(genre.url).expect(200);
+    expect(res.text).toContain("Science Fiction");
+    expect(res.text).toContain("Dune");
+  });
+
+  test("responds 404 for a missing genre", async () => {
+    const agent = await login();
+    await agent.get("/catalog/genre/" + MISSING_ID).expect(404);
+  });
+});
+
+describe("GET /catalog/genre/create", () => {
+  test("forbids patrons", async () => {
+    const agent = await login("patron");
+    await agent.get("/catalog/genre/create").expect(403);
+  });
+
+  test("shows the form to librarians", async () => {
+    const agent = await login("librarian");
+    await agent.get("/catalog/genre/create").expect(200);
+  });
+});
+
+describe("POST /catalog/genre/create", () => {
+  test("creates the genre", async () => {
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/genre/create")
+      .type("form")
+      .send({ name: "Fantasy" })
+      .expect(302);
+
+    const genre = await Genre.findOne({ name: "Fantasy" }).exec();
+    expect(res.headers.location).toBe(genre.url);
+  });
+
+  test("goes to the existing genre with the same name", async () => {
+    const genre = await createGenre({ name: "Fantasy" });
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/genre/create")
+      .type("form")
+      .send({ name: "fantasy" })
+      .expect(302)
+      .expect("Location", genre.url);
+
+    expect(await Genre.countDocuments()).toBe(1);
+  });
+
+  test("shows validation errors and saves nothing", async () => {
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/genre/create")
+      .type("form")
+      .send({ name: "SF" })
+      .expect(200);
+
+    expect(res.text).toContain(t("validation.genre_name_length"));
+    expect(await Genre.countDocuments()).toBe(0);
+  });
+});
+
+describe("GET /catalog/genre/:id/update", () => {
+  test("shows the form with the genre", async () => {
+    const genre = await createGenre({ name: "Fantasy" });
+    const agent = await login("librarian");
+    const res = await agent.get(genre.url + "/update").expect(200);
+    expect(res.text).toContain("Fantasy");
+  });
+
+  test("responds 404 for a missing genre", async () => {
+    const agent = await login("librarian");
+    await agent.get("/catalog/genre/" + MISSING_ID + "/update").expect(404);
+  });
+});
+
+describe("POST /catalog/genre/:id/update", () => {
+  test("updates the genre", async () => {
+    const genre = await createGenre({ name: "Fantasy" });
+    const agent = await login("librarian");
+    await agent
+      .post(genre.url + "/update")
+      .type("form")
+      .send({ name: "High Fantasy", version: genre.__v })
+      .expect(302)
+      .expect("Location", genre.url);
+
+    expect((await Genre.findById(genre._id).exec()).name).toBe("High Fantasy");
+  });
+
+  test("shows validation errors and keeps the genre", async () => {
+    const genre = await createGenre({ name: "Fantasy" });
+    const agent = await login("librarian");
+    await agent
+      .post(genre.url + "/update")
+      .type("form")
+      .send({ name: "", version: genre.__v })
+      .expect(200);
+
+    expect((await Genre.findById(genre._id).exec()).name).toBe("Fantasy");
+  });
+
+  test("responds 409 when someone else changed the genre first", async () => {
+    const genre = await createGenre({ name: "Fantasy" });
+    await Genre.updateOne({ _id: genre._id }, { name: "Changed" }).exec();
+
+    const agent = await login("librarian");
+    await agent
+      .post(genre.url + "/update")
+      .type("form")
+      .send({ name: "Mine", version: genre.__v })
+      .expect(409);
+
+    expect((await Genre.findById(genre._id).exec()).name).toBe("Changed");
+  });
+
+  test("responds 404 for a missing genre", async () => {
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/genre/" + MISSING_ID + "/update")
+      .type("form")
+      .send({ name: "Fantasy", version: 0 })
+      .expect(404);
+  });
+});
+
+describe("GET /catalog/genre/:id/delete", () => {
+  test("shows the books that depend on the genre", async () => {
+    const genre = await createGenre();
+    const book = await createBook({ genre: [genre._id] });
+    const agent = await login("librarian");
+    const res = await agent.get(genre.url + "/delete").expect(200);
+    expect(res.text).toContain(t("genre.delete_has_books"));
+    expect(res.text).toContain(book.url);
+  });
+
+  test("redirects to the genre list for a missing genre", async () => {
+    const agent = await login("librarian");
+    await agent
+      .get("/catalog/genre/" + MISSING_ID + "/delete")
+      .expect(302)
+      .expect("Location", "/catalog/genres");
+  });
+});
+
+describe("POST /catalog/genre/:id/delete", () => {
+  test("moves a genre without books to the trash", async () => {
+    const genre = await createGenre();
+    const agent = await login("librarian");
+    await agent
+      .post(genre.url + "/delete")
+      .type("form")
+      .send({ id: genre.id })
+      .expect(302)
+      .expect("Location", "/catalog/genres");
+
+    expect(await Genre.findById(genre._id).exec()).toBeNull();
+    expect(await findWithDeleted(Genre, genre._id)).not.toBeNull();
+  });
+
+  test("keeps a genre with books unless an option is chosen", async () => {
+    const genre = await createGenre();
+    await createBook({ genre: [genre._id] });
+    const agent = await login("librarian");
+    await agent
+      .post(genre.url + "/delete")
+      .type("form")
+      .send({ id: genre.id })
+      .expect(409);
+
+    expect(await Genre.findById(genre._id).exec()).not.toBeNull();
+  });
+
+  test("moves the books to another genre", async () => {
+    const [genre, target, other] = await Promise.all([
+      createGenre(),
+      createGenre(),
+      createGenre(),
+    ]);
+    const book = await createBook({ genre: [genre._id, other._id] });
+    // すでに付け替え先のジャンルがある本
+    const tagged = await createBook({ genre: [genre._id, target._id] });
+
+    const agent = await login("librarian");
+    await agent
+      .post(genre.url + "/delete")
+      .type("form")
+      .send({ action: "reassign", target: target.id })
+      .expect(302)
+      .expect("Location", target.url);
+
+    expect(await Genre.findById(genre._id).exec()).toBeNull();
+    expect((await Book.findById(book._id).exec()).genre).toEqual([
+      other._id,
+      target._id,
+    ]);
+    expect((await Book.findById(tagged._id).exec()).genre).toEqual([
+      target._id,
+    ]);
+  });
+
+  test("can just remove the genre from its books", async () => {
+    const genre = await createGenre();
+    const book = await createBook({ genre: [genre._id] });
+    const agent = await login("librarian");
+    await agent
+      .post(genre.url + "/delete")
+      .type("form")
+      .send({ action: "reassign", target: "" })
+      .expect(302)
+      .expect("Location", "/catalog/genres");
+
+    expect(await Genre.findById(genre._id).exec()).toBeNull();
+    expect((await Book.findById(book._id).exec()).genre).toEqual([]);
+  });
+
+  test("moves the genre, books and copies to the trash", async () => {
+    const genre = await createGenre();
+    const book = await createBook({ genre: [genre._id] });
+    const copy = await createCopy({ book: book });
+    const agent = await login("librarian");
+    await agent
+      .post(genre.url + "/delete")
+      .type("form")
+      .send({ action: "cascade" })
+      .expect(302)
+      .expect("Location", "/catalog/genres");
+
+    expect(await Genre.findById(genre._id).exec()).toBeNull();
+    expect(await Book.findById(book._id).exec()).toBeNull();
+    expect(await BookInstance.findById(copy._id).exec()).toBeNull();
+  });
+});
@@ -0,0 +1,266 @@
+// 検索、ラベル印刷、変更履歴、ゴミ箱、取り込みと書き出し
+const Author = require("../../models/author");
+const Book = require("../../models/book");
+const Genre = require("../../models/genre");
+const {
+  useDatabase,
+  login,
+  t,
+  binaryParser,
+  isbn,
+  findWithDeleted,
+  createAuthor,
+  createGenre,
+  createBook,
+  createCopy,
+} = require("../helpers");
+
+useDatabase();
+
+// 存在しないレコードのid
+const MISSING_ID = "000000000000000000000000";
+
+describe("GET /catalog/search", () => {
+  test("finds books by title", async () => {
+    const book = await createBook({ title: "Dune" });
+    await createBook({ title: "Emma" });
+    const agent = await login();
+    const res = await agent.get("/catalog/search?q=dune").expect(200);
+    expect(res.text).toContain(book.url);
+    expect(res.text).not.toContain("Emma");
+  });
+
+  test("shows the empty search for a repeated query", async () => {
+    const book = await createBook({ title: "Dune" });
+    const agent = await login();
+    const res = await agent.get("/catalog/search?q=dune&q=emma").expect(200);
+    expect(res.text).not.toContain(book.url);
+  });
+});
+
+describe("labels", () => {
+  test("lists the copies of a book", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .get("/catalog/labels?by=book&book=" + copy.book)
+      .expect(200);
+    expect(res.text).toContain(copy.accession);
+  });
+
+  test("prints a PDF sheet for the chosen copies", async () => {
+    const copy = await createCopy();
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/labels")
+      .type("form")
+      .send({ copies: copy.id, layout: "a4-24" })
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200)
+      .expect("Content-Type", /application\/pdf/);
+    expect(res.body.subarray(0, 4).toString()).toBe("%PDF");
+  });
+
+  test("responds 400 when no copies are chosen", async () => {
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/labels")
+      .type("form")
+      .send({ layout: "a4-24" })
+      .expect(400);
+  });
+});
+
+describe("GET /catalog/audit", () => {
+  test("lists changes to the chosen model", async () => {
+    await createAuthor({ first_name: "Jane", family_name: "Austen" });
+    await createGenre({ name: "Poetry" });
+    const agent = await login("librarian");
+    const res = await agent.get("/catalog/audit?model=Author").expect(200);
+    expect(res.text).toContain("Austen");
+    expect(res.text).not.toContain("Poetry");
+  });
+});
+
+describe("trash", () => {
+  test("lists records in the trash", async () => {
+    await createGenre({ name: "Poetry", deleted_at: new Date() });
+    const agent = await login("librarian");
+    const res = await agent.get("/catalog/trash").expect(200);
+    expect(res.text).toContain("Poetry");
+  });
+
+  test("restores a book only after its author", async () => {
+    const author = await createAuthor({ deleted_at: new Date() });
+    const book = await createBook({ author: author, deleted_at: new Date() });
+    const agent = await login("librarian");
+
+    const res = await agent
+      .post("/catalog/trash/book/" + book.id + "/restore")
+      .expect(409);
+    expect(res.text).toContain(t("trash.restore_author_first"));
+    expect(await Book.findById(book._id).exec()).toBeNull();
+
+    await agent
+      .post("/catalog/trash/author/" + author.id + "/restore")
+      .expect(302)
+      .expect("Location", author.url);
+    await agent
+      .post("/catalog/trash/book/" + book.id + "/restore")
+      .expect(302)
+      .expect("Location", book.url);
+    expect(await Book.findById(book._id).exec()).not.toBeNull();
+  });
+
+  test("purges a record nothing refers to", async () => {
+    const genre = await createGenre({ deleted_at: new Date() });
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/trash/genre/" + genre.id + "/purge")
+      .expect(302)
+      .expect("Location", "/catalog/trash");
+
+    expect(await findWithDeleted(Genre, genre._id)).toBeNull();
+  });
+
+  test("keeps an author whose books are still in the catalog", async () => {
+    const author = await createAuthor({ deleted_at: new Date() });
+    await createBook({ author: author });
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/trash/author/" + author.id + "/purge")
+      .expect(409);
+
+    expect(res.text).toContain(t("trash.author_has_books"));
+    expect(await findWithDeleted(Author, author._id)).not.toBeNull();
+  });
+
+  test("responds 404 for an unknown model or a record not in the trash", async () => {
+    const agent = await login("librarian");
+    await agent
+      .post("/catalog/trash/user/" + MISSING_ID + "/restore")
+      .expect(404);
+    const genre = await createGenre();
+    await agent.post("/catalog/trash/genre/" + genre.id + "/purge").expect(404);
+    expect(await Genre.findById(genre._id).exec()).not.toBeNull();
+  });
+});
+
+describe("import and export", () => {
+  const csv = () =>
+    "title,author,isbn,summary\n" +
+    `Dune,Frank Herbert,${isbn(900)},A desert planet.\n`;
+
+  test("shows the import form", async () => {
+    const agent = await login("librarian");
+    await agent.get("/catalog/import").expect(200);
+  });
+
+  test("responds 400 without a file", async () => {
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/import")
+      .type("form")
+      .send({})
+      .expect(400);
+    expect(res.text).toContain(t("import.no_file"));
+  });
+
+  test("previews the file and imports it on commit", async () => {
+    const agent = await login("librarian");
+    const res = await agent
+      .post("/catalog/import")
+      .attach("file", Buffer.from(csv()), "books.csv")
+      .expect(200);
+    expect(res.text).toContain("Dune");
+    expect(await Book.countDocuments()).toBe(0);
+
+    await agent.post("/catalog/import/commit").expect(200);
+    const book = await Book.findOne({ isbn: isbn(900) })
+      .populate("author")
+      .exec();
+    expect(book.title).toBe("Dune");
+    expect(book.author.name).toBe("Frank Herbert");
+
+    // 取り込みは1回だけ
+    await agent.post("/catalog/import/commit").expect(400);
+    expect(await Book.countDocuments()).toBe(1);
+  });
+
+  test("responds 400 when nothing was previewed", async () => {
+    const agent = await login("librarian");
+    const res = await agent.post("/catalog/import/commit").expect(400);
+    expect(res.text).toContain(t("import.nothing_pending"));
+  });
+
+  test.each(["csv", "xml"])(
+    "re-imports exported books under the same authors (%s)",
+    async (format) => {
+      const authors = await Promise.all([
+        createAuthor({ first_name: "Ursula", family_name: "Le Guin" }),
+        createAuthor({
+          first_name: "Haruki",
+          family_name: "Murakami",
+          name_order: "japanese",
+        }),
+      ]);
+      const books = await Promise.all(
+        authors.map((author) => createBook({ author: author }))
+      );
+      const agent = await login("librarian");
+      const download = async (url) => (await agent.get(url).expect(200)).text;
+      const files =
+        format === "csv"
+          ? [await download("/catalog/export/books.csv")]
+          : await Promise.all(
+              books.map((book) => download(book.url + "/marcxml"))
+            );
+
+      // ゴミ箱にも残さずに消してから取り込み直す
+      await Book.collection.deleteMany({});
+      for (const file of files) {
+        await agent
+          .post("/catalog/import")
+          .attach("file", Buffer.from(file), "books." + format)
+          .expect(200);
+        await agent.post("/catalog/import/commit").expect(200);
+      }
+
+      expect(await Author.countDocuments()).toBe(2);
+      for (const [i, book] of books.entries()) {
+        const imported = await Book.findOne({ isbn: book.isbn }).exec();
+        expect(imported.author).toEqual(authors[i]._id);
+      }
+    }
+  );
+
+  test.each(["books", "authors", "bookinstances"])(
+    "exports %s as CSV",
+    async (name) => {
+      await createCopy();
+      const agent = await login("librarian");
+      await agent
+        .get(`/catalog/export/${name}.csv`)
+        .expect(200)
+        .expect("Content-Type", /text\/csv/)
+        .expect("Content-Disposition", new RegExp(`${name}-.*\\.csv`));
+    }
+  );
+});
+
+describe("access to staff pages", () => {
+  test("sends visitors to the login page", async () => {
+    const agent = await login();
+    await agent
+      .get("/catalog/trash")
+      .expect(302)
+      .expect("Location", /^\/users\/login\?next=/);
+  });
+
+  test("forbids patrons", async () => {
+    const agent = await login("patron");
+    await agent.get("/catalog/trash").expect(403);
+    await agent.get("/catalog/export/books.csv").expect(403);
+  });
+});
@@ -0,0 +1,118 @@
+// 設定の読み込みと検証（データベースは使わない）
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadConfig, ConfigError } = require("../../config/load");
+
+// 設定ファイルを一時ディレクトリに書き、そのパスを返す
+function writeConfigFile(values) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+  const file = path.join(dir, "config.json");
+  fs.writeFileSync(file, JSON.stringify(values));
+  return file;
+}
+
+// 検証に失敗したときの問題の一覧
+function problemsOf(env) {
+  try {
+    loadConfig(env);
+  } catch (err) {
+    expect(err).toBeInstanceOf(ConfigError);
+    return err.problems;
+  }
+  throw new Error("expected a ConfigError");
+}
+
+const PRODUCTION = {
+  NODE_ENV: "production",
+  MONGODB_URI: "mongodb://db.example.com/library",
+  SESSION_SECRET: "a long and random production secret",
+};
+
+describe("loadConfig", () => {
+  test("uses the defaults for development", () => {
+    const config = loadConfig({});
+    expect(config.env).toBe("development");
+    expect(config.db.uri).toBe("mongodb://localhost:27017/local_library");
+    expect(config.port).toBe(3000);
+    expect(config.rateLimit.enabled).toBe(true);
+    expect(config.loans.periodDays).toBe(14);
+    expect(config.fines).toEqual({ perDay: 10, cap: 500 });
+    expect(config.locale).toBe("ja");
+  });
+
+  test("turns off rate limiting in the test environment", () => {
+    expect(loadConfig({ NODE_ENV: "test" }).rateLimit.enabled).toBe(false);
+  });
+
+  test("reads and converts environment variables", () => {
+    const config = loadConfig({
+      PORT: "8080",
+      FINE_PER_DAY: "20",
+      RATE_LIMIT_ENABLED: "false",
+      CSP_SCRIPT_SRC: "code.jquery.com, cdn.example.com",
+      DEFAULT_LOCALE: "en",
+    });
+    expect(config.port).toBe(8080);
+    expect(config.fines.perDay).toBe(20);
+    expect(config.rateLimit.enabled).toBe(false);
+    expect(config.csp.scriptSrc).toEqual([
+      "code.jquery.com",
+      "cdn.example.com",
+    ]);
+    expect(config.locale).toBe("en");
+  });
+
+  test("reads the config file, with environment variables taking precedence", () => {
+    const file = writeConfigFile({
+      loans: { periodDays: 21 },
+      fines: { perDay: 30, cap: 900 },
+    });
+    const config = loadConfig({ CONFIG_FILE: file, FINE_PER_DAY: "15" });
+    expect(config.loans.periodDays).toBe(21);
+    expect(config.fines).toEqual({ perDay: 15, cap: 900 });
+  });
+
+  test("requires the database and session secret in production", () => {
+    expect(problemsOf({ NODE_ENV: "production" })).toEqual([
+      "MONGODB_URI: required when NODE_ENV=production",
+      "SESSION_SECRET: required when NODE_ENV=production",
+    ]);
+    expect(loadConfig(PRODUCTION).db.uri).toBe(PRODUCTION.MONGODB_URI);
+  });
+
+  test("lists every invalid value", () => {
+    const problems = problemsOf({
+      PORT: "70000",
+      FINE_PER_DAY: "ten",
+      LOAN_PERIOD_DAYS: "0",
+      DEFAULT_LOCALE: "fr",
+    });
+    expect(problems).toHaveLength(4);
+    expect(problems[0]).toMatch(/^PORT: /);
+    expect(problems[1]).toMatch(/^DEFAULT_LOCALE: /);
+    expect(problems[2]).toMatch(/^LOAN_PERIOD_DAYS: .*\(got "0"\)$/);
+    expect(problems[3]).toMatch(/^FINE_PER_DAY: /);
+  });
+
+  test("does not show secrets in the messages", () => {
+    const problems = problemsOf({ ...PRODUCTION, SESSION_SECRET: "short" });
+    expect(problems).toEqual([
+      "SESSION_SECRET: must be at least 16 characters",
+    ]);
+  });
+
+  test("rejects unknown settings in the config file and unknown environments", () => {
+    const file = writeConfigFile({ fines: { per_day: 20 } });
+    expect(problemsOf({ CONFIG_FILE: file })).toEqual([
+      `fines.per_day in ${file}: unknown setting`,
+    ]);
+    expect(problemsOf({ NODE_ENV: "staging" })).toHaveLength(1);
+  });
+
+  test("returns a frozen object", () => {
+    const config = loadConfig({});
+    expect(Object.isFrozen(config.fines)).toBe(true);
+  });
+});
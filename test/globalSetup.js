@@ -0,0 +1,11 @@
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+
+// テスト用のMongoDB（メモリ上の1ノードのレプリカセット）を起動し、app.js が接続するURIを渡す
+// トランザクション（services/cascade.js）はレプリカセットでしか使えない
+module.exports = async () => {
+  const replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  process.env.MONGODB_URI = replSet.getUri("local_library_test");
+  globalThis.__MONGO_REPL_SET__ = replSet;
+};
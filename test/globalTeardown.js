@@ -0,0 +1,4 @@
+// テスト用のMongoDBを停止
+module.exports = async () => {
+  await globalThis.__MONGO_REPL_SET__.stop();
+};
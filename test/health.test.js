@@ -0,0 +1,52 @@
+// ヘルスチェックと Prometheus の計測値
+const request = require("supertest");
+const {
+  app,
+  useDatabase,
+  login,
+  createCopy,
+  createLoanedCopy,
+} = require("./helpers");
+
+useDatabase();
+
+describe("GET /healthz", () => {
+  test("responds while the process is up", async () => {
+    const res = await request(app).get("/healthz").expect(200);
+    expect(res.body).toEqual({ status: "ok" });
+  });
+});
+
+describe("GET /readyz", () => {
+  test("responds when MongoDB answers", async () => {
+    const res = await request(app).get("/readyz").expect(200);
+    expect(res.body).toEqual({ status: "ok", checks: { mongodb: "ok" } });
+  });
+});
+
+describe("GET /metrics", () => {
+  test("counts requests by route pattern", async () => {
+    const copy = await createCopy();
+    const agent = await login();
+    await agent.get("/catalog/book/" + copy.book).expect(200);
+
+    const res = await request(app)
+      .get("/metrics")
+      .expect(200)
+      .expect("Content-Type", /text\/plain/);
+    expect(res.text).toMatch(
+      /http_requests_total\{method="GET",route="\/catalog\/book\/:id",status="200"\} \d+/
+    );
+    expect(res.text).toMatch(/mongodb_command_duration_seconds_count\{/);
+  });
+
+  test("reports the catalog counts", async () => {
+    await createCopy();
+    await createLoanedCopy();
+    const res = await request(app).get("/metrics").expect(200);
+    expect(res.text).toContain("catalog_books 2");
+    expect(res.text).toContain('catalog_copies{status="Available"} 1');
+    expect(res.text).toContain('catalog_copies{status="Loaned"} 1');
+    expect(res.text).toContain('catalog_copies{status="Maintenance"} 0');
+  });
+});
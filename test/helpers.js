@@ -0,0 +1,139 @@
+// テストで共通に使う準備とデータの作成
+// app.js は読み込んだ時点で MONGODB_URI（globalSetup.js で起動したMongoDB）に接続する
+
+const mongoose = require("mongoose");
+const request = require("supertest");
+
+const app = require("../app");
+const Author = require("../models/author");
+const Book = require("../models/book");
+const BookInstance = require("../models/bookinstance");
+const Branch = require("../models/branch");
+const Genre = require("../models/genre");
+const User = require("../models/user");
+const { translate } = require("../helpers/i18n");
+
+exports.app = app;
+
+// 接続を待ってインデックスを作成し、テストごとにデータベースを空にする。最後に切断する
+exports.useDatabase = () => {
+  beforeAll(async () => {
+    await mongoose.connection.asPromise();
+    await Promise.all(
+      mongoose.connection
+        .modelNames()
+        .map((name) => mongoose.connection.model(name).init())
+    );
+  });
+
+  beforeEach(async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(
+      collections.map((collection) => collection.deleteMany({}))
+    );
+  });
+
+  afterAll(() => mongoose.disconnect());
+};
+
+// 既定のロケール（日本語）のメッセージ。ページの内容の確認に使う
+exports.t = (key, params) => translate("ja", key, params);
+
+// ゴミ箱のレコードも含めて取得する
+exports.findWithDeleted = (Model, id) =>
+  Model.findById(id, null, { withDeleted: true }).exec();
+
+// PDFなどのバイナリの応答を Buffer で受け取る（supertest の .parse() に渡す）
+exports.binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+// 連番から正しいチェックディジットのISBN-13を作る
+exports.isbn = (n) => {
+  const first12 = "978" + String(n).padStart(9, "0");
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return first12 + ((10 - (sum % 10)) % 10);
+};
+
+let sequence = 0;
+
+// 利用者を作成（パスワードは "password"）
+exports.createUser = async (role = "patron", fields = {}) => {
+  sequence += 1;
+  const user = new User({
+    username: `${role}${sequence}`,
+    display_name: `${role} ${sequence}`,
+    role: role,
+    ...fields,
+  });
+  await user.setPassword("password");
+  return user.save();
+};
+
+// 指定したロールの利用者でログインした supertest のエージェントを返す
+// ロールを省略するとログインしていないエージェント
+exports.login = async (role) => {
+  const agent = request.agent(app);
+  if (role) {
+    const user = await exports.createUser(role);
+    await agent
+      .post("/users/login")
+      .type("form")
+      .send({ username: user.username, password: "password" })
+      .expect(302);
+    agent.user = user;
+  }
+  return agent;
+};
+
+exports.createAuthor = (fields = {}) =>
+  Author.create({ first_name: "Frank", family_name: "Herbert", ...fields });
+
+exports.createGenre = (fields = {}) => {
+  sequence += 1;
+  return Genre.create({ name: `Genre ${sequence}`, ...fields });
+};
+
+// 本を作成（著者を省略すると新しく作る）
+exports.createBook = async (fields = {}) => {
+  sequence += 1;
+  return Book.create({
+    title: "Dune",
+    summary: "A desert planet.",
+    isbn: exports.isbn(sequence),
+    author: fields.author || (await exports.createAuthor()),
+    genre: [],
+    ...fields,
+  });
+};
+
+exports.createBranch = (fields = {}) => {
+  sequence += 1;
+  return Branch.create({ name: `Branch ${sequence}`, ...fields });
+};
+
+// 蔵書を作成（本と分館を省略すると新しく作る。状態は利用可能）
+exports.createCopy = async (fields = {}) =>
+  BookInstance.create({
+    book: fields.book || (await exports.createBook()),
+    branch: fields.branch || (await exports.createBranch()),
+    imprint: "Chilton, 1965",
+    shelf: "SF-1",
+    status: "Available",
+    ...fields,
+  });
+
+// 貸出中の蔵書を作成（返却期限を省略すると2週間後）
+exports.createLoanedCopy = (fields = {}) =>
+  exports.createCopy({
+    status: "Loaned",
+    due_back: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+    borrower_name: "Paul Atreides",
+    borrower_card_number: "CARD-0001",
+    ...fields,
+  });
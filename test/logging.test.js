@@ -0,0 +1,55 @@
+// リクエストID（応答のヘッダー・エラーページ・APIのエラー）とエラーページ
+const request = require("supertest");
+const { app, useDatabase, t } = require("./helpers");
+
+useDatabase();
+
+describe("request IDs", () => {
+  test("are added to every response", async () => {
+    const res = await request(app).get("/catalog").expect(200);
+    expect(res.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test("are taken from the proxy when it sends one", async () => {
+    await request(app)
+      .get("/healthz")
+      .set("X-Request-Id", "proxy-123")
+      .expect("X-Request-Id", "proxy-123");
+  });
+
+  test("are shown on the error page", async () => {
+    const res = await request(app)
+      .get("/no-such-page")
+      .set("X-Request-Id", "proxy-404")
+      .expect(404);
+    expect(res.text).toContain(t("error.request_id", { id: "proxy-404" }));
+  });
+
+  test("are included in API errors", async () => {
+    const res = await request(app)
+      .get("/api/v1/no-such-resource")
+      .set("X-Request-Id", "proxy-api")
+      .expect(404);
+    expect(res.body.error.request_id).toBe("proxy-api");
+  });
+});
+
+describe("error pages", () => {
+  // テストの実行環境は development ではないので、本番と同じくエラーの詳細は表示しない
+  test("show the status code without the error details", async () => {
+    const res = await request(app).get("/no-such-page").expect(404);
+    expect(res.text).toContain(t("error.code", { status: 404 }));
+    expect(res.text).not.toContain("{status}");
+    expect(res.text).not.toContain("NotFoundError");
+  });
+
+  test("are shown for a body that can't be parsed", async () => {
+    const res = await request(app)
+      .post("/users/login")
+      .set("Content-Type", "application/json")
+      .send('{"username":')
+      .expect(400)
+      .expect("Content-Type", /html/);
+    expect(res.text).toContain(t("error.code", { status: 400 }));
+  });
+});
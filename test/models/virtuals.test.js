@@ -0,0 +1,100 @@
+// モデルの仮想プロパティ（データベースは使わない）
+
+const { DateTime } = require("luxon");
+
+const Author = require("../../models/author");
+const BookInstance = require("../../models/bookinstance");
+const requestContext = require("../../helpers/requestContext");
+
+// 指定したロケールのリクエストの中で実行する（日付はリクエストのロケールで表示される）
+function inLocale(locale, fn) {
+  let result;
+  requestContext.bind({ locale: locale }, null, () => {
+    result = fn();
+  });
+  return result;
+}
+
+describe("Author", () => {
+  const author = new Author({
+    first_name: "Frank",
+    family_name: "Herbert",
+    date_of_birth: new Date(1920, 9, 8),
+    date_of_death: new Date(1986, 1, 11),
+  });
+
+  test("lifespan shows both dates in the request's locale", () => {
+    expect(inLocale("en", () => author.lifespan)).toBe(
+      "Oct 8, 1920 - Feb 11, 1986"
+    );
+    expect(inLocale("ja", () => author.lifespan)).toBe(
+      "1920年10月8日 - 1986年2月11日"
+    );
+  });
+
+  test("lifespan leaves out missing dates", () => {
+    const living = new Author({
+      first_name: "Ursula",
+      family_name: "Le Guin",
+      date_of_birth: new Date(1929, 9, 21),
+    });
+    expect(inLocale("en", () => living.lifespan)).toBe("Oct 21, 1929 - ");
+
+    const unknown = new Author({ first_name: "Anon", family_name: "Ymous" });
+    expect(unknown.lifespan).toBe(" - ");
+  });
+
+  test("name follows the name order", () => {
+    expect(author.name).toBe("Frank Herbert");
+    const japanese = new Author({
+      first_name: "春樹",
+      family_name: "村上",
+      first_name_kana: "ハルキ",
+      family_name_kana: "ムラカミ",
+      name_order: "japanese",
+    });
+    expect(japanese.name).toBe("村上 春樹");
+    expect(japanese.name_kana).toBe("ムラカミ ハルキ");
+  });
+
+  test("url uses the id", () => {
+    expect(author.url).toBe("/catalog/author/" + author._id);
+  });
+});
+
+describe("BookInstance", () => {
+  test("due_back_formatted shows the date in the request's locale", () => {
+    const copy = new BookInstance({ due_back: new Date(2024, 0, 2) });
+    expect(inLocale("en", () => copy.due_back_formatted)).toBe("Jan 2, 2024");
+    expect(inLocale("ja", () => copy.due_back_formatted)).toBe("2024年1月2日");
+  });
+
+  test("due_back_yyyy_mm_dd is an ISO date", () => {
+    const copy = new BookInstance({ due_back: new Date(2024, 0, 2) });
+    expect(copy.due_back_yyyy_mm_dd).toBe("2024-01-02");
+  });
+
+  test("is_overdue is only true for loaned copies past their due date", () => {
+    const past = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    expect(
+      new BookInstance({ status: "Loaned", due_back: past }).is_overdue
+    ).toBe(true);
+    expect(
+      new BookInstance({ status: "Loaned", due_back: future }).is_overdue
+    ).toBe(false);
+    expect(
+      new BookInstance({ status: "Available", due_back: past }).is_overdue
+    ).toBe(false);
+    // 期限当日はまだ延滞ではない
+    const today = DateTime.now().startOf("day").toJSDate();
+    expect(
+      new BookInstance({ status: "Loaned", due_back: today }).is_overdue
+    ).toBe(false);
+  });
+
+  test("accession pads the accession number to six digits", () => {
+    expect(new BookInstance({ accession_number: 42 }).accession).toBe("000042");
+    expect(new BookInstance().accession).toBe("");
+  });
+});
@@ -0,0 +1,113 @@
+// populatedb.js のデータセットの読み込み・生成・投入
+const Author = require("../../models/author");
+const Book = require("../../models/book");
+const BookInstance = require("../../models/bookinstance");
+const User = require("../../models/user");
+const populate = require("../../services/populate");
+const {
+  useDatabase,
+  t,
+  createUser,
+  createBook,
+  createGenre,
+} = require("../helpers");
+
+useDatabase();
+
+// セクションごとの件数（追加・既存・エラー）
+const counts = (results) =>
+  Object.fromEntries(
+    results.map((result) => [
+      result.name,
+      [result.created, result.existing, result.invalid.length],
+    ])
+  );
+
+describe("load", () => {
+  test("loads the sample dataset once however often it runs", async () => {
+    const dataset = populate.readDataset(populate.DEFAULT_DATASET);
+    const first = await populate.load(dataset);
+    expect(counts(first).bookinstances).toEqual([11, 0, 0]);
+
+    const second = await populate.load(dataset);
+    expect(counts(second)).toEqual({
+      branches: [0, 2, 0],
+      genres: [0, 3, 0],
+      authors: [0, 5, 0],
+      books: [0, 7, 0],
+      bookinstances: [0, 11, 0],
+    });
+    expect(await BookInstance.countDocuments()).toBe(11);
+
+    const book = await Book.findOne({ title: "The Name of the Wind" })
+      .populate("author")
+      .exec();
+    expect(book.author.name).toBe("Patrick Rothfuss");
+  });
+
+  test("matches records created in the app", async () => {
+    await createGenre({ name: "fantasy" });
+    const results = await populate.load({
+      genres: [{ name: "Fantasy" }, { name: "Poetry" }],
+    });
+    expect(counts(results).genres).toEqual([1, 1, 0]);
+  });
+
+  test("writes nothing in a dry run", async () => {
+    const results = await populate.load(populate.generateDataset(10), {
+      dryRun: true,
+    });
+    expect(counts(results).books).toEqual([10, 0, 0]);
+    expect(await Book.countDocuments()).toBe(0);
+    expect(await Author.countDocuments()).toBe(0);
+  });
+
+  test("reports unknown references and skips the record", async () => {
+    const results = await populate.load({
+      books: [
+        {
+          title: "Dune",
+          summary: "A desert planet.",
+          isbn: "9780441013593",
+          author: "Frank Herbert",
+        },
+      ],
+    });
+    expect(results[3].invalid[0].messages).toContain(
+      t("populate.unknown_ref", {
+        field: t("book.fields.author"),
+        key: "Frank Herbert",
+      })
+    );
+    expect(await Book.countDocuments()).toBe(0);
+  });
+});
+
+describe("generateDataset", () => {
+  test("generates the same books for the same seed", () => {
+    const small = populate.generateDataset(5, 3);
+    const large = populate.generateDataset(20, 3);
+    expect(large.books.slice(0, 5)).toEqual(small.books);
+    expect(populate.generateDataset(5, 4).books).not.toEqual(small.books);
+  });
+
+  test("adds only the new books when the count grows", async () => {
+    await populate.load(populate.generateDataset(6));
+    const results = await populate.load(populate.generateDataset(9));
+    expect(counts(results).books).toEqual([3, 6, 0]);
+  });
+});
+
+describe("reset", () => {
+  test("empties the catalog and keeps the users", async () => {
+    await createBook();
+    await createUser("admin");
+    const dry = await populate.reset({ dryRun: true });
+    expect(dry.find((entry) => entry.collection === "books").count).toBe(1);
+    expect(await Book.countDocuments()).toBe(1);
+
+    await populate.reset();
+    expect(await Book.countDocuments()).toBe(0);
+    expect(await User.countDocuments()).toBe(1);
+  });
+});
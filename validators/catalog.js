@@ -0,0 +1,270 @@
+const { body, validationResult } = require("express-validator");
+const { isValidIsbn, normalizeIsbn } = require("../helpers/isbn");
+const { BARCODE_PATTERN, normalizeBarcode } = require("../helpers/barcode");
+const { t, message } = require("../helpers/i18n");
+
+// カタログの作成・更新で共通のバリデーションとサニタイズ
+// HTMLフォームのコントローラーとJSON APIの両方で使用する
+// メッセージは検証を実行したときのロケールで翻訳する
+
+// 本のタイトル・概要・ISBN（フォームとCSV取り込みで共通）
+const titleRule = body("title", message("validation.title_required"))
+  .trim()
+  .isLength({ min: 1 })
+  .escape();
+const summaryRule = body("summary", message("validation.summary_required"))
+  .trim()
+  .isLength({ min: 1 })
+  .escape();
+// ISBN-10/13のチェックディジットを検証し、ハイフンなしのISBN-13に正規化
+const isbnRule = body("isbn")
+  .trim()
+  .isLength({ min: 1 })
+  .withMessage(message("validation.isbn_required"))
+  .bail()
+  .custom(isValidIsbn)
+  .withMessage(message("validation.isbn_invalid"))
+  .bail()
+  .customSanitizer(normalizeIsbn);
+
+// 更新フォームのバージョン（読み込んだ後に他の人が更新していないかの確認に使う）
+exports.versionRule = body("version", message("validation.version_missing"))
+  .isInt({ min: 0 })
+  .toInt();
+
+// 本
+exports.bookRules = [
+  // ジャンルを配列に変換
+  (req, res, next) => {
+    if (!Array.isArray(req.body.genre)) {
+      req.body.genre =
+        typeof req.body.genre === "undefined" ? [] : [req.body.genre];
+    }
+    next();
+  },
+
+  titleRule,
+  body("author", message("validation.author_required"))
+    .trim()
+    .isLength({ min: 1 })
+    .escape(),
+  summaryRule,
+  isbnRule,
+  body("genre.*").escape(),
+];
+
+// CSVから取り込む本の1行（フィールド名はCSVの列名）
+// 著者とジャンルは名前で指定する。名前自体の検証は authorRules と genreRules で行う
+// 蔵書の分館も名前で指定する（既存の分館と照合する）
+exports.bookImportRules = [
+  titleRule,
+  summaryRule,
+  isbnRule,
+  body("author", message("validation.author_name_required"))
+    .trim()
+    .isLength({ min: 1, max: 200 }),
+  body("genres").trim(),
+  body("copies", message("validation.copies_invalid"))
+    .optional({ values: "falsy" })
+    .isInt({ min: 0, max: 100 })
+    .toInt(),
+  body("imprint", message("validation.imprint_for_copies"))
+    .if(body("copies").isInt({ min: 1 }))
+    .trim()
+    .isLength({ min: 1 })
+    .escape(),
+  body("branch", message("validation.branch_for_copies"))
+    .if(body("copies").isInt({ min: 1 }))
+    .trim()
+    .isLength({ min: 1 })
+    .escape(),
+  body("shelf", message("validation.shelf_for_copies"))
+    .if(body("copies").isInt({ min: 1 }))
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .escape(),
+];
+
+// 著者名: 文字（漢字・かな・ラテン文字など）で始まり、文字・空白・アポストロフィ・
+// ハイフン・ピリオド・中黒を含められる
+const NAME_PATTERN = /^[\p{L}\p{M}][\p{L}\p{M}\s'’.\-・·]*$/u;
+// 読み: ひらがな・カタカナ（長音記号・中黒・空白を含む）
+const KANA_PATTERN = /^[\p{Script=Hiragana}\p{Script=Katakana}ー・\s]+$/u;
+
+// 読みを全角カタカナにそろえる（半角カナは全角に、ひらがなはカタカナに）
+function toKatakana(value) {
+  return value
+    .normalize("NFKC")
+    .replace(/[\u3041-\u3096]/g, (char) =>
+      String.fromCharCode(char.charCodeAt(0) + 0x60)
+    );
+}
+
+// 項目名を埋め込んだメッセージ（label は項目名のメッセージキー）
+function fieldMessage(key, label) {
+  return () => t(key, { label: t(label) });
+}
+
+// 著者名（名・姓）
+function nameRule(field, label) {
+  return body(field)
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage(fieldMessage("validation.name_required", label))
+    .isLength({ max: 100 })
+    .withMessage(fieldMessage("validation.name_too_long", label))
+    .matches(NAME_PATTERN)
+    .withMessage(fieldMessage("validation.name_pattern", label))
+    .escape();
+}
+
+// 著者名の読み（省略可）
+function kanaRule(field, label) {
+  return body(field)
+    .optional({ values: "falsy" })
+    .trim()
+    .customSanitizer(toKatakana)
+    .isLength({ max: 100 })
+    .withMessage(fieldMessage("validation.name_too_long", label))
+    .matches(KANA_PATTERN)
+    .withMessage(fieldMessage("validation.kana_pattern", label));
+}
+
+// 著者
+exports.authorRules = [
+  nameRule("first_name", "author.fields.first_name"),
+  nameRule("family_name", "author.fields.family_name"),
+  kanaRule("first_name_kana", "author.fields.first_name_kana"),
+  kanaRule("family_name_kana", "author.fields.family_name_kana"),
+  body("name_order", message("validation.name_order_invalid"))
+    .optional({ values: "falsy" })
+    .isIn(["western", "japanese"]),
+  body("date_of_birth", message("validation.date_of_birth_invalid"))
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .toDate(),
+  body("date_of_death", message("validation.date_of_death_invalid"))
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .toDate(),
+];
+
+// ジャンル
+exports.genreRules = [
+  body("name", message("validation.genre_name_length"))
+    .trim()
+    .isLength({ min: 3 })
+    .escape(),
+];
+
+// 分館
+exports.branchRules = [
+  body("name", message("validation.branch_name_length"))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .escape(),
+  body("address", message("validation.address_too_long"))
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 200 })
+    .escape(),
+];
+
+// フォームやAPIで設定できる蔵書の状態（移送中は移送の処理でだけ設定する）
+const EDITABLE_STATUSES = ["Maintenance", "Available", "Loaned", "Reserved"];
+
+exports.EDITABLE_STATUSES = EDITABLE_STATUSES;
+
+// 蔵書
+exports.bookInstanceRules = [
+  body("book", message("validation.book_required"))
+    .trim()
+    .isLength({ min: 1 })
+    .escape(),
+  body("imprint", message("validation.imprint_required"))
+    .trim()
+    .isLength({ min: 1 })
+    .escape(),
+  // 空なら作成時は自動生成、更新時は今のバーコードのまま
+  body("barcode", message("validation.barcode_invalid"))
+    .optional({ values: "falsy" })
+    .customSanitizer(normalizeBarcode)
+    .matches(BARCODE_PATTERN),
+  body("branch", message("validation.branch_required")).trim().isMongoId(),
+  body("shelf")
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage(message("validation.shelf_required"))
+    .isLength({ max: 50 })
+    .withMessage(message("validation.shelf_too_long"))
+    .escape(),
+  body("status", message("validation.status_invalid")).isIn(EDITABLE_STATUSES),
+  body("due_back", message("validation.date_invalid"))
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .toDate(),
+  // 貸出中の蔵書には借り手の氏名と貸出カード番号が必要
+  body("borrower_name", message("validation.borrower_name_required"))
+    .if(body("status").equals("Loaned"))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .escape(),
+  body("borrower_card_number", message("validation.card_number_invalid"))
+    .if(body("status").equals("Loaned"))
+    .trim()
+    .matches(/^[A-Za-z0-9-]{4,20}$/),
+];
+
+// 蔵書の移送（送り先の分館）
+exports.transferRules = [
+  body("to_branch", message("validation.branch_required")).trim().isMongoId(),
+];
+
+// 移送の受け取り（受け取った分館での棚の位置。省略可）
+exports.receiveRules = [
+  body("shelf", message("validation.shelf_too_long"))
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 50 })
+    .escape(),
+];
+
+// 貸出デスクでのスキャン（バーコード）
+exports.deskBarcodeRule = body("barcode", message("validation.barcode_invalid"))
+  .customSanitizer(normalizeBarcode)
+  .matches(BARCODE_PATTERN);
+
+// 貸出デスクでの貸出（借り手の貸出カード番号）
+exports.deskCheckoutRules = [
+  exports.deskBarcodeRule,
+  body("card_number", message("validation.card_number_invalid"))
+    .trim()
+    .matches(/^[A-Za-z0-9-]{4,20}$/),
+];
+
+// 依存するレコードがあるときの削除の方法
+// （reassign: 別のレコードに付け替える、cascade: まとめてゴミ箱に移動する）
+exports.cascadeRules = [
+  body("action", message("cascade.choose_action")).isIn([
+    "reassign",
+    "cascade",
+  ]),
+  body("target", message("cascade.target_invalid"))
+    .optional({ values: "falsy" })
+    .isMongoId(),
+];
+
+// フォーム以外の値（CSV取り込み・populatedb のデータ）をルールで検証する
+// サニタイズ済みの値とエラーメッセージを返す
+exports.runRules = async (rules, values) => {
+  const req = { body: { ...values } };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+  return {
+    values: req.body,
+    messages: validationResult(req)
+      .array()
+      .map((error) => error.msg),
+  };
+};